@@ -1,370 +1,1658 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ^0.8.22;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 /**
  * @title PlebbitTippingV1
- * @notice A contract for tipping users with ETH, supporting fee recipients and comment-based tracking.
- * @dev Uses AccessControl for moderator/admin permissions.
+ * @notice A contract for tipping users with ETH or ERC-20 tokens, supporting fee recipients and comment-based tracking.
+ * @dev Uses AccessControl for moderator/admin permissions, and EIP-712 signatures for relayed token tips
+ * and for claiming escrowed tips. The admin can pause tipping; withdrawals and refunds stay open while paused.
+ * Deployed behind an ERC-1967 proxy and upgraded with UUPS by UPGRADER_ROLE. Upgrades must keep the storage
+ * layout: new state variables go after the existing ones, never in between, and stored structs never change.
+ * Proxies deployed before the first release have another layout (fee in percent, 3-slot TipData) and can't
+ * be upgraded to it, deploy a new proxy instead.
  */
-contract PlebbitTippingV1 is AccessControl {
+contract PlebbitTippingV1 is
+    Initializable,
+    AccessControlUpgradeable,
+    EIP712Upgradeable,
+    NoncesUpgradeable,
+    PausableUpgradeable,
+    UUPSUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    /**
+     * @notice Struct representing a single tip.
+     * @param amount The amount of ETH or tokens tipped (uint96 for gas savings).
+     * @param feeRecipient The address receiving the fee portion.
+     * @param sender The address of the tip sender.
+     * @param timestamp The block timestamp of the tip (packed with `sender`).
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @param recipient The address that received the tip.
+     * @param sequence The position of the tip among all stored tips, from 1 (packed with `recipient`, 0 for tips stored before it existed).
+     */
+    struct TipData {
+        uint96 amount;
+        address feeRecipient;
+        address sender;
+        uint64 timestamp;
+        bytes32 senderCommentCid;
+        address recipient;
+        uint96 sequence;
+    }
+
+    /**
+     * @notice A token tip signed by its sender, to be submitted by a relayer that pays the gas.
+     * @param sender The address of the tip sender and signer.
+     * @param token The ERC-20 token to tip with (must be approved by the sender).
+     * @param recipient The address to receive the tip.
+     * @param amount The total amount of tokens to tip.
+     * @param feeRecipient The address to receive the fee.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param nonce The sender's current nonce, see `nonces(sender)`.
+     * @param deadline The timestamp after which the intent can no longer be relayed.
+     */
+    struct TipIntent {
+        address sender;
+        address token;
+        address recipient;
+        uint256 amount;
+        address feeRecipient;
+        bytes32 senderCommentCid;
+        bytes32 recipientCommentCid;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /**
+     * @notice Struct representing an ETH tip held in escrow until the comment author claims it.
+     * @param sender The address of the tip sender, who can get a refund after the refund delay.
+     * @param amount The amount of ETH tipped.
+     * @param feeRecipient The address receiving the fee portion when the tip is claimed.
+     * @param timestamp The block timestamp when the tip was escrowed.
+     * @param settled Whether the tip was already claimed or refunded.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     */
+    struct EscrowedTip {
+        address sender;
+        uint96 amount;
+        address feeRecipient;
+        uint64 timestamp;
+        bool settled;
+        bytes32 senderCommentCid;
+    }
+
+    /**
+     * @notice Struct pointing from a sender's history to one of its tips in `tips`.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipient The address receiving the fee portion.
+     * @param index The index of the tip in `tips[tipKey]` (packed with `feeRecipient`).
+     * @param token The ERC-20 token tipped, or address(0) for ETH.
+     */
+    struct SenderTip {
+        bytes32 recipientCommentCid;
+        address feeRecipient;
+        uint96 index;
+        address token;
+    }
+
+    /**
+     * @notice Struct representing a tip in a sender's history, as returned by `getSenderTips`.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param token The ERC-20 token tipped, or address(0) for ETH.
+     * @param tip The stored tip.
+     */
+    struct SenderTipData {
+        bytes32 recipientCommentCid;
+        address token;
+        TipData tip;
+    }
+
+    /// @notice Parameters that moderators can only change after `parameterChangeDelay`.
+    enum Parameter {
+        MinimumTipAmount,
+        FeeBasisPoints,
+        ParameterChangeDelay
+    }
+
+    /**
+     * @notice Struct representing a scheduled parameter change.
+     * @param id The id of the change, used to execute or cancel it.
+     * @param parameter The parameter to change.
+     * @param value The new value of the parameter.
+     * @param executableAt Unix timestamp from which the change can be executed.
+     */
+    struct ParameterChange {
+        uint256 id;
+        Parameter parameter;
+        uint256 value;
+        uint256 executableAt;
+    }
+
+    /// @notice EIP-712 type hash of TipIntent.
+    bytes32 public constant TIP_INTENT_TYPEHASH = keccak256(
+        "TipIntent(address sender,address token,address recipient,uint256 amount,address feeRecipient,bytes32 senderCommentCid,bytes32 recipientCommentCid,uint256 nonce,uint256 deadline)"
+    );
+
+    /// @notice EIP-712 type hash of the claim authorization for escrowed tips.
+    bytes32 public constant CLAIM_TYPEHASH = keccak256(
+        "Claim(bytes32 recipientCommentCid,address recipient,uint256 deadline)"
+    );
+
+    /// @notice Maps (recipientCommentCid, feeRecipient[, token]) to an array of tips.
+    mapping(bytes32 => TipData[]) public tips;
+
+    /// @notice Maps (recipientCommentCid, feeRecipient[, token]) to the total amount tipped.
+    mapping(bytes32 => uint256) public tipsTotalAmounts;
+
+    /// @notice Maps (senderCommentCid, sender, recipientCommentCid, feeRecipient[, token]) to the total amount tipped by sender.
+    mapping(bytes32 => uint256) public senderTipsTotalAmounts;
+
+    /// @notice The minimum allowed tip amount (in wei). Can be changed by a moderator, after `parameterChangeDelay`.
+    uint256 public minimumTipAmount;
+
+    /// @notice The minimum allowed tip amount per ERC-20 token (in token units). Can be changed by a moderator.
+    mapping(address => uint256) public minimumTokenTipAmounts;
+
+    /// @notice Maps an account to the ETH credited to it by tips and not yet withdrawn.
+    mapping(address => uint256) public pendingBalances;
+
+    /// @notice Maps a recipient comment CID to the ETH tips escrowed for its author.
+    mapping(bytes32 => EscrowedTip[]) public escrowedTips;
+
+    /// @notice Maps a recipient comment CID to the total escrowed ETH not yet claimed or refunded.
+    mapping(bytes32 => uint256) public unclaimedTipsAmounts;
+
+    /// @notice ETH owed to accounts (pending balances and escrowed tips). Any balance above it was sent by mistake and can be rescued.
+    uint256 public totalReservedBalance;
+
+    /// @notice Seconds after which a sender can take back an unclaimed escrowed tip. Can be changed by a moderator.
+    uint256 public escrowRefundDelay;
+
+    /// @notice The fee in basis points (1 = 0.01%, between MIN_FEE_BASIS_POINTS and MAX_FEE_BASIS_POINTS). Can be changed by a moderator, after `parameterChangeDelay`.
+    uint256 public feeBasisPoints;
+
+    /// @notice Maps a fee recipient to the fee in basis points it charges on its tips, or 0 to use `feeBasisPoints`.
+    mapping(address => uint256) public communityFeeBasisPoints;
+
+    /// @notice Maps a sender to every tip it sent, in the order they were sent.
+    mapping(address => SenderTip[]) internal senderTips;
+
+    /// @notice Maps (recipient, token) to the lifetime amount the recipient received, after fees. address(0) is ETH.
+    mapping(address => mapping(address => uint256)) public recipientTotalAmounts;
+
+    /// @notice Maps (feeRecipient, token) to the lifetime fees the fee recipient collected. address(0) is ETH.
+    mapping(address => mapping(address => uint256)) public feeRecipientTotalAmounts;
+
+    /// @notice Seconds between scheduling a change of the minimum tip amount, the fee or this delay and executing it. Can be changed by the admin.
+    uint256 public parameterChangeDelay;
+
+    /// @notice Number of parameter changes ever scheduled, also the id of the next one.
+    uint256 public parameterChangeCount;
+
+    /// @notice Parameter changes scheduled and not executed or canceled yet.
+    ParameterChange[] internal pendingParameterChanges;
+
+    /// @notice Maps an address to whether moderators blocked it from receiving tips and fees (e.g. scams, phishing clones).
+    mapping(address => bool) public blocked;
+
+    /// @notice Number of tips stored in `tips` since sequences were added, also the sequence of the last one.
+    uint256 public tipsSequence;
+
+    /// @notice The lowest fee in basis points the moderators or a fee recipient can set (0.01%).
+    uint256 public constant MIN_FEE_BASIS_POINTS = 1;
+
+    /// @notice The highest fee in basis points the moderators or a fee recipient can set (20%).
+    uint256 public constant MAX_FEE_BASIS_POINTS = 2000;
+
+    /// @notice The longest `parameterChangeDelay` the admin can set, so scheduling never overflows and the delay can always be lowered again.
+    uint256 internal constant MAX_PARAMETER_CHANGE_DELAY = 30 days;
+
+    /// @notice Basis points in 100%.
+    uint256 internal constant BASIS_POINTS = 10000;
+
+    /// @notice Role identifier for moderators.
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+
+    /// @notice Role identifier for accounts that verify comment authorship and sign escrow claims.
+    bytes32 public constant CLAIM_SIGNER_ROLE = keccak256("CLAIM_SIGNER_ROLE");
+
+    /// @notice Role identifier for accounts allowed to upgrade the contract implementation.
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    /// @notice Role identifier for tipping modules (e.g. bounties) that send tips with ETH they hold for their users.
+    bytes32 public constant TIP_MODULE_ROLE = keccak256("TIP_MODULE_ROLE");
+
+    /**
+     * @notice Emitted when an ETH tip is sent.
+     * @param sender The address sending the tip.
+     * @param recipient The address receiving the tip.
+     * @param amount The total amount tipped.
+     * @param feeRecipient The address receiving the fee.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param senderCommentCid The comment CID of the sender (0x0 if none).
+     */
+    event Tip(
+        address indexed sender,
+        address indexed recipient,
+        uint256 amount,
+        address indexed feeRecipient,
+        bytes32 recipientCommentCid,
+        bytes32 senderCommentCid
+    );
+
+    /**
+     * @notice Emitted instead of `Tip` when an ERC-20 token tip is sent.
+     * @dev `sender` and `recipient` are the same topics as in `Tip`, so logs of both events can be read with one filter.
+     * @param sender The address sending the tip.
+     * @param recipient The address receiving the tip.
+     * @param token The ERC-20 token tipped.
+     * @param amount The total amount tipped, in token units.
+     * @param feeRecipient The address receiving the fee.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param senderCommentCid The comment CID of the sender (0x0 if none).
+     */
+    event TokenTip(
+        address indexed sender,
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        address feeRecipient,
+        bytes32 recipientCommentCid,
+        bytes32 senderCommentCid
+    );
+
+    /**
+     * @notice Emitted when an account withdraws its pending ETH balance.
+     * @param account The account that withdrew.
+     * @param amount The amount withdrawn.
+     */
+    event Withdrawal(address indexed account, uint256 amount);
+
+    /**
+     * @notice Emitted when a tip is escrowed for the author of a comment.
+     * @param sender The address sending the tip.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param index The index of the tip in `escrowedTips[recipientCommentCid]`.
+     * @param amount The amount escrowed.
+     * @param feeRecipient The address receiving the fee when the tip is claimed.
+     * @param senderCommentCid The comment CID of the sender (0x0 if none).
+     */
+    event TipEscrowed(
+        address indexed sender,
+        bytes32 indexed recipientCommentCid,
+        uint256 index,
+        uint256 amount,
+        address indexed feeRecipient,
+        bytes32 senderCommentCid
+    );
+
+    /**
+     * @notice Emitted when the escrowed tips of a comment are claimed by its author.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param recipient The address the tips were credited to.
+     * @param amount The total amount claimed.
+     */
+    event EscrowClaimed(bytes32 indexed recipientCommentCid, address indexed recipient, uint256 amount);
+
+    /**
+     * @notice Emitted when an escrowed tip is refunded to its sender.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param sender The address the tip was refunded to.
+     * @param index The index of the tip in `escrowedTips[recipientCommentCid]`.
+     * @param amount The amount refunded.
+     */
+    event EscrowRefunded(bytes32 indexed recipientCommentCid, address indexed sender, uint256 index, uint256 amount);
+
+    /**
+     * @notice Emitted when the admin rescues ETH or tokens sent to the contract by mistake.
+     * @param token The rescued ERC-20 token, or address(0) for ETH.
+     * @param to The address receiving the rescued funds.
+     * @param amount The amount rescued.
+     */
+    event FundsRescued(address indexed token, address indexed to, uint256 amount);
+
+    /**
+     * @notice Emitted when a fee recipient sets or clears its own fee.
+     * @param feeRecipient The fee recipient that changed its fee.
+     * @param communityFeeBasisPoints The new fee in basis points, or 0 if it falls back to `feeBasisPoints`.
+     */
+    event CommunityFeeBasisPointsChanged(address indexed feeRecipient, uint256 communityFeeBasisPoints);
+
+    /**
+     * @notice Emitted when a scheduled change of the minimum tip amount is executed.
+     * @param minimumTipAmount The new minimum tip amount (in wei).
+     */
+    event MinimumTipAmountChanged(uint256 minimumTipAmount);
+
+    /**
+     * @notice Emitted when a scheduled change of the global fee is executed.
+     * @param feeBasisPoints The new fee in basis points.
+     */
+    event FeeBasisPointsChanged(uint256 feeBasisPoints);
+
+    /**
+     * @notice Emitted when a moderator changes the minimum tip amount of an ERC-20 token.
+     * @param token The ERC-20 token address.
+     * @param minimumTokenTipAmount The new minimum tip amount (in token units).
+     */
+    event MinimumTokenTipAmountChanged(address indexed token, uint256 minimumTokenTipAmount);
+
+    /**
+     * @notice Emitted when a moderator changes the escrow refund delay.
+     * @param escrowRefundDelay The new refund delay (in seconds).
+     */
+    event EscrowRefundDelayChanged(uint256 escrowRefundDelay);
+
+    /**
+     * @notice Emitted when the admin changes the parameter change delay.
+     * @param parameterChangeDelay The new delay (in seconds).
+     */
+    event ParameterChangeDelayChanged(uint256 parameterChangeDelay);
+
+    /**
+     * @notice Emitted when a parameter change is scheduled.
+     * @param id The id of the change.
+     * @param parameter The parameter to change.
+     * @param value The new value of the parameter.
+     * @param executableAt Unix timestamp from which the change can be executed.
+     */
+    event ParameterChangeScheduled(uint256 indexed id, Parameter indexed parameter, uint256 value, uint256 executableAt);
+
+    /**
+     * @notice Emitted when the admin cancels a scheduled parameter change.
+     * @param id The id of the change.
+     */
+    event ParameterChangeCanceled(uint256 indexed id);
+
+    /**
+     * @notice Emitted when a moderator blocks an address from receiving tips and fees.
+     * @param account The blocked address.
+     */
+    event AccountBlocked(address indexed account);
+
+    /**
+     * @notice Emitted when a moderator unblocks an address.
+     * @param account The unblocked address.
+     */
+    event AccountUnblocked(address indexed account);
+
+    /**
+     * @notice Implementation constructor, locks the implementation so only proxies can be initialized.
+     */
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initialize the proxy, replaces the constructor.
+     * @param _admin The address to be granted DEFAULT_ADMIN_ROLE and UPGRADER_ROLE.
+     * @param _minimumTipAmount The minimum tip amount (in wei).
+     * @param _feeBasisPoints The fee in basis points (between 1 and 2000).
+     */
+    function initialize(address _admin, uint256 _minimumTipAmount, uint256 _feeBasisPoints) external initializer {
+        _checkFeeBasisPoints(_feeBasisPoints);
+        __AccessControl_init();
+        __EIP712_init("PlebbitTippingV1", "1");
+        __Nonces_init();
+        __Pausable_init();
+        __UUPSUpgradeable_init();
+
+        minimumTipAmount = _minimumTipAmount;
+        feeBasisPoints = _feeBasisPoints;
+        escrowRefundDelay = 30 days;
+        parameterChangeDelay = 2 days;
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(UPGRADER_ROLE, _admin);
+    }
+
+    /**
+     * @notice Send a tip to a recipient, with a portion going to a fee recipient.
+     * @dev The tip is tracked by both recipient and sender comment CIDs. The recipient and fee recipient
+     * shares are credited to their pending balances and paid out by `withdraw()`, so smart-contract
+     * wallets that need more than the 2300 gas stipend can receive tips.
+     * @param recipient The address to receive the tip.
+     * @param amount The total amount to tip (must match msg.value).
+     * @param feeRecipient The address to receive the fee.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @param recipientCommentCid The comment CID of the recipient.
+     */
+    function tip(
+        address recipient,
+        uint256 amount,
+        address feeRecipient,
+        bytes32 senderCommentCid,
+        bytes32 recipientCommentCid
+    ) external payable whenNotPaused {
+        require(msg.value == amount, "Sent value doesn't match amount");
+        _tipValue(msg.sender, recipient, feeRecipient, senderCommentCid, recipientCommentCid, true);
+    }
+
+    /**
+     * @notice Send a tip like `tip()` for less gas, without storing it in the tip history.
+     * @dev Credits the same balances and updates the same totals (`getTipsTotalAmount`, `getSenderTipsTotalAmount`,
+     * lifetime totals) and emits the same Tip event, but skips the `tips` and `senderTips` entries, which are most
+     * of a tip's storage writes. The tip is therefore missing from `getTips` and `getSenderTips`, clients list it
+     * from the Tip events instead.
+     * @param recipient The address to receive the tip.
+     * @param amount The total amount to tip (must match msg.value).
+     * @param feeRecipient The address to receive the fee.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @param recipientCommentCid The comment CID of the recipient.
+     */
+    function lightTip(
+        address recipient,
+        uint256 amount,
+        address feeRecipient,
+        bytes32 senderCommentCid,
+        bytes32 recipientCommentCid
+    ) external payable whenNotPaused {
+        require(msg.value == amount, "Sent value doesn't match amount");
+        _tipValue(msg.sender, recipient, feeRecipient, senderCommentCid, recipientCommentCid, false);
+    }
+
+    /**
+     * @notice Send a tip on behalf of a sender, with ETH a tipping module holds for it.
+     * @dev Only callable by accounts with TIP_MODULE_ROLE. The tip is stored, credited and emitted exactly like a
+     * `tip()` from `sender` of msg.value, so it counts toward the same totals and histories.
+     * @param sender The address the tip is recorded from.
+     * @param recipient The address to receive the tip.
+     * @param feeRecipient The address to receive the fee.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @param recipientCommentCid The comment CID of the recipient.
+     */
+    function tipFrom(
+        address sender,
+        address recipient,
+        address feeRecipient,
+        bytes32 senderCommentCid,
+        bytes32 recipientCommentCid
+    ) external payable onlyRole(TIP_MODULE_ROLE) whenNotPaused {
+        _tipValue(sender, recipient, feeRecipient, senderCommentCid, recipientCommentCid, true);
+    }
+
+    /**
+     * @notice Send several tips in one transaction, e.g. to every reply in a thread.
+     * @dev Each entry is stored and emits a Tip event exactly like a separate `tip()` call.
+     * All arrays must have the same length, and msg.value must equal the sum of `amounts`.
+     * @param recipients The addresses to receive the tips.
+     * @param amounts The total amount of each tip.
+     * @param feeRecipients The addresses to receive the fee of each tip.
+     * @param senderCommentCids Optional comment CIDs from the sender (0x0 if none).
+     * @param recipientCommentCids The comment CIDs of the recipients.
+     */
+    function batchTip(
+        address[] calldata recipients,
+        uint256[] calldata amounts,
+        address[] calldata feeRecipients,
+        bytes32[] calldata senderCommentCids,
+        bytes32[] calldata recipientCommentCids
+    ) external payable whenNotPaused {
+        require(recipients.length > 0, "No tips in batch");
+        require(
+            recipients.length == amounts.length &&
+            recipients.length == feeRecipients.length &&
+            recipients.length == senderCommentCids.length &&
+            recipients.length == recipientCommentCids.length,
+            "Arrays length mismatch"
+        );
+
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(amounts[i] >= minimumTipAmount, "Tip amount is too low");
+            totalAmount += amounts[i];
+            _tipEth(msg.sender, recipients[i], amounts[i], feeRecipients[i], senderCommentCids[i], recipientCommentCids[i], true);
+        }
+        require(msg.value == totalAmount, "Sent value doesn't match amount");
+        totalReservedBalance += msg.value;
+    }
+
+    /**
+     * @notice Send an ERC-20 token tip to a recipient, with a portion going to a fee recipient.
+     * @dev The sender must have approved this contract for at least `amount` of `token`.
+     * Fee-on-transfer and rebasing tokens are not supported.
+     * @param token The ERC-20 token to tip with.
+     * @param recipient The address to receive the tip.
+     * @param amount The total amount of tokens to tip.
+     * @param feeRecipient The address to receive the fee.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @param recipientCommentCid The comment CID of the recipient.
+     */
+    function tipToken(
+        address token,
+        address recipient,
+        uint256 amount,
+        address feeRecipient,
+        bytes32 senderCommentCid,
+        bytes32 recipientCommentCid
+    ) external whenNotPaused {
+        _tipToken(msg.sender, token, recipient, amount, feeRecipient, senderCommentCid, recipientCommentCid);
+    }
+
+    /**
+     * @notice Submit a token tip signed by its sender, so the sender doesn't need gas.
+     * @dev Callable by anyone (typically a relayer). The tokens are pulled from `intent.sender`, who must
+     * have approved this contract, and the tip is recorded with `intent.sender` as the sender.
+     * @param intent The signed tip intent.
+     * @param signature The sender's EIP-712 signature of the intent.
+     */
+    function tipWithSignature(TipIntent calldata intent, bytes calldata signature) external whenNotPaused {
+        require(block.timestamp <= intent.deadline, "Tip intent expired");
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(TIP_INTENT_TYPEHASH, intent)));
+        require(ECDSA.recover(digest, signature) == intent.sender, "Invalid tip intent signature");
+        _useCheckedNonce(intent.sender, intent.nonce);
+
+        _tipToken(
+            intent.sender,
+            intent.token,
+            intent.recipient,
+            intent.amount,
+            intent.feeRecipient,
+            intent.senderCommentCid,
+            intent.recipientCommentCid
+        );
+    }
+
+    /**
+     * @notice Cancel a signed tip intent that hasn't been relayed yet by using up its nonce.
+     * @param nonce The nonce of the intent to cancel, must be the caller's current nonce.
+     */
+    function cancelTipIntent(uint256 nonce) external {
+        _useCheckedNonce(msg.sender, nonce);
+    }
+
+    /**
+     * @notice Get the EIP-712 domain separator used to sign tip intents.
+     * @return The domain separator for this contract and chain.
+     */
+    function getDomainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @notice Withdraw the caller's pending ETH balance.
+     * @dev The balance is cleared before the transfer, so re-entering cannot withdraw twice.
+     */
+    function withdraw() external {
+        uint256 amount = pendingBalances[msg.sender];
+        require(amount > 0, "No balance to withdraw");
+        pendingBalances[msg.sender] = 0;
+        totalReservedBalance -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    /**
+     * @notice Reject plain ETH transfers, which would not be credited to anyone.
+     */
+    receive() external payable {
+        revert("Use tip() to send ETH");
+    }
+
+    /**
+     * @notice Get the pending ETH balances of multiple accounts.
+     * @param accounts Array of account addresses.
+     * @return balances Array of pending balances for each account.
+     */
+    function getPendingBalances(address[] calldata accounts) external view returns (uint256[] memory) {
+        uint256[] memory balances = new uint256[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            balances[i] = pendingBalances[accounts[i]];
+        }
+        return balances;
+    }
+
+    /**
+     * @notice Tip the author of a comment who hasn't published a wallet address yet.
+     * @dev The ETH is held in escrow until the author claims it with `claimEscrowedTips`, or until the
+     * sender takes it back with `refundEscrowedTip` after `escrowRefundDelay`. The tip is only recorded
+     * (and emits a Tip event) when it is claimed.
+     * @param amount The total amount to tip (must match msg.value).
+     * @param feeRecipient The address to receive the fee when the tip is claimed.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @param recipientCommentCid The comment CID of the recipient.
+     */
+    function tipEscrow(
+        uint256 amount,
+        address feeRecipient,
+        bytes32 senderCommentCid,
+        bytes32 recipientCommentCid
+    ) external payable whenNotPaused {
+        require(msg.value >= minimumTipAmount, "Tip amount is too low");
+        require(msg.value == amount, "Sent value doesn't match amount");
+        require(amount <= type(uint96).max, "Tip amount is too high");
+        require(!blocked[feeRecipient], "Fee recipient is blocked");
+
+        escrowedTips[recipientCommentCid].push(EscrowedTip({
+            sender: msg.sender,
+            amount: uint96(amount),
+            feeRecipient: feeRecipient,
+            timestamp: uint64(block.timestamp),
+            settled: false,
+            senderCommentCid: senderCommentCid
+        }));
+        unclaimedTipsAmounts[recipientCommentCid] += amount;
+        totalReservedBalance += amount;
+
+        emit TipEscrowed(msg.sender, recipientCommentCid, escrowedTips[recipientCommentCid].length - 1, amount, feeRecipient, senderCommentCid);
+    }
+
+    /**
+     * @notice Claim a page of the unsettled escrowed tips of a comment for its author.
+     * @dev Plebbit authors sign with keys that can't be verified on-chain, so authorship is verified off-chain
+     * by an account with CLAIM_SIGNER_ROLE, which signs an EIP-712 Claim naming the author's wallet. Callable by
+     * anyone, the tips are always credited to `recipient`. Each tip is recorded as if it had been sent to
+     * `recipient` with `tip()`. Goes through at most `count` escrowed tips from `start` and skips settled ones, so
+     * a comment with many escrowed tips is claimed over several calls with the same authorization. A tip whose fee
+     * recipient was blocked after it was escrowed can't be recorded, it is refunded to its sender instead.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param recipient The author's wallet address, credited with the tips.
+     * @param deadline The timestamp after which the claim authorization expires.
+     * @param signature The claim signer's EIP-712 signature of the claim.
+     * @param start The index of the first escrowed tip to go through.
+     * @param count The maximum number of escrowed tips to go through.
+     */
+    function claimEscrowedTips(
+        bytes32 recipientCommentCid,
+        address recipient,
+        uint256 deadline,
+        bytes calldata signature,
+        uint256 start,
+        uint256 count
+    ) external whenNotPaused {
+        require(block.timestamp <= deadline, "Claim authorization expired");
+        require(recipient != address(0), "Invalid recipient address");
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(CLAIM_TYPEHASH, recipientCommentCid, recipient, deadline)));
+        require(hasRole(CLAIM_SIGNER_ROLE, ECDSA.recover(digest, signature)), "Invalid claim signature");
+        require(unclaimedTipsAmounts[recipientCommentCid] > 0, "No escrowed tips to claim");
+
+        EscrowedTip[] storage escrowed = escrowedTips[recipientCommentCid];
+        uint256 end = escrowed.length;
+        if (start < end && count < end - start) {
+            end = start + count;
+        }
+        uint256 claimedAmount = 0;
+        uint256 settledAmount = 0;
+        for (uint256 i = start; i < end; i++) {
+            EscrowedTip storage escrowedTip = escrowed[i];
+            if (escrowedTip.settled) {
+                continue;
+            }
+            escrowedTip.settled = true;
+            settledAmount += escrowedTip.amount;
+            if (blocked[escrowedTip.feeRecipient]) {
+                pendingBalances[escrowedTip.sender] += escrowedTip.amount;
+                emit EscrowRefunded(recipientCommentCid, escrowedTip.sender, i, escrowedTip.amount);
+                continue;
+            }
+            claimedAmount += escrowedTip.amount;
+            _tipEth(escrowedTip.sender, recipient, escrowedTip.amount, escrowedTip.feeRecipient, escrowedTip.senderCommentCid, recipientCommentCid, true);
+        }
+        unclaimedTipsAmounts[recipientCommentCid] -= settledAmount;
+
+        emit EscrowClaimed(recipientCommentCid, recipient, claimedAmount);
+    }
+
+    /**
+     * @notice Take back an escrowed tip that its recipient didn't claim within `escrowRefundDelay`.
+     * @dev The amount is credited to the sender's pending balance, paid out by `withdraw()`.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param index The index of the tip in `escrowedTips[recipientCommentCid]`.
+     */
+    function refundEscrowedTip(bytes32 recipientCommentCid, uint256 index) external {
+        require(index < escrowedTips[recipientCommentCid].length, "Invalid escrowed tip index");
+        EscrowedTip storage escrowedTip = escrowedTips[recipientCommentCid][index];
+        require(escrowedTip.sender == msg.sender, "Only the sender can refund");
+        require(!escrowedTip.settled, "Escrowed tip already settled");
+        require(block.timestamp >= escrowedTip.timestamp + escrowRefundDelay, "Refund delay has not passed");
+
+        escrowedTip.settled = true;
+        unclaimedTipsAmounts[recipientCommentCid] -= escrowedTip.amount;
+        pendingBalances[msg.sender] += escrowedTip.amount;
+
+        emit EscrowRefunded(recipientCommentCid, msg.sender, index, escrowedTip.amount);
+    }
+
+    /**
+     * @notice Get every escrowed tip of a comment, including already settled ones.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @return Array of escrowed tips, indexed like `escrowedTips[recipientCommentCid]`.
+     */
+    function getEscrowedTips(bytes32 recipientCommentCid) external view returns (EscrowedTip[] memory) {
+        return escrowedTips[recipientCommentCid];
+    }
+
+    /**
+     * @notice Get the total amount tipped for a recipient comment and a list of fee recipients.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @return total The total amount tipped for the given parameters.
+     */
+    function getTipsTotalAmount(
+        bytes32 recipientCommentCid,
+        address[] calldata feeRecipients
+    ) external view returns (uint256) {
+        return _getTipsTotalAmount(recipientCommentCid, feeRecipients, address(0));
+    }
+
+    /**
+     * @notice Get the total amounts tipped for multiple recipient comments and fee recipients.
+     * @param recipientCommentCids Array of recipient comment CIDs.
+     * @param feeRecipients Array of arrays of fee recipient addresses.
+     * @return totals Array of total amounts for each recipient comment.
+     */
+    function getTipsTotalAmounts(
+        bytes32[] calldata recipientCommentCids,
+        address[][] calldata feeRecipients
+    ) external view returns (uint256[] memory) {
+        return _getTipsTotalAmounts(recipientCommentCids, feeRecipients, address(0));
+    }
+
+    /**
+     * @notice Get the total amounts tipped for multiple recipient comments, using the same fee recipients for each.
+     * @param recipientCommentCids Array of recipient comment CIDs.
+     * @param feeRecipients Array of fee recipient addresses.
+     * @return totals Array of total amounts for each recipient comment.
+     */
+    function getTipsTotalAmountsSameFeeRecipients(
+        bytes32[] calldata recipientCommentCids,
+        address[] calldata feeRecipients
+    ) external view returns (uint256[] memory) {
+        return _getTipsTotalAmountsSameFeeRecipients(recipientCommentCids, feeRecipients, address(0));
+    }
+
+    /**
+     * @notice Get the total amount of an ERC-20 token tipped for a recipient comment and a list of fee recipients.
+     * @param token The ERC-20 token address.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @return total The total amount of tokens tipped for the given parameters.
+     */
+    function getTokenTipsTotalAmount(
+        address token,
+        bytes32 recipientCommentCid,
+        address[] calldata feeRecipients
+    ) external view returns (uint256) {
+        return _getTipsTotalAmount(recipientCommentCid, feeRecipients, token);
+    }
+
+    /**
+     * @notice Get the total amounts of an ERC-20 token tipped for multiple recipient comments and fee recipients.
+     * @param token The ERC-20 token address.
+     * @param recipientCommentCids Array of recipient comment CIDs.
+     * @param feeRecipients Array of arrays of fee recipient addresses.
+     * @return totals Array of total token amounts for each recipient comment.
+     */
+    function getTokenTipsTotalAmounts(
+        address token,
+        bytes32[] calldata recipientCommentCids,
+        address[][] calldata feeRecipients
+    ) external view returns (uint256[] memory) {
+        return _getTipsTotalAmounts(recipientCommentCids, feeRecipients, token);
+    }
+
+    /**
+     * @notice Get the total amounts of an ERC-20 token tipped for multiple recipient comments, using the same fee recipients for each.
+     * @param token The ERC-20 token address.
+     * @param recipientCommentCids Array of recipient comment CIDs.
+     * @param feeRecipients Array of fee recipient addresses.
+     * @return totals Array of total token amounts for each recipient comment.
+     */
+    function getTokenTipsTotalAmountsSameFeeRecipients(
+        address token,
+        bytes32[] calldata recipientCommentCids,
+        address[] calldata feeRecipients
+    ) external view returns (uint256[] memory) {
+        return _getTipsTotalAmountsSameFeeRecipients(recipientCommentCids, feeRecipients, token);
+    }
+
+    /**
+     * @notice Get the number of tips for a recipient comment and fee recipients.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @return count The number of tips, to compute the pages of `getTips` and `getTipsNewestFirst`.
+     */
+    function getTipsCount(bytes32 recipientCommentCid, address[] calldata feeRecipients) external view returns (uint256) {
+        return _getTipsCount(recipientCommentCid, feeRecipients, address(0));
+    }
+
+    /**
+     * @notice Get the amounts of individual tips for a recipient comment and fee recipients, with pagination.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @param offset The starting index for pagination.
+     * @param limit The maximum number of results to return.
+     * @return amounts Array of tip amounts.
+     */
+    function getTipsAmounts(
+        bytes32 recipientCommentCid,
+        address[] calldata feeRecipients,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory amounts) {
+        TipData[] memory page = _getTipsPage(recipientCommentCid, feeRecipients, address(0), offset, limit, false);
+        amounts = new uint256[](page.length);
+        for (uint256 i = 0; i < page.length; i++) {
+            amounts[i] = page[i].amount;
+        }
+    }
+
+    /**
+     * @notice Get the TipData structs for a recipient comment and fee recipients, with pagination.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @param offset The starting index for pagination.
+     * @param limit The maximum number of results to return.
+     * @return result Array of TipData structs.
+     */
+    function getTips(
+        bytes32 recipientCommentCid,
+        address[] calldata feeRecipients,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TipData[] memory) {
+        return _getTipsPage(recipientCommentCid, feeRecipients, address(0), offset, limit, false);
+    }
+
+    /**
+     * @notice Get the TipData structs for a recipient comment and fee recipients, newest first, with pagination.
+     * @dev Returns `getTips` in reverse order: offset 0 is the latest tip of the last fee recipient. To page the tips
+     * of several fee recipients in the order they were sent, read each fee recipient's first `offset + limit` tips and
+     * order them by `timestamp`, then `sequence`.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @param offset The number of newest tips to skip.
+     * @param limit The maximum number of results to return.
+     * @return result Array of TipData structs, newest first.
+     */
+    function getTipsNewestFirst(
+        bytes32 recipientCommentCid,
+        address[] calldata feeRecipients,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (TipData[] memory) {
+        return _getTipsPage(recipientCommentCid, feeRecipients, address(0), offset, limit, true);
+    }
+
+    /**
+     * @notice Get the number of ERC-20 token tips for a recipient comment and fee recipients.
+     * @param token The ERC-20 token address.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @return count The number of token tips.
+     */
+    function getTokenTipsCount(
+        address token,
+        bytes32 recipientCommentCid,
+        address[] calldata feeRecipients
+    ) external view returns (uint256) {
+        return _getTipsCount(recipientCommentCid, feeRecipients, token);
+    }
+
+    /**
+     * @notice Get the TipData structs of ERC-20 token tips for a recipient comment and fee recipients, with pagination.
+     * @param token The ERC-20 token address.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @param offset The starting index for pagination.
+     * @param limit The maximum number of results to return.
+     * @param newestFirst Whether to page from the latest tip, like `getTipsNewestFirst`.
+     * @return result Array of TipData structs.
+     */
+    function getTokenTips(
+        address token,
+        bytes32 recipientCommentCid,
+        address[] calldata feeRecipients,
+        uint256 offset,
+        uint256 limit,
+        bool newestFirst
+    ) external view returns (TipData[] memory) {
+        return _getTipsPage(recipientCommentCid, feeRecipients, token, offset, limit, newestFirst);
+    }
+
+    /**
+     * @notice Get the lifetime amounts received by multiple recipients, after fees.
+     * @param token The ERC-20 token address, or address(0) for ETH.
+     * @param recipients Array of recipient addresses.
+     * @return totals Array of total amounts for each recipient.
+     */
+    function getRecipientTotalAmounts(address token, address[] calldata recipients) external view returns (uint256[] memory totals) {
+        totals = new uint256[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            totals[i] = recipientTotalAmounts[recipients[i]][token];
+        }
+    }
+
+    /**
+     * @notice Get the lifetime fees collected by multiple fee recipients.
+     * @param token The ERC-20 token address, or address(0) for ETH.
+     * @param feeRecipients Array of fee recipient addresses.
+     * @return totals Array of total fees for each fee recipient.
+     */
+    function getFeeRecipientTotalAmounts(address token, address[] calldata feeRecipients) external view returns (uint256[] memory totals) {
+        totals = new uint256[](feeRecipients.length);
+        for (uint256 i = 0; i < feeRecipients.length; i++) {
+            totals[i] = feeRecipientTotalAmounts[feeRecipients[i]][token];
+        }
+    }
+
+    /**
+     * @notice Get the number of tips a sender has sent, across all comments, fee recipients and tokens.
+     * @param sender The address of the tip sender.
+     * @return count The number of tips.
+     */
+    function getSenderTipsCount(address sender) external view returns (uint256) {
+        return senderTips[sender].length;
+    }
+
+    /**
+     * @notice Get the tips a sender has sent, across all comments, fee recipients and tokens, with pagination.
+     * @param sender The address of the tip sender.
+     * @param offset The number of tips to skip.
+     * @param limit The maximum number of results to return.
+     * @param newestFirst Whether to start from the latest tip.
+     * @return result Array of SenderTipData structs.
+     */
+    function getSenderTips(
+        address sender,
+        uint256 offset,
+        uint256 limit,
+        bool newestFirst
+    ) external view returns (SenderTipData[] memory result) {
+        SenderTip[] storage history = senderTips[sender];
+        if (offset >= history.length) {
+            return new SenderTipData[](0);
+        }
+        if (offset + limit > history.length) {
+            limit = history.length - offset;
+        }
+
+        result = new SenderTipData[](limit);
+        for (uint256 i = 0; i < limit; i++) {
+            SenderTip storage entry = history[newestFirst ? history.length - 1 - offset - i : offset + i];
+            result[i] = SenderTipData(
+                entry.recipientCommentCid,
+                entry.token,
+                tips[_tipKey(entry.recipientCommentCid, entry.feeRecipient, entry.token)][entry.index]
+            );
+        }
+    }
+
+    /**
+     * @notice Get the total amount tipped by a sender for a given sender comment, recipient comment, and fee recipients.
+     * @param senderCommentCid The comment CID from the sender (0x0 if none).
+     * @param sender The address of the tip sender.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @return total The total amount tipped by the sender for these parameters.
+     */
+    function getSenderTipsTotalAmount(
+        bytes32 senderCommentCid,
+        address sender,
+        bytes32 recipientCommentCid,
+        address[] calldata feeRecipients
+    ) external view returns (uint256) {
+        return _getSenderTipsTotalAmount(senderCommentCid, sender, recipientCommentCid, feeRecipients);
+    }
+
+    /**
+     * @notice Get the total amounts tipped by a sender for multiple recipient comments and fee recipients.
+     * @param senderCommentCid The comment CID from the sender (0x0 if none).
+     * @param sender The address of the tip sender.
+     * @param recipientCommentCids Array of recipient comment CIDs.
+     * @param feeRecipients Array of arrays of fee recipient addresses.
+     * @return totals Array of total amounts for each recipient comment.
+     */
+    function getSenderTipsTotalAmounts(
+        bytes32 senderCommentCid,
+        address sender,
+        bytes32[] calldata recipientCommentCids,
+        address[][] calldata feeRecipients
+    ) external view returns (uint256[] memory) {
+        require(recipientCommentCids.length == feeRecipients.length, "Arrays length mismatch");
+        uint256[] memory totals = new uint256[](recipientCommentCids.length);
+        for (uint256 i = 0; i < recipientCommentCids.length; i++) {
+            totals[i] = _getSenderTipsTotalAmount(senderCommentCid, sender, recipientCommentCids[i], feeRecipients[i]);
+        }
+        return totals;
+    }
+
+    /**
+     * @notice Get the total amounts tipped by a sender for multiple recipient comments, using the same fee recipients for each.
+     * @param senderCommentCid The comment CID from the sender (0x0 if none).
+     * @param sender The address of the tip sender.
+     * @param recipientCommentCids Array of recipient comment CIDs.
+     * @param feeRecipients Array of fee recipient addresses.
+     * @return totals Array of total amounts for each recipient comment.
+     */
+    function getSenderTipsTotalAmountsSameFeeRecipients(
+        bytes32 senderCommentCid,
+        address sender,
+        bytes32[] calldata recipientCommentCids,
+        address[] calldata feeRecipients
+    ) external view returns (uint256[] memory) {
+        uint256[] memory totals = new uint256[](recipientCommentCids.length);
+        for (uint256 i = 0; i < recipientCommentCids.length; i++) {
+            totals[i] = _getSenderTipsTotalAmount(senderCommentCid, sender, recipientCommentCids[i], feeRecipients);
+        }
+        return totals;
+    }
+
+    /**
+     * @notice Set the fee charged on tips that name the caller as fee recipient.
+     * @dev Lets each community (subplebbit) choose its own fee within MIN_FEE_BASIS_POINTS and MAX_FEE_BASIS_POINTS.
+     * Pass 0 to clear it and fall back to the global `feeBasisPoints`.
+     * @param _feeBasisPoints The new fee in basis points, or 0 to use the global one.
+     */
+    function setCommunityFeeBasisPoints(uint256 _feeBasisPoints) external {
+        require(
+            _feeBasisPoints == 0 || (_feeBasisPoints >= MIN_FEE_BASIS_POINTS && _feeBasisPoints <= MAX_FEE_BASIS_POINTS),
+            "Fee must be between 1 and 2000 basis points"
+        );
+        communityFeeBasisPoints[msg.sender] = _feeBasisPoints;
+        emit CommunityFeeBasisPointsChanged(msg.sender, _feeBasisPoints);
+    }
+
+    /**
+     * @notice Get the fee in basis points applied to tips for a fee recipient.
+     * @param feeRecipient The fee recipient address.
+     * @return The fee recipient's own fee, or the global `feeBasisPoints` if it has none.
+     */
+    function getFeeBasisPoints(address feeRecipient) public view returns (uint256) {
+        uint256 communityFee = communityFeeBasisPoints[feeRecipient];
+        return communityFee > 0 ? communityFee : feeBasisPoints;
+    }
+
+    /**
+     * @notice Preview how an ETH tip would be split, with the same rounding as `tip()`.
+     * @dev The fee is rounded down, so the recipient gets any remainder.
+     * @param amount The total amount to tip (in wei).
+     * @param feeRecipient The fee recipient of the tip.
+     * @return fee The amount credited to the fee recipient.
+     * @return recipientAmount The amount credited to the tip recipient.
+     * @return minimumAmount The minimum tip amount `tip()` accepts.
+     */
+    function previewTip(uint256 amount, address feeRecipient)
+        external
+        view
+        returns (uint256 fee, uint256 recipientAmount, uint256 minimumAmount)
+    {
+        fee = _calculateFee(amount, feeRecipient);
+        recipientAmount = amount - fee;
+        minimumAmount = minimumTipAmount;
+    }
+
+    // Admin functions
+
+    /**
+     * @notice Pause tipping, e.g. while a bug is investigated. Withdrawals and escrow refunds stay available.
+     * @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Emits Paused.
+     */
+    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Resume tipping after a pause.
+     * @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Emits Unpaused.
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Send ETH that reached the contract without being tipped (e.g. forced by selfdestruct) to an address.
+     * @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. ETH owed to accounts (`totalReservedBalance`) can't be rescued.
+     * @param to The address receiving the rescued ETH.
+     * @param amount The amount to rescue.
+     */
+    function rescueEth(address payable to, uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(to != address(0), "Invalid recipient address");
+        require(amount <= address(this).balance - totalReservedBalance, "Amount exceeds stray balance");
+
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "Rescue failed");
+
+        emit FundsRescued(address(0), to, amount);
+    }
+
     /**
-     * @notice Struct representing a single tip.
-     * @param amount The amount of ETH tipped (uint96 for gas savings).
-     * @param feeRecipient The address receiving the fee portion.
-     * @param sender The address of the tip sender.
-     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @notice Send ERC-20 tokens transferred to the contract by mistake to an address.
+     * @dev Only callable by accounts with DEFAULT_ADMIN_ROLE. Token tips are never held by the contract.
+     * @param token The ERC-20 token to rescue.
+     * @param to The address receiving the rescued tokens.
+     * @param amount The amount to rescue.
      */
-    struct TipData {
-        uint96 amount;
-        address feeRecipient;
-        address sender;
-        bytes32 senderCommentCid;
+    function rescueToken(address token, address to, uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0), "Invalid token address");
+        require(to != address(0), "Invalid recipient address");
+        IERC20(token).safeTransfer(to, amount);
+
+        emit FundsRescued(token, to, amount);
     }
 
-    /// @notice Maps (recipientCommentCid, feeRecipient) to an array of tips.
-    mapping(bytes32 => TipData[]) public tips;
+    /**
+     * @notice Schedule a change of the minimum tip amount, the global fee or the parameter change delay.
+     * @dev The minimum tip amount and the fee are scheduled by MODERATOR_ROLE, the delay by DEFAULT_ADMIN_ROLE.
+     * The change takes effect when executed, `parameterChangeDelay` seconds from now at the earliest, so users
+     * get advance notice. The fee must be between 1 and 2000 basis points (0.01% to 20%) and the delay at most
+     * 30 days.
+     * @param parameter The parameter to change.
+     * @param value The new value of the parameter.
+     * @return id The id of the scheduled change.
+     */
+    function scheduleParameterChange(Parameter parameter, uint256 value) external returns (uint256 id) {
+        _checkRole(parameter == Parameter.ParameterChangeDelay ? DEFAULT_ADMIN_ROLE : MODERATOR_ROLE);
+        if (parameter == Parameter.FeeBasisPoints) {
+            _checkFeeBasisPoints(value);
+        } else if (parameter == Parameter.ParameterChangeDelay) {
+            require(value <= MAX_PARAMETER_CHANGE_DELAY, "Delay must be at most 30 days");
+        }
 
-    /// @notice Maps (recipientCommentCid, feeRecipient) to the total amount tipped.
-    mapping(bytes32 => uint256) public tipsTotalAmounts;
+        id = parameterChangeCount++;
+        uint256 executableAt = block.timestamp + parameterChangeDelay;
+        pendingParameterChanges.push(ParameterChange(id, parameter, value, executableAt));
 
-    /// @notice Maps (senderCommentCid, sender, recipientCommentCid, feeRecipient) to the total amount tipped by sender.
-    mapping(bytes32 => uint256) public senderTipsTotalAmounts;
+        emit ParameterChangeScheduled(id, parameter, value, executableAt);
+    }
 
-    /// @notice The minimum allowed tip amount (in wei). Can be changed by a moderator.
-    uint256 public minimumTipAmount;
+    /**
+     * @notice Apply a scheduled parameter change once its delay has passed.
+     * @dev Callable by anyone, so a change takes effect even if its moderator doesn't execute it.
+     * @param id The id of the change.
+     */
+    function executeParameterChange(uint256 id) external {
+        ParameterChange memory change = pendingParameterChanges[_findPendingParameterChange(id)];
+        require(block.timestamp >= change.executableAt, "Parameter change is not executable yet");
+        _removePendingParameterChange(id);
 
-    /// @notice The fee percentage (between 1 and 20). Can be changed by a moderator.
-    uint256 public feePercent;
+        if (change.parameter == Parameter.MinimumTipAmount) {
+            minimumTipAmount = change.value;
+            emit MinimumTipAmountChanged(change.value);
+        } else if (change.parameter == Parameter.FeeBasisPoints) {
+            feeBasisPoints = change.value;
+            emit FeeBasisPointsChanged(change.value);
+        } else {
+            parameterChangeDelay = change.value;
+            emit ParameterChangeDelayChanged(change.value);
+        }
+    }
 
-    /// @notice Role identifier for moderators.
-    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+    /**
+     * @notice Cancel a scheduled parameter change before it is executed.
+     * @dev Only callable by accounts with DEFAULT_ADMIN_ROLE.
+     * @param id The id of the change.
+     */
+    function cancelParameterChange(uint256 id) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _removePendingParameterChange(id);
+        emit ParameterChangeCanceled(id);
+    }
 
     /**
-     * @notice Emitted when a tip is sent.
-     * @param sender The address sending the tip.
+     * @notice Get the parameter changes scheduled and not executed or canceled yet.
+     * @return changes The pending changes, in no particular order.
+     */
+    function getPendingParameterChanges() external view returns (ParameterChange[] memory changes) {
+        return pendingParameterChanges;
+    }
+
+    /**
+     * @notice Set how long senders must wait before refunding an unclaimed escrowed tip.
+     * @dev Only callable by accounts with MODERATOR_ROLE. Applies to tips already in escrow.
+     * @param _escrowRefundDelay The new refund delay (in seconds).
+     */
+    function setEscrowRefundDelay(uint256 _escrowRefundDelay) external onlyRole(MODERATOR_ROLE) {
+        escrowRefundDelay = _escrowRefundDelay;
+        emit EscrowRefundDelayChanged(_escrowRefundDelay);
+    }
+
+    /**
+     * @notice Set the minimum allowed tip amount for an ERC-20 token.
+     * @dev Only callable by accounts with MODERATOR_ROLE. Tokens without a minimum accept any non-zero tip.
+     * @param token The ERC-20 token address.
+     * @param _minimumTokenTipAmount The new minimum tip amount (in token units).
+     */
+    function setMinimumTokenTipAmount(address token, uint256 _minimumTokenTipAmount) external onlyRole(MODERATOR_ROLE) {
+        require(token != address(0), "Invalid token address");
+        minimumTokenTipAmounts[token] = _minimumTokenTipAmount;
+        emit MinimumTokenTipAmountChanged(token, _minimumTokenTipAmount);
+    }
+
+    /**
+     * @notice Block or unblock addresses from receiving tips and fees.
+     * @dev Only callable by accounts with MODERATOR_ROLE. Tips already credited to a pending balance can still be
+     * withdrawn, escrowed tips can't be claimed by a blocked author and can be refunded to their senders.
+     * @param accounts The addresses to block or unblock.
+     * @param _blocked True to block, false to unblock.
+     */
+    function setBlocked(address[] calldata accounts, bool _blocked) external onlyRole(MODERATOR_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (blocked[accounts[i]] == _blocked) {
+                continue;
+            }
+            blocked[accounts[i]] = _blocked;
+            if (_blocked) {
+                emit AccountBlocked(accounts[i]);
+            } else {
+                emit AccountUnblocked(accounts[i]);
+            }
+        }
+    }
+
+    /**
+     * @notice Check whether addresses are blocked from receiving tips and fees.
+     * @param accounts The addresses to check.
+     * @return An array with whether each address is blocked.
+     */
+    function isBlocked(address[] calldata accounts) external view returns (bool[] memory) {
+        bool[] memory result = new bool[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            result[i] = blocked[accounts[i]];
+        }
+        return result;
+    }
+
+    // Internal functions
+
+    /**
+     * @notice Find a pending parameter change by id.
+     * @param id The id of the change.
+     * @return index The index of the change in `pendingParameterChanges`.
+     */
+    function _findPendingParameterChange(uint256 id) internal view returns (uint256 index) {
+        uint256 length = pendingParameterChanges.length;
+        for (index = 0; index < length; index++) {
+            if (pendingParameterChanges[index].id == id) {
+                return index;
+            }
+        }
+        revert("Unknown parameter change");
+    }
+
+    /**
+     * @notice Remove a pending parameter change, moving the last one into its place.
+     * @param id The id of the change.
+     */
+    function _removePendingParameterChange(uint256 id) internal {
+        uint256 index = _findPendingParameterChange(id);
+        pendingParameterChanges[index] = pendingParameterChanges[pendingParameterChanges.length - 1];
+        pendingParameterChanges.pop();
+    }
+
+    /**
+     * @notice Revert unless a fee is between MIN_FEE_BASIS_POINTS and MAX_FEE_BASIS_POINTS.
+     * @param value The fee in basis points.
+     */
+    function _checkFeeBasisPoints(uint256 value) private pure {
+        require(
+            value >= MIN_FEE_BASIS_POINTS && value <= MAX_FEE_BASIS_POINTS,
+            "Fee must be between 1 and 2000 basis points"
+        );
+    }
+
+    /**
+     * @notice Restrict upgrades of the implementation to UPGRADER_ROLE.
+     * @param newImplementation The address of the new implementation.
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /**
+     * @notice Calculate the fee portion of a tip amount.
+     * @param amount The total tip amount.
+     * @param feeRecipient The fee recipient, whose own fee applies if it set one.
+     * @return fee The fee portion, rounded down.
+     */
+    function _calculateFee(uint256 amount, address feeRecipient) internal view returns (uint256) {
+        return (amount * getFeeBasisPoints(feeRecipient)) / BASIS_POINTS;
+    }
+
+    /**
+     * @notice Credit an ETH tip to the recipient and fee recipient, then store it.
+     * @param sender The address of the tip sender.
      * @param recipient The address receiving the tip.
      * @param amount The total amount tipped.
      * @param feeRecipient The address receiving the fee.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
      * @param recipientCommentCid The comment CID of the recipient.
-     * @param senderCommentCid The comment CID of the sender (0x0 if none).
+     * @param withHistory Whether to store the tip in `tips` and `senderTips`, or only count it in the totals.
      */
-    event Tip(
-        address indexed sender,
-        address indexed recipient,
+    function _tipEth(
+        address sender,
+        address recipient,
         uint256 amount,
-        address indexed feeRecipient,
+        address feeRecipient,
+        bytes32 senderCommentCid,
         bytes32 recipientCommentCid,
-        bytes32 senderCommentCid
-    );
+        bool withHistory
+    ) internal {
+        // Calculate fee and recipient amount
+        uint256 fee = _calculateFee(amount, feeRecipient);
+        uint256 receivedAmount = amount - fee;
+
+        // Credit fee and tip, paid out on withdraw
+        pendingBalances[feeRecipient] += fee;
+        pendingBalances[recipient] += receivedAmount;
+        feeRecipientTotalAmounts[feeRecipient][address(0)] += fee;
+        recipientTotalAmounts[recipient][address(0)] += receivedAmount;
+
+        _recordTip(sender, recipient, amount, feeRecipient, senderCommentCid, recipientCommentCid, address(0), withHistory);
+    }
 
     /**
-     * @notice Contract constructor.
-     * @param _admin The address to be granted DEFAULT_ADMIN_ROLE.
-     * @param _minimumTipAmount The minimum tip amount (in wei).
-     * @param _feePercent The fee percentage (between 1 and 20).
+     * @notice Check and reserve the ETH sent with the call, then tip all of it.
+     * @param sender The address of the tip sender.
+     * @param recipient The address receiving the tip.
+     * @param feeRecipient The address receiving the fee.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param withHistory Whether to store the tip in `tips` and `senderTips`, or only count it in the totals.
      */
-    constructor(address _admin, uint256 _minimumTipAmount, uint256 _feePercent) {
-        minimumTipAmount = _minimumTipAmount;
-        feePercent = _feePercent;
-        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+    function _tipValue(
+        address sender,
+        address recipient,
+        address feeRecipient,
+        bytes32 senderCommentCid,
+        bytes32 recipientCommentCid,
+        bool withHistory
+    ) internal {
+        require(msg.value >= minimumTipAmount, "Tip amount is too low");
+
+        totalReservedBalance += msg.value;
+        _tipEth(sender, recipient, msg.value, feeRecipient, senderCommentCid, recipientCommentCid, withHistory);
     }
 
     /**
-     * @notice Send a tip to a recipient, with a portion going to a fee recipient.
-     * @dev The tip is tracked by both recipient and sender comment CIDs.
-     * @param recipient The address to receive the tip.
-     * @param amount The total amount to tip (must match msg.value).
-     * @param feeRecipient The address to receive the fee.
+     * @notice Transfer a token tip from the sender to the recipient and fee recipient, then store it.
+     * @param sender The address of the tip sender, who must have approved this contract.
+     * @param token The ERC-20 token to tip with.
+     * @param recipient The address receiving the tip.
+     * @param amount The total amount tipped.
+     * @param feeRecipient The address receiving the fee.
      * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
      * @param recipientCommentCid The comment CID of the recipient.
      */
-    function tip(
+    function _tipToken(
+        address sender,
+        address token,
         address recipient,
         uint256 amount,
         address feeRecipient,
         bytes32 senderCommentCid,
         bytes32 recipientCommentCid
-    ) external payable {
-        require(msg.value >= minimumTipAmount, "Tip amount is too low");
-        require(msg.value == amount, "Sent value doesn't match amount");
-        
+    ) internal {
+        require(token != address(0), "Invalid token address");
+        require(amount > 0 && amount >= minimumTokenTipAmounts[token], "Tip amount is too low");
+        require(amount <= type(uint96).max, "Tip amount is too high");
+
         // Calculate fee and recipient amount
-        uint256 fee = (amount * feePercent) / 100;
+        uint256 fee = _calculateFee(amount, feeRecipient);
         uint256 receivedAmount = amount - fee;
 
-        // Transfer fee and tip
-        payable(feeRecipient).transfer(fee);
-        payable(recipient).transfer(receivedAmount);
-
-        // Track tip by recipient comment and fee recipient
-        bytes32 tipKey = keccak256(abi.encodePacked(recipientCommentCid, feeRecipient));
-        tips[tipKey].push(TipData(uint96(amount), feeRecipient, msg.sender, senderCommentCid));
-        tipsTotalAmounts[tipKey] += amount;
+        // Transfer fee and tip directly from the sender
+        if (fee > 0) {
+            IERC20(token).safeTransferFrom(sender, feeRecipient, fee);
+        }
+        IERC20(token).safeTransferFrom(sender, recipient, receivedAmount);
+        feeRecipientTotalAmounts[feeRecipient][token] += fee;
+        recipientTotalAmounts[recipient][token] += receivedAmount;
 
-        // Track total tipped by sender for this combination
-        bytes32 senderTipKey = keccak256(abi.encode(senderCommentCid, msg.sender, recipientCommentCid, feeRecipient));
-        senderTipsTotalAmounts[senderTipKey] += amount;
+        _recordTip(sender, recipient, amount, feeRecipient, senderCommentCid, recipientCommentCid, token, true);
+    }
 
-        emit Tip(msg.sender, recipient, amount, feeRecipient, recipientCommentCid, senderCommentCid);
+    /**
+     * @notice Get the storage key for tips on a recipient comment and fee recipient.
+     * @dev ETH tips (token == address(0)) keep the original key format so existing data stays readable.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipient The fee recipient address.
+     * @param token The ERC-20 token address, or address(0) for ETH.
+     * @return The tip key.
+     */
+    function _tipKey(bytes32 recipientCommentCid, address feeRecipient, address token) internal pure returns (bytes32) {
+        if (token == address(0)) {
+            return keccak256(abi.encodePacked(recipientCommentCid, feeRecipient));
+        }
+        return keccak256(abi.encodePacked(recipientCommentCid, feeRecipient, token));
     }
 
     /**
-     * @notice Get the total amount tipped for a recipient comment and a list of fee recipients.
+     * @notice Sum the amounts tipped on a recipient comment with a list of fee recipients.
      * @param recipientCommentCid The comment CID of the recipient.
      * @param feeRecipients The list of fee recipient addresses.
-     * @return total The total amount tipped for the given parameters.
+     * @param token The ERC-20 token address, or address(0) for ETH.
+     * @return total The total amount tipped.
      */
-    function getTipsTotalAmount(
+    function _getTipsTotalAmount(
         bytes32 recipientCommentCid,
-        address[] calldata feeRecipients
-    ) external view returns (uint256) {
-        uint256 total = 0;
+        address[] calldata feeRecipients,
+        address token
+    ) internal view returns (uint256 total) {
         for (uint256 i = 0; i < feeRecipients.length; i++) {
-            bytes32 tipKey = keccak256(abi.encodePacked(recipientCommentCid, feeRecipients[i]));
-            total += tipsTotalAmounts[tipKey];
+            total += tipsTotalAmounts[_tipKey(recipientCommentCid, feeRecipients[i], token)];
         }
-        return total;
     }
 
     /**
-     * @notice Get the total amounts tipped for multiple recipient comments and fee recipients.
+     * @notice Sum the amounts tipped on multiple recipient comments, each with its own fee recipients.
      * @param recipientCommentCids Array of recipient comment CIDs.
      * @param feeRecipients Array of arrays of fee recipient addresses.
+     * @param token The ERC-20 token address, or address(0) for ETH.
      * @return totals Array of total amounts for each recipient comment.
      */
-    function getTipsTotalAmounts(
+    function _getTipsTotalAmounts(
         bytes32[] calldata recipientCommentCids,
-        address[][] calldata feeRecipients
-    ) external view returns (uint256[] memory) {
+        address[][] calldata feeRecipients,
+        address token
+    ) internal view returns (uint256[] memory totals) {
         require(recipientCommentCids.length == feeRecipients.length, "Arrays length mismatch");
-        uint256[] memory totals = new uint256[](recipientCommentCids.length);
-        
+        totals = new uint256[](recipientCommentCids.length);
         for (uint256 i = 0; i < recipientCommentCids.length; i++) {
-            for (uint256 j = 0; j < feeRecipients[i].length; j++) {
-                bytes32 tipKey = keccak256(abi.encodePacked(recipientCommentCids[i], feeRecipients[i][j]));
-                totals[i] += tipsTotalAmounts[tipKey];
-            }
+            totals[i] = _getTipsTotalAmount(recipientCommentCids[i], feeRecipients[i], token);
         }
-        return totals;
     }
 
     /**
-     * @notice Get the total amounts tipped for multiple recipient comments, using the same fee recipients for each.
+     * @notice Sum the amounts tipped on multiple recipient comments, using the same fee recipients for each.
      * @param recipientCommentCids Array of recipient comment CIDs.
      * @param feeRecipients Array of fee recipient addresses.
+     * @param token The ERC-20 token address, or address(0) for ETH.
      * @return totals Array of total amounts for each recipient comment.
      */
-    function getTipsTotalAmountsSameFeeRecipients(
+    function _getTipsTotalAmountsSameFeeRecipients(
         bytes32[] calldata recipientCommentCids,
-        address[] calldata feeRecipients
-    ) external view returns (uint256[] memory) {
-        uint256[] memory totals = new uint256[](recipientCommentCids.length);
-        
+        address[] calldata feeRecipients,
+        address token
+    ) internal view returns (uint256[] memory totals) {
+        totals = new uint256[](recipientCommentCids.length);
         for (uint256 i = 0; i < recipientCommentCids.length; i++) {
-            for (uint256 j = 0; j < feeRecipients.length; j++) {
-                bytes32 tipKey = keccak256(abi.encodePacked(recipientCommentCids[i], feeRecipients[j]));
-                totals[i] += tipsTotalAmounts[tipKey];
-            }
+            totals[i] = _getTipsTotalAmount(recipientCommentCids[i], feeRecipients, token);
         }
-        return totals;
     }
 
     /**
-     * @notice Get the amounts of individual tips for a recipient comment and fee recipients, with pagination.
+     * @notice Count the tips stored for a recipient comment and fee recipients.
      * @param recipientCommentCid The comment CID of the recipient.
      * @param feeRecipients The list of fee recipient addresses.
-     * @param offset The starting index for pagination.
-     * @param limit The maximum number of results to return.
-     * @return amounts Array of tip amounts.
+     * @param token The ERC-20 token address, or address(0) for ETH.
+     * @return count The number of tips.
      */
-    function getTipsAmounts(
+    function _getTipsCount(
         bytes32 recipientCommentCid,
-        address[] calldata feeRecipients,
-        uint256 offset,
-        uint256 limit
-    ) external view returns (uint256[] memory amounts) {
-        uint256 totalTips = 0;
-        
-        // Count total tips across all feeRecipients
+        address[] memory feeRecipients,
+        address token
+    ) internal view returns (uint256 count) {
         for (uint256 i = 0; i < feeRecipients.length; i++) {
-            bytes32 tipKey = keccak256(abi.encodePacked(recipientCommentCid, feeRecipients[i]));
-            totalTips += tips[tipKey].length;
-        }
-        
-        if (offset >= totalTips) {
-            return new uint256[](0);
-        }
-        
-        uint256 maxResults = limit;
-        if (offset + limit > totalTips) {
-            maxResults = totalTips - offset;
-        }
-        
-        amounts = new uint256[](maxResults);
-        uint256 currentIndex = 0;
-        uint256 resultIndex = 0;
-        
-        for (uint256 i = 0; i < feeRecipients.length && resultIndex < maxResults; i++) {
-            bytes32 tipKey = keccak256(abi.encodePacked(recipientCommentCid, feeRecipients[i]));
-            TipData[] storage tipArray = tips[tipKey];
-            
-            for (uint256 j = 0; j < tipArray.length && resultIndex < maxResults; j++) {
-                if (currentIndex >= offset) {
-                    amounts[resultIndex] = tipArray[j].amount;
-                    resultIndex++;
-                }
-                currentIndex++;
-            }
+            count += tips[_tipKey(recipientCommentCid, feeRecipients[i], token)].length;
         }
-        
-        return amounts;
     }
 
     /**
-     * @notice Get the TipData structs for a recipient comment and fee recipients, with pagination.
+     * @notice Read a page of the tips stored for a recipient comment and fee recipients.
+     * @dev Tips are ordered by fee recipient, then by the time they were sent. Newest first is that order reversed.
+     * `sequence` orders tips across fee recipients, see `getTipsNewestFirst`.
      * @param recipientCommentCid The comment CID of the recipient.
      * @param feeRecipients The list of fee recipient addresses.
-     * @param offset The starting index for pagination.
+     * @param token The ERC-20 token address, or address(0) for ETH.
+     * @param offset The number of tips to skip.
      * @param limit The maximum number of results to return.
+     * @param newestFirst Whether to start from the latest tip.
      * @return result Array of TipData structs.
      */
-    function getTips(
+    function _getTipsPage(
         bytes32 recipientCommentCid,
-        address[] calldata feeRecipients,
+        address[] memory feeRecipients,
+        address token,
         uint256 offset,
-        uint256 limit
-    ) external view returns (TipData[] memory) {
-        uint256 totalTips = 0;
-        
-        // Count total tips across all feeRecipients
-        for (uint256 i = 0; i < feeRecipients.length; i++) {
-            bytes32 tipKey = keccak256(abi.encodePacked(recipientCommentCid, feeRecipients[i]));
-            totalTips += tips[tipKey].length;
-        }
-        
+        uint256 limit,
+        bool newestFirst
+    ) internal view returns (TipData[] memory result) {
+        uint256 totalTips = _getTipsCount(recipientCommentCid, feeRecipients, token);
         if (offset >= totalTips) {
             return new TipData[](0);
         }
-        
-        uint256 maxResults = limit;
         if (offset + limit > totalTips) {
-            maxResults = totalTips - offset;
+            limit = totalTips - offset;
         }
-        
-        TipData[] memory result = new TipData[](maxResults);
-        uint256 currentIndex = 0;
-        uint256 resultIndex = 0;
-        
-        for (uint256 i = 0; i < feeRecipients.length && resultIndex < maxResults; i++) {
-            bytes32 tipKey = keccak256(abi.encodePacked(recipientCommentCid, feeRecipients[i]));
-            TipData[] storage tipArray = tips[tipKey];
-            
-            for (uint256 j = 0; j < tipArray.length && resultIndex < maxResults; j++) {
-                if (currentIndex >= offset) {
-                    result[resultIndex] = tipArray[j];
-                    resultIndex++;
-                }
-                currentIndex++;
-            }
+        if (!newestFirst) {
+            return _readTips(recipientCommentCid, feeRecipients, token, offset, limit);
+        }
+
+        // Read the same tips oldest first, then reverse them
+        result = _readTips(recipientCommentCid, feeRecipients, token, totalTips - offset - limit, limit);
+        for (uint256 i = 0; i < limit / 2; i++) {
+            (result[i], result[limit - 1 - i]) = (result[limit - 1 - i], result[i]);
         }
-        
-        return result;
     }
 
     /**
-     * @notice Get the total amount tipped by a sender for a given sender comment, recipient comment, and fee recipients.
-     * @param senderCommentCid The comment CID from the sender (0x0 if none).
-     * @param sender The address of the tip sender.
+     * @notice Copy `limit` tips starting at `offset`, oldest first. The range must exist.
      * @param recipientCommentCid The comment CID of the recipient.
      * @param feeRecipients The list of fee recipient addresses.
-     * @return total The total amount tipped by the sender for these parameters.
+     * @param token The ERC-20 token address, or address(0) for ETH.
+     * @param offset The number of tips to skip.
+     * @param limit The number of tips to copy.
+     * @return result Array of TipData structs.
      */
-    function getSenderTipsTotalAmount(
-        bytes32 senderCommentCid,
-        address sender,
+    function _readTips(
         bytes32 recipientCommentCid,
-        address[] calldata feeRecipients
-    ) external view returns (uint256) {
-        uint256 total = 0;
-        for (uint256 i = 0; i < feeRecipients.length; i++) {
-            // Generate a unique key for this combination of sender, comments, and fee recipient
-            bytes32 senderTipKey = keccak256(abi.encode(senderCommentCid, sender, recipientCommentCid, feeRecipients[i]));
-            total += senderTipsTotalAmounts[senderTipKey];
+        address[] memory feeRecipients,
+        address token,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (TipData[] memory result) {
+        result = new TipData[](limit);
+        uint256 resultIndex = 0;
+
+        for (uint256 i = 0; i < feeRecipients.length && resultIndex < limit; i++) {
+            TipData[] storage tipArray = tips[_tipKey(recipientCommentCid, feeRecipients[i], token)];
+            // Skip whole arrays before the offset, then start inside the first array that reaches it
+            if (offset >= tipArray.length) {
+                offset -= tipArray.length;
+                continue;
+            }
+            for (uint256 j = offset; j < tipArray.length && resultIndex < limit; j++) {
+                result[resultIndex] = tipArray[j];
+                resultIndex++;
+            }
+            offset = 0;
         }
-        return total;
     }
 
     /**
-     * @notice Get the total amounts tipped by a sender for multiple recipient comments and fee recipients.
+     * @notice Get the storage key for tips by a sender on a recipient comment and fee recipient.
+     * @dev ETH tips (token == address(0)) keep the original key format so existing data stays readable.
      * @param senderCommentCid The comment CID from the sender (0x0 if none).
      * @param sender The address of the tip sender.
-     * @param recipientCommentCids Array of recipient comment CIDs.
-     * @param feeRecipients Array of arrays of fee recipient addresses.
-     * @return totals Array of total amounts for each recipient comment.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipient The fee recipient address.
+     * @param token The ERC-20 token address, or address(0) for ETH.
+     * @return The sender tip key.
      */
-    function getSenderTipsTotalAmounts(
+    function _senderTipKey(
         bytes32 senderCommentCid,
         address sender,
-        bytes32[] calldata recipientCommentCids,
-        address[][] calldata feeRecipients
-    ) external view returns (uint256[] memory) {
-        require(recipientCommentCids.length == feeRecipients.length, "Arrays length mismatch");
-        uint256[] memory totals = new uint256[](recipientCommentCids.length);
-        
-        for (uint256 i = 0; i < recipientCommentCids.length; i++) {
-            for (uint256 j = 0; j < feeRecipients[i].length; j++) {
-                bytes32 senderTipKey = keccak256(abi.encode(senderCommentCid, sender, recipientCommentCids[i], feeRecipients[i][j]));
-                totals[i] += senderTipsTotalAmounts[senderTipKey];
-            }
+        bytes32 recipientCommentCid,
+        address feeRecipient,
+        address token
+    ) internal pure returns (bytes32) {
+        if (token == address(0)) {
+            return keccak256(abi.encode(senderCommentCid, sender, recipientCommentCid, feeRecipient));
         }
-        return totals;
+        return keccak256(abi.encode(senderCommentCid, sender, recipientCommentCid, feeRecipient, token));
     }
 
     /**
-     * @notice Get the total amounts tipped by a sender for multiple recipient comments, using the same fee recipients for each.
+     * @notice Sum the ETH tipped by a sender on a recipient comment with a list of fee recipients.
      * @param senderCommentCid The comment CID from the sender (0x0 if none).
      * @param sender The address of the tip sender.
-     * @param recipientCommentCids Array of recipient comment CIDs.
-     * @param feeRecipients Array of fee recipient addresses.
-     * @return totals Array of total amounts for each recipient comment.
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param feeRecipients The list of fee recipient addresses.
+     * @return total The total amount tipped by the sender.
      */
-    function getSenderTipsTotalAmountsSameFeeRecipients(
+    function _getSenderTipsTotalAmount(
         bytes32 senderCommentCid,
         address sender,
-        bytes32[] calldata recipientCommentCids,
+        bytes32 recipientCommentCid,
         address[] calldata feeRecipients
-    ) external view returns (uint256[] memory) {
-        uint256[] memory totals = new uint256[](recipientCommentCids.length);
-        
-        for (uint256 i = 0; i < recipientCommentCids.length; i++) {
-            for (uint256 j = 0; j < feeRecipients.length; j++) {
-                bytes32 senderTipKey = keccak256(abi.encode(senderCommentCid, sender, recipientCommentCids[i], feeRecipients[j]));
-                totals[i] += senderTipsTotalAmounts[senderTipKey];
-            }
+    ) internal view returns (uint256 total) {
+        for (uint256 i = 0; i < feeRecipients.length; i++) {
+            total += senderTipsTotalAmounts[_senderTipKey(senderCommentCid, sender, recipientCommentCid, feeRecipients[i], address(0))];
         }
-        return totals;
     }
 
-    // Admin functions
-
     /**
-     * @notice Set the minimum allowed tip amount.
-     * @dev Only callable by accounts with MODERATOR_ROLE.
-     * @param _minimumTipAmount The new minimum tip amount (in wei).
+     * @notice Store a tip and emit the Tip event, or TokenTip for token tips.
+     * @param sender The address of the tip sender.
+     * @param recipient The address receiving the tip.
+     * @param amount The total amount tipped.
+     * @param feeRecipient The address receiving the fee.
+     * @param senderCommentCid Optional comment CID from the sender (0x0 if none).
+     * @param recipientCommentCid The comment CID of the recipient.
+     * @param token The ERC-20 token address, or address(0) for ETH.
+     * @param withHistory Whether to store the tip in `tips` and `senderTips`, or only count it in the totals.
      */
-    function setMinimumTipAmount(uint256 _minimumTipAmount) external onlyRole(MODERATOR_ROLE) {
-        minimumTipAmount = _minimumTipAmount;
-    }
+    function _recordTip(
+        address sender,
+        address recipient,
+        uint256 amount,
+        address feeRecipient,
+        bytes32 senderCommentCid,
+        bytes32 recipientCommentCid,
+        address token,
+        bool withHistory
+    ) internal {
+        require(!blocked[recipient], "Recipient is blocked");
+        require(!blocked[feeRecipient], "Fee recipient is blocked");
 
-    /**
-     * @notice Set the fee percentage.
-     * @dev Only callable by accounts with MODERATOR_ROLE. Must be between 1 and 20.
-     * @param _feePercent The new fee percentage.
-     */
-    function setFeePercent(uint256 _feePercent) external onlyRole(MODERATOR_ROLE) {
-        require(_feePercent >= 1 && _feePercent <= 20, "Fee percent must be between 1 and 20");
-        feePercent = _feePercent;
+        // Track tip by recipient comment and fee recipient
+        bytes32 tipKey = _tipKey(recipientCommentCid, feeRecipient, token);
+        if (withHistory) {
+            senderTips[sender].push(SenderTip(recipientCommentCid, feeRecipient, uint96(tips[tipKey].length), token));
+            tips[tipKey].push(TipData(uint96(amount), feeRecipient, sender, uint64(block.timestamp), senderCommentCid, recipient, uint96(++tipsSequence)));
+        }
+        tipsTotalAmounts[tipKey] += amount;
+
+        // Track total tipped by sender for this combination
+        senderTipsTotalAmounts[_senderTipKey(senderCommentCid, sender, recipientCommentCid, feeRecipient, token)] += amount;
+
+        if (token == address(0)) {
+            emit Tip(sender, recipient, amount, feeRecipient, recipientCommentCid, senderCommentCid);
+        } else {
+            emit TokenTip(sender, recipient, token, amount, feeRecipient, recipientCommentCid, senderCommentCid);
+        }
     }
 }
@@ -0,0 +1,195 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./PlebbitTippingV1.sol";
+
+/**
+ * @title PlebbitTippingV1Bounties
+ * @notice Bounties on plebbit comments: a question is funded with ETH and awarded to its best reply, or reclaimed
+ * by the funder after it expires.
+ * @dev Holds the bounty ETH until it is awarded. Awards are sent through `PlebbitTippingV1.tipFrom` as a tip from
+ * the funder, with the question as sender comment and the reply as recipient comment, so they count toward the
+ * reply's tip totals. Needs TIP_MODULE_ROLE on the tipping contract.
+ */
+contract PlebbitTippingV1Bounties {
+    /// @notice State of a bounty.
+    enum BountyStatus {
+        Open,
+        Awarded,
+        Reclaimed
+    }
+
+    /**
+     * @notice Struct representing a bounty.
+     * @param commentCid The comment CID of the question the bounty is on.
+     * @param funder The address that funded the bounty, the only one that can award or reclaim it.
+     * @param amount The amount of ETH in the bounty.
+     * @param feeRecipient The address receiving the fee when the bounty is awarded.
+     * @param expiresAt Unix timestamp after which the funder can reclaim the bounty.
+     * @param status Whether the bounty is open, awarded or reclaimed.
+     * @param recipient The author of the awarded reply (address(0) until awarded).
+     * @param replyCid The comment CID of the awarded reply (0x0 until awarded).
+     */
+    struct Bounty {
+        bytes32 commentCid;
+        address funder;
+        uint96 amount;
+        address feeRecipient;
+        uint64 expiresAt;
+        BountyStatus status;
+        address recipient;
+        bytes32 replyCid;
+    }
+
+    /// @notice The tipping contract awards are sent through.
+    PlebbitTippingV1 public immutable tipping;
+
+    /// @notice Every bounty, indexed by bounty id.
+    Bounty[] internal bounties;
+
+    /// @notice Maps a comment CID to the ids of the bounties on it.
+    mapping(bytes32 => uint256[]) internal commentBountyIds;
+
+    /**
+     * @notice Emitted when a bounty is funded.
+     * @param id The bounty id.
+     * @param commentCid The comment CID of the question.
+     * @param funder The address that funded the bounty.
+     * @param amount The amount of ETH in the bounty.
+     * @param feeRecipient The address receiving the fee when the bounty is awarded.
+     * @param expiresAt Unix timestamp after which the funder can reclaim the bounty.
+     */
+    event BountyCreated(
+        uint256 indexed id,
+        bytes32 indexed commentCid,
+        address indexed funder,
+        uint256 amount,
+        address feeRecipient,
+        uint256 expiresAt
+    );
+
+    /**
+     * @notice Emitted when a bounty is awarded to a reply.
+     * @param id The bounty id.
+     * @param replyCid The comment CID of the reply.
+     * @param recipient The author of the reply.
+     */
+    event BountyAwarded(uint256 indexed id, bytes32 indexed replyCid, address indexed recipient);
+
+    /**
+     * @notice Emitted when the funder takes back an expired bounty.
+     * @param id The bounty id.
+     */
+    event BountyReclaimed(uint256 indexed id);
+
+    /**
+     * @param _tipping The tipping contract awards are sent through.
+     */
+    constructor(PlebbitTippingV1 _tipping) {
+        require(address(_tipping) != address(0), "Invalid tipping contract address");
+        tipping = _tipping;
+    }
+
+    /**
+     * @notice Fund a bounty on a comment with the ETH sent.
+     * @dev The amount must be at least the tipping contract's minimum tip amount, so it can be awarded as a tip.
+     * @param commentCid The comment CID of the question.
+     * @param feeRecipient The address receiving the fee when the bounty is awarded.
+     * @param expiresAt Unix timestamp after which the funder can reclaim the bounty if it wasn't awarded.
+     * @return id The bounty id.
+     */
+    function createBounty(bytes32 commentCid, address feeRecipient, uint64 expiresAt) external payable returns (uint256 id) {
+        require(msg.value >= tipping.minimumTipAmount(), "Bounty amount is too low");
+        require(msg.value <= type(uint96).max, "Bounty amount is too high");
+        require(expiresAt > block.timestamp, "Expiry must be in the future");
+
+        id = bounties.length;
+        bounties.push(Bounty({
+            commentCid: commentCid,
+            funder: msg.sender,
+            amount: uint96(msg.value),
+            feeRecipient: feeRecipient,
+            expiresAt: expiresAt,
+            status: BountyStatus.Open,
+            recipient: address(0),
+            replyCid: bytes32(0)
+        }));
+        commentBountyIds[commentCid].push(id);
+
+        emit BountyCreated(id, commentCid, msg.sender, msg.value, feeRecipient, expiresAt);
+    }
+
+    /**
+     * @notice Award an open bounty to a reply, as a tip from the funder to the reply's author.
+     * @dev Only callable by the funder, also after expiry as long as the bounty wasn't reclaimed.
+     * @param id The bounty id.
+     * @param replyCid The comment CID of the reply.
+     * @param recipient The author of the reply.
+     */
+    function awardBounty(uint256 id, bytes32 replyCid, address recipient) external {
+        Bounty storage bounty = _getOpenBounty(id);
+        require(recipient != address(0), "Invalid recipient address");
+        bounty.status = BountyStatus.Awarded;
+        bounty.recipient = recipient;
+        bounty.replyCid = replyCid;
+
+        tipping.tipFrom{value: bounty.amount}(bounty.funder, recipient, bounty.feeRecipient, bounty.commentCid, replyCid);
+
+        emit BountyAwarded(id, replyCid, recipient);
+    }
+
+    /**
+     * @notice Take back a bounty that wasn't awarded before it expired.
+     * @dev Only callable by the funder. The bounty is closed before the transfer, so re-entering cannot reclaim twice.
+     * @param id The bounty id.
+     */
+    function reclaimBounty(uint256 id) external {
+        Bounty storage bounty = _getOpenBounty(id);
+        require(block.timestamp > bounty.expiresAt, "Bounty has not expired");
+        bounty.status = BountyStatus.Reclaimed;
+
+        (bool success, ) = payable(msg.sender).call{value: bounty.amount}("");
+        require(success, "Reclaim failed");
+
+        emit BountyReclaimed(id);
+    }
+
+    /**
+     * @notice Get a bounty.
+     * @param id The bounty id.
+     * @return The bounty.
+     */
+    function getBounty(uint256 id) external view returns (Bounty memory) {
+        require(id < bounties.length, "Invalid bounty id");
+        return bounties[id];
+    }
+
+    /**
+     * @notice Get the ids of the bounties on a comment, oldest first.
+     * @param commentCid The comment CID of the question.
+     * @return The bounty ids.
+     */
+    function getCommentBountyIds(bytes32 commentCid) external view returns (uint256[] memory) {
+        return commentBountyIds[commentCid];
+    }
+
+    /**
+     * @notice Get the number of bounties ever created.
+     * @return The number of bounties.
+     */
+    function getBountiesCount() external view returns (uint256) {
+        return bounties.length;
+    }
+
+    /**
+     * @notice Get an open bounty of the caller.
+     * @param id The bounty id.
+     * @return bounty The bounty.
+     */
+    function _getOpenBounty(uint256 id) internal view returns (Bounty storage bounty) {
+        require(id < bounties.length, "Invalid bounty id");
+        bounty = bounties[id];
+        require(bounty.funder == msg.sender, "Only the funder can do this");
+        require(bounty.status == BountyStatus.Open, "Bounty is not open");
+    }
+}
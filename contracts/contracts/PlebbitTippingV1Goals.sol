@@ -0,0 +1,295 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./PlebbitTippingV1.sol";
+
+/**
+ * @title PlebbitTippingV1Goals
+ * @notice All-or-nothing crowdfunding on a plebbit comment: the author sets a target and a deadline, contributions
+ * are held in escrow, and the author releases them if the target is reached. Otherwise contributors refund
+ * themselves after the deadline, or after the release window if the author never releases them.
+ * @dev Goals are keyed by comment CID and author, so no one can open a goal on someone else's comment in the author's
+ * place. Released contributions are sent through `PlebbitTippingV1.tipFrom` as a tip from each contributor, so they
+ * count toward the comment's tip totals. Needs TIP_MODULE_ROLE on the tipping contract.
+ */
+contract PlebbitTippingV1Goals {
+    /**
+     * @notice Struct representing a crowdfunding goal.
+     * @param target The amount of ETH to raise.
+     * @param raised The amount of ETH contributed, refunds included.
+     * @param feeRecipient The address receiving the fee of each released contribution.
+     * @param deadline Unix timestamp until which contributions are accepted.
+     * @param released Whether the author started releasing the contributions, which closes the goal.
+     * @param contributorsCount The number of distinct contributors.
+     * @param releasedContributorsCount The number of contributors whose contribution was released so far.
+     */
+    struct Goal {
+        uint96 target;
+        uint96 raised;
+        address feeRecipient;
+        uint64 deadline;
+        bool released;
+        uint32 contributorsCount;
+        uint32 releasedContributorsCount;
+    }
+
+    /// @notice How long after the deadline the author can release a goal that reached its target. Contributions
+    /// not released by then are refundable, so an author who never releases can't lock them forever.
+    uint256 public constant RELEASE_WINDOW = 30 days;
+
+    /// @notice The tipping contract contributions are released through.
+    PlebbitTippingV1 public immutable tipping;
+
+    /// @notice Maps a goal key (comment CID and author) to its goal.
+    mapping(bytes32 => Goal) internal goals;
+
+    /// @notice Maps a goal key to its contributors, in order of first contribution.
+    mapping(bytes32 => address[]) internal goalContributors;
+
+    /// @notice Maps a goal key and contributor to its position in `goalContributors`, starting at 1 (0 if none).
+    mapping(bytes32 => mapping(address => uint256)) internal contributorNumbers;
+
+    /// @notice Maps a goal key and contributor to the ETH contributed and not released or refunded yet.
+    mapping(bytes32 => mapping(address => uint256)) public contributions;
+
+    /**
+     * @notice Emitted when an author opens a goal on a comment.
+     * @param commentCid The comment CID of the proposal.
+     * @param recipient The author the contributions are released to.
+     * @param target The amount of ETH to raise.
+     * @param feeRecipient The address receiving the fee of each released contribution.
+     * @param deadline Unix timestamp until which contributions are accepted.
+     */
+    event GoalCreated(
+        bytes32 indexed commentCid,
+        address indexed recipient,
+        uint256 target,
+        address feeRecipient,
+        uint256 deadline
+    );
+
+    /**
+     * @notice Emitted for each contribution to a goal.
+     * @param commentCid The comment CID of the proposal.
+     * @param recipient The author of the goal.
+     * @param contributor The address that contributed.
+     * @param amount The amount of ETH contributed.
+     */
+    event GoalContributed(bytes32 indexed commentCid, address indexed recipient, address indexed contributor, uint256 amount);
+
+    /**
+     * @notice Emitted each time the author releases a page of contributions.
+     * @param commentCid The comment CID of the proposal.
+     * @param recipient The author of the goal.
+     * @param releasedContributorsCount The number of contributors released so far.
+     */
+    event GoalReleased(bytes32 indexed commentCid, address indexed recipient, uint256 releasedContributorsCount);
+
+    /**
+     * @notice Emitted when a contributor takes back a contribution.
+     * @param commentCid The comment CID of the proposal.
+     * @param recipient The author of the goal.
+     * @param contributor The address refunded.
+     * @param amount The amount of ETH refunded.
+     */
+    event GoalRefunded(bytes32 indexed commentCid, address indexed recipient, address indexed contributor, uint256 amount);
+
+    /**
+     * @param _tipping The tipping contract contributions are released through.
+     */
+    constructor(PlebbitTippingV1 _tipping) {
+        require(address(_tipping) != address(0), "Invalid tipping contract address");
+        tipping = _tipping;
+    }
+
+    /**
+     * @notice Open a goal on one of the caller's comments, the caller receiving the contributions.
+     * @param commentCid The comment CID of the proposal.
+     * @param target The amount of ETH to raise, at least the minimum tip amount.
+     * @param feeRecipient The address receiving the fee of each released contribution.
+     * @param deadline Unix timestamp until which contributions are accepted.
+     */
+    function createGoal(bytes32 commentCid, uint96 target, address feeRecipient, uint64 deadline) external {
+        Goal storage goal = goals[_goalKey(commentCid, msg.sender)];
+        require(goal.deadline == 0, "Goal already exists");
+        require(target >= tipping.minimumTipAmount(), "Goal target is too low");
+        require(deadline > block.timestamp, "Deadline must be in the future");
+        require(!tipping.blocked(msg.sender) && !tipping.blocked(feeRecipient), "Recipient is blocked");
+
+        goal.target = target;
+        goal.feeRecipient = feeRecipient;
+        goal.deadline = deadline;
+
+        emit GoalCreated(commentCid, msg.sender, target, feeRecipient, deadline);
+    }
+
+    /**
+     * @notice Contribute the ETH sent to a goal, held until it is released or refunded.
+     * @dev Contributions stay open after the target is reached, until the deadline or the release.
+     * @param commentCid The comment CID of the proposal.
+     * @param recipient The author of the goal.
+     */
+    function contribute(bytes32 commentCid, address recipient) external payable {
+        bytes32 key = _goalKey(commentCid, recipient);
+        Goal storage goal = _getGoal(key);
+        require(!goal.released, "Goal is released");
+        require(block.timestamp <= goal.deadline, "Goal deadline has passed");
+        require(msg.value >= tipping.minimumTipAmount(), "Contribution is too low");
+        require(goal.raised + msg.value <= type(uint96).max, "Contribution is too high");
+
+        if (contributorNumbers[key][msg.sender] == 0) {
+            goalContributors[key].push(msg.sender);
+            contributorNumbers[key][msg.sender] = ++goal.contributorsCount;
+        }
+        contributions[key][msg.sender] += msg.value;
+        goal.raised += uint96(msg.value);
+
+        emit GoalContributed(commentCid, recipient, msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Release the contributions to a goal that reached its target, as tips from each contributor.
+     * @dev Only callable by the author, also before the deadline and until the end of the release window. The first
+     * call closes the goal. Releases up to `maxContributors` contributors per call, so goals with many contributors
+     * are released over several calls. A contribution the tipping contract rejects (e.g. below a raised minimum tip
+     * amount) becomes refundable instead of blocking the others.
+     * @param commentCid The comment CID of the proposal.
+     * @param maxContributors The maximum number of contributors to release in this call.
+     */
+    function releaseGoal(bytes32 commentCid, uint256 maxContributors) external {
+        bytes32 key = _goalKey(commentCid, msg.sender);
+        Goal storage goal = _getGoal(key);
+        require(goal.raised >= goal.target, "Goal target is not reached");
+        require(goal.releasedContributorsCount < goal.contributorsCount, "Goal is already released");
+        require(!_releaseWindowPassed(goal), "Goal release window has passed");
+        // A pause is temporary, it must not turn every contribution into a refund
+        require(!tipping.paused(), "Tipping is paused");
+        goal.released = true;
+
+        uint256 start = goal.releasedContributorsCount;
+        uint256 end = start + maxContributors;
+        if (end > goal.contributorsCount) {
+            end = goal.contributorsCount;
+        }
+        goal.releasedContributorsCount = uint32(end);
+
+        for (uint256 i = start; i < end; i++) {
+            address contributor = goalContributors[key][i];
+            uint256 amount = contributions[key][contributor];
+            contributions[key][contributor] = 0;
+            // Only rejected tips are caught: running out of gas reverts the release instead of refunding everyone
+            try tipping.tipFrom{value: amount}(contributor, msg.sender, goal.feeRecipient, bytes32(0), commentCid) {
+            } catch Error(string memory) {
+                contributions[key][contributor] = amount;
+            } catch (bytes memory reason) {
+                // Custom errors are rejections too, a failure without revert data may be running out of gas
+                require(reason.length > 0, "Tip failed without a reason");
+                contributions[key][contributor] = amount;
+            }
+        }
+
+        emit GoalReleased(commentCid, msg.sender, end);
+    }
+
+    /**
+     * @notice Take back a contribution to a goal that missed its target by the deadline, that couldn't be tipped
+     * when the goal was released, or that the author didn't release within the release window.
+     * @dev The contribution is cleared before the transfer, so re-entering cannot refund twice.
+     * @param commentCid The comment CID of the proposal.
+     * @param recipient The author of the goal.
+     */
+    function refund(bytes32 commentCid, address recipient) external {
+        bytes32 key = _goalKey(commentCid, recipient);
+        Goal storage goal = _getGoal(key);
+        bool releaseWindowPassed = _releaseWindowPassed(goal);
+        if (!goal.released) {
+            require(
+                releaseWindowPassed || (block.timestamp > goal.deadline && goal.raised < goal.target),
+                "Goal can't be refunded"
+            );
+        }
+        uint256 amount = contributions[key][msg.sender];
+        require(amount > 0, "Nothing to refund");
+        // Contributors not released yet are still owed a tip, not a refund, until the release window ends
+        if (goal.released && !releaseWindowPassed) {
+            require(contributorNumbers[key][msg.sender] <= goal.releasedContributorsCount, "Contribution is not released yet");
+        }
+        contributions[key][msg.sender] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Refund failed");
+
+        emit GoalRefunded(commentCid, recipient, msg.sender, amount);
+    }
+
+    /**
+     * @notice Get a goal.
+     * @param commentCid The comment CID of the proposal.
+     * @param recipient The author of the goal.
+     * @return The goal.
+     */
+    function getGoal(bytes32 commentCid, address recipient) external view returns (Goal memory) {
+        return _getGoal(_goalKey(commentCid, recipient));
+    }
+
+    /**
+     * @notice Get the progress of many goals at once, e.g. next to `getTipsTotalAmounts` for a page of comments.
+     * @dev Goals that don't exist have a target of 0.
+     * @param commentCids The comment CIDs of the proposals.
+     * @param recipients The authors of the goals, one per comment CID.
+     * @return raised The amount of ETH contributed to each goal.
+     * @return targets The target of each goal.
+     */
+    function getGoalsProgress(
+        bytes32[] calldata commentCids,
+        address[] calldata recipients
+    ) external view returns (uint256[] memory raised, uint256[] memory targets) {
+        require(commentCids.length == recipients.length, "Array lengths must match");
+        raised = new uint256[](commentCids.length);
+        targets = new uint256[](commentCids.length);
+        for (uint256 i = 0; i < commentCids.length; i++) {
+            Goal storage goal = goals[_goalKey(commentCids[i], recipients[i])];
+            raised[i] = goal.raised;
+            targets[i] = goal.target;
+        }
+    }
+
+    /**
+     * @notice Get the contributors of a goal, in order of first contribution.
+     * @param commentCid The comment CID of the proposal.
+     * @param recipient The author of the goal.
+     * @return The contributor addresses.
+     */
+    function getGoalContributors(bytes32 commentCid, address recipient) external view returns (address[] memory) {
+        return goalContributors[_goalKey(commentCid, recipient)];
+    }
+
+    /**
+     * @notice Get the key a goal is stored under.
+     * @param commentCid The comment CID of the proposal.
+     * @param recipient The author of the goal.
+     * @return The goal key.
+     */
+    function _goalKey(bytes32 commentCid, address recipient) internal pure returns (bytes32) {
+        return keccak256(abi.encode(commentCid, recipient));
+    }
+
+    /**
+     * @notice Whether the release window of a goal has ended.
+     * @param goal The goal.
+     * @return True if the author can no longer release the goal.
+     */
+    function _releaseWindowPassed(Goal storage goal) internal view returns (bool) {
+        return block.timestamp > uint256(goal.deadline) + RELEASE_WINDOW;
+    }
+
+    /**
+     * @notice Get an existing goal.
+     * @param key The goal key.
+     * @return goal The goal.
+     */
+    function _getGoal(bytes32 key) internal view returns (Goal storage goal) {
+        goal = goals[key];
+        require(goal.deadline != 0, "Unknown goal");
+    }
+}
@@ -0,0 +1,262 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./PlebbitTippingV1.sol";
+
+/**
+ * @title PlebbitTippingV1Subscriptions
+ * @notice Recurring tips to an author: a sender pre-funds a subscription with ETH, and a fixed amount is tipped to
+ * the author every period, until the sender cancels or the balance runs out.
+ * @dev Holds the pre-funded ETH. Payments are sent through `PlebbitTippingV1.tipFrom` as a tip from the sender, so
+ * each one emits the usual `Tip` event and counts toward the author's totals. Anyone can trigger a due payment, e.g.
+ * a keeper bot, the author or the sender's own client. Needs TIP_MODULE_ROLE on the tipping contract.
+ */
+contract PlebbitTippingV1Subscriptions {
+    /**
+     * @notice Struct representing a subscription.
+     * @param sender The address paying the subscription, the only one that can fund or cancel it.
+     * @param amount The amount of ETH tipped every period.
+     * @param recipient The author receiving the payments.
+     * @param balance The pre-funded ETH not paid yet.
+     * @param feeRecipient The address receiving the fee of each payment.
+     * @param period The number of seconds between two payments.
+     * @param nextPaymentAt Unix timestamp from which the next payment can be triggered.
+     * @param canceled Whether the sender canceled the subscription.
+     * @param recipientCommentCid Optional comment CID the payments are recorded on (0x0 if none).
+     */
+    struct Subscription {
+        address sender;
+        uint96 amount;
+        address recipient;
+        uint96 balance;
+        address feeRecipient;
+        uint64 period;
+        uint64 nextPaymentAt;
+        bool canceled;
+        bytes32 recipientCommentCid;
+    }
+
+    /// @notice The tipping contract payments are sent through.
+    PlebbitTippingV1 public immutable tipping;
+
+    /// @notice Every subscription, indexed by subscription id.
+    Subscription[] internal subscriptions;
+
+    /// @notice Maps a sender to the ids of the subscriptions it pays.
+    mapping(address => uint256[]) internal senderSubscriptionIds;
+
+    /// @notice Maps a recipient to the ids of the subscriptions paying it.
+    mapping(address => uint256[]) internal recipientSubscriptionIds;
+
+    /**
+     * @notice Emitted when a subscription is created.
+     * @param id The subscription id.
+     * @param sender The address paying the subscription.
+     * @param recipient The author receiving the payments.
+     * @param amount The amount of ETH tipped every period.
+     * @param feeRecipient The address receiving the fee of each payment.
+     * @param period The number of seconds between two payments.
+     * @param recipientCommentCid Optional comment CID the payments are recorded on (0x0 if none).
+     */
+    event SubscriptionCreated(
+        uint256 indexed id,
+        address indexed sender,
+        address indexed recipient,
+        uint256 amount,
+        address feeRecipient,
+        uint256 period,
+        bytes32 recipientCommentCid
+    );
+
+    /**
+     * @notice Emitted when the sender adds ETH to a subscription.
+     * @param id The subscription id.
+     * @param amount The amount of ETH added.
+     */
+    event SubscriptionFunded(uint256 indexed id, uint256 amount);
+
+    /**
+     * @notice Emitted when a subscription payment is tipped, next to the tipping contract's `Tip` event.
+     * @param id The subscription id.
+     * @param nextPaymentAt Unix timestamp from which the next payment can be triggered.
+     */
+    event SubscriptionPaid(uint256 indexed id, uint256 nextPaymentAt);
+
+    /**
+     * @notice Emitted when the sender cancels a subscription.
+     * @param id The subscription id.
+     * @param refund The unpaid balance sent back to the sender.
+     */
+    event SubscriptionCanceled(uint256 indexed id, uint256 refund);
+
+    /**
+     * @param _tipping The tipping contract payments are sent through.
+     */
+    constructor(PlebbitTippingV1 _tipping) {
+        require(address(_tipping) != address(0), "Invalid tipping contract address");
+        tipping = _tipping;
+    }
+
+    /**
+     * @notice Subscribe to an author, pre-funded with the ETH sent. The first payment is tipped right away.
+     * @dev The amount must be at least the tipping contract's minimum tip amount. The ETH sent beyond the first
+     * payment stays in the subscription's balance for the next ones.
+     * @param recipient The author receiving the payments.
+     * @param amount The amount of ETH tipped every period.
+     * @param feeRecipient The address receiving the fee of each payment.
+     * @param period The number of seconds between two payments.
+     * @param recipientCommentCid Optional comment CID the payments are recorded on (0x0 if none).
+     * @return id The subscription id.
+     */
+    function createSubscription(
+        address recipient,
+        uint96 amount,
+        address feeRecipient,
+        uint64 period,
+        bytes32 recipientCommentCid
+    ) external payable returns (uint256 id) {
+        require(recipient != address(0), "Invalid recipient address");
+        require(amount >= tipping.minimumTipAmount(), "Subscription amount is too low");
+        require(period > 0, "Invalid subscription period");
+        require(msg.value >= amount, "Sent value doesn't cover the first payment");
+        require(msg.value <= type(uint96).max, "Sent value is too high");
+
+        id = subscriptions.length;
+        subscriptions.push(Subscription({
+            sender: msg.sender,
+            amount: amount,
+            recipient: recipient,
+            balance: uint96(msg.value),
+            feeRecipient: feeRecipient,
+            period: period,
+            nextPaymentAt: uint64(block.timestamp),
+            canceled: false,
+            recipientCommentCid: recipientCommentCid
+        }));
+        senderSubscriptionIds[msg.sender].push(id);
+        recipientSubscriptionIds[recipient].push(id);
+
+        emit SubscriptionCreated(id, msg.sender, recipient, amount, feeRecipient, period, recipientCommentCid);
+        _pay(id, subscriptions[id]);
+    }
+
+    /**
+     * @notice Add the ETH sent to a subscription's balance.
+     * @dev If the subscription had run out of funds and missed payments, it restarts from now instead of paying
+     * the missed periods.
+     * @param id The subscription id.
+     */
+    function fundSubscription(uint256 id) external payable {
+        Subscription storage subscription = _getActiveSubscription(id);
+        require(subscription.sender == msg.sender, "Only the sender can do this");
+        require(msg.value > 0, "No ETH sent");
+        require(subscription.balance + msg.value <= type(uint96).max, "Sent value is too high");
+
+        if (subscription.balance < subscription.amount && subscription.nextPaymentAt < block.timestamp) {
+            subscription.nextPaymentAt = uint64(block.timestamp);
+        }
+        subscription.balance += uint96(msg.value);
+
+        emit SubscriptionFunded(id, msg.value);
+    }
+
+    /**
+     * @notice Tip a subscription's due payment. Callable by anyone.
+     * @dev Pays one period per call. Periods missed while no one triggered them stay due and can be paid by
+     * calling again.
+     * @param id The subscription id.
+     */
+    function paySubscription(uint256 id) external {
+        Subscription storage subscription = _getActiveSubscription(id);
+        require(block.timestamp >= subscription.nextPaymentAt, "Subscription payment is not due");
+        require(subscription.balance >= subscription.amount, "Subscription balance is too low");
+        _pay(id, subscription);
+    }
+
+    /**
+     * @notice Cancel a subscription and get its unpaid balance back.
+     * @dev Only callable by the sender. The subscription is closed before the transfer, so re-entering cannot
+     * refund twice.
+     * @param id The subscription id.
+     */
+    function cancelSubscription(uint256 id) external {
+        Subscription storage subscription = _getActiveSubscription(id);
+        require(subscription.sender == msg.sender, "Only the sender can do this");
+        uint256 refund = subscription.balance;
+        subscription.canceled = true;
+        subscription.balance = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: refund}("");
+        require(success, "Refund failed");
+
+        emit SubscriptionCanceled(id, refund);
+    }
+
+    /**
+     * @notice Get a subscription.
+     * @param id The subscription id.
+     * @return The subscription.
+     */
+    function getSubscription(uint256 id) external view returns (Subscription memory) {
+        require(id < subscriptions.length, "Invalid subscription id");
+        return subscriptions[id];
+    }
+
+    /**
+     * @notice Get the ids of the subscriptions an address pays, oldest first.
+     * @param sender The address paying the subscriptions.
+     * @return The subscription ids.
+     */
+    function getSenderSubscriptionIds(address sender) external view returns (uint256[] memory) {
+        return senderSubscriptionIds[sender];
+    }
+
+    /**
+     * @notice Get the ids of the subscriptions paying an address, oldest first.
+     * @param recipient The author receiving the payments.
+     * @return The subscription ids.
+     */
+    function getRecipientSubscriptionIds(address recipient) external view returns (uint256[] memory) {
+        return recipientSubscriptionIds[recipient];
+    }
+
+    /**
+     * @notice Get the number of subscriptions ever created.
+     * @return The number of subscriptions.
+     */
+    function getSubscriptionsCount() external view returns (uint256) {
+        return subscriptions.length;
+    }
+
+    /**
+     * @notice Get a subscription that wasn't canceled.
+     * @param id The subscription id.
+     * @return subscription The subscription.
+     */
+    function _getActiveSubscription(uint256 id) internal view returns (Subscription storage subscription) {
+        require(id < subscriptions.length, "Invalid subscription id");
+        subscription = subscriptions[id];
+        require(!subscription.canceled, "Subscription is canceled");
+    }
+
+    /**
+     * @notice Tip one payment from a subscription's balance and schedule the next one.
+     * @param id The subscription id.
+     * @param subscription The subscription, with a due payment and enough balance.
+     */
+    function _pay(uint256 id, Subscription storage subscription) internal {
+        uint96 amount = subscription.amount;
+        subscription.balance -= amount;
+        subscription.nextPaymentAt += subscription.period;
+
+        tipping.tipFrom{value: amount}(
+            subscription.sender,
+            subscription.recipient,
+            subscription.feeRecipient,
+            bytes32(0),
+            subscription.recipientCommentCid
+        );
+
+        emit SubscriptionPaid(id, subscription.nextPaymentAt);
+    }
+}
@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+// Compiles OpenZeppelin's ERC1967Proxy so the tests can deploy PlebbitTippingV1 behind a proxy.
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../PlebbitTippingV1.sol";
+
+/**
+ * @title PlebbitTippingV2Mock
+ * @notice Next implementation of PlebbitTippingV1 used by the upgrade tests. Appends a state variable
+ * after the existing ones, the way a real upgrade has to.
+ */
+contract PlebbitTippingV2Mock is PlebbitTippingV1 {
+    /// @notice New state variable, stored after all PlebbitTippingV1 variables.
+    uint256 public upgradeCounter;
+
+    /**
+     * @notice Increment the new state variable.
+     */
+    function incrementUpgradeCounter() external {
+        upgradeCounter += 1;
+    }
+
+    /**
+     * @notice Get the implementation version.
+     * @return The version string.
+     */
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
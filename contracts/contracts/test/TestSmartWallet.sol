@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IPlebbitTippingWithdraw {
+    function withdraw() external;
+}
+
+/**
+ * @title TestSmartWallet
+ * @notice Wallet contract whose receive() needs more than the 2300 gas stipend, like a Safe.
+ */
+contract TestSmartWallet {
+    uint256 public received;
+
+    receive() external payable {
+        received += msg.value;
+    }
+
+    /**
+     * @notice Withdraw this wallet's pending balance from the tipping contract.
+     * @param tipping The tipping contract address.
+     */
+    function withdrawFrom(address tipping) external {
+        IPlebbitTippingWithdraw(tipping).withdraw();
+    }
+}
@@ -1,15 +1,16 @@
 // deploy/01_deploy_plebbit.js
 require('dotenv').config();
-const admin = process.env.ADMIN_ADDRESS;
-if (!admin) throw new Error("ADMIN_ADDRESS not set in .env");
 
 module.exports = async function (hre) {
+  const admin = process.env.ADMIN_ADDRESS;
+  if (!admin) throw new Error("ADMIN_ADDRESS not set in .env");
+
   const { getNamedAccounts, deployments, ethers } = hre;
   const { deploy } = deployments;
   const { deployer } = await getNamedAccounts();
   console.log("Deployer:", deployer);
   const minimumTipAmount = ethers.parseEther("0.001");
-  const feePercent = 5;
+  const feeBasisPoints = 500; // 5%
 
   // Use a salt (must be 32 bytes, e.g., a hash)
   const salt = ethers.keccak256(ethers.toUtf8Bytes("plebbit-v1-salt-2"));
@@ -18,14 +19,30 @@ module.exports = async function (hre) {
   const balanceBefore = await ethers.provider.getBalance(deployer);
   console.log("Deployer balance before:", ethers.formatEther(balanceBefore), "MATIC");
 
+  // UUPS proxy: the proxy address stays the same across upgrades, only the implementation changes.
+  // Running this again after changing the contract deploys the new implementation and upgrades the
+  // proxy, which must be done from an account with UPGRADER_ROLE (granted to the admin on initialize).
   const deployment = await deploy("PlebbitTippingV1", {
     from: deployer,
-    args: [admin, minimumTipAmount, feePercent], // <-- admin is now the first argument
+    proxy: {
+      proxyContract: "UUPS",
+      execute: {
+        init: {
+          methodName: "initialize",
+          args: [admin, minimumTipAmount, feeBasisPoints], // <-- admin is the first argument
+        },
+      },
+      // OpenZeppelin 5 UUPS contracts only have upgradeToAndCall
+      upgradeFunction: {
+        methodName: "upgradeToAndCall",
+        upgradeArgs: ["{implementation}", "0x"],
+      },
+    },
     deterministicDeployment: salt,
     log: true,
   });
   if (deployment.newlyDeployed) {
-    console.log("Deployed PlebbitTippingV1 at:", deployment.address);
+    console.log("Deployed PlebbitTippingV1 at:", deployment.address, "implementation:", deployment.implementation);
   } else {
     console.log("PlebbitTippingV1 already deployed at:", deployment.address);
   }
@@ -34,4 +51,4 @@ module.exports = async function (hre) {
   console.log("Deployer balance after:", ethers.formatEther(balanceAfter), "MATIC");
   // Print the network name
   console.log("Deployment network:", hre.network.name);
-};
\ No newline at end of file
+};module.exports.tags = ["PlebbitTippingV1"];
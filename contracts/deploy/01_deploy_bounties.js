@@ -0,0 +1,13 @@
+// deploy/01_deploy_bounties.js
+require('dotenv').config();
+const { deployTipModule } = require('../scripts/deploy-tip-module');
+
+module.exports = async function (hre) {
+  await deployTipModule(hre, {
+    name: "PlebbitTippingV1Bounties",
+    salt: "plebbit-v1-bounties-salt-1",
+    usage: "bounties can be awarded",
+  });
+};
+module.exports.tags = ["PlebbitTippingV1Bounties"];
+module.exports.dependencies = ["PlebbitTippingV1"];
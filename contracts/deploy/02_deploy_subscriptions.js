@@ -0,0 +1,13 @@
+// deploy/02_deploy_subscriptions.js
+require('dotenv').config();
+const { deployTipModule } = require('../scripts/deploy-tip-module');
+
+module.exports = async function (hre) {
+  await deployTipModule(hre, {
+    name: "PlebbitTippingV1Subscriptions",
+    salt: "plebbit-v1-subscriptions-salt-1",
+    usage: "subscriptions can be paid",
+  });
+};
+module.exports.tags = ["PlebbitTippingV1Subscriptions"];
+module.exports.dependencies = ["PlebbitTippingV1"];
@@ -0,0 +1,13 @@
+// deploy/03_deploy_goals.js
+require('dotenv').config();
+const { deployTipModule } = require('../scripts/deploy-tip-module');
+
+module.exports = async function (hre) {
+  await deployTipModule(hre, {
+    name: "PlebbitTippingV1Goals",
+    salt: "plebbit-v1-goals-salt-1",
+    usage: "goals can be released",
+  });
+};
+module.exports.tags = ["PlebbitTippingV1Goals"];
+module.exports.dependencies = ["PlebbitTippingV1"];
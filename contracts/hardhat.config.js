@@ -5,12 +5,13 @@ require('dotenv').config();
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20", // <-- set to at least 0.8.20
+    version: "0.8.22", // <-- set to at least 0.8.22 (OpenZeppelin UUPSUpgradeable)
     settings: {
       optimizer: {
         enabled: true,
-        runs: 200,
+        runs: 20, // favors smaller code over cheaper calls, for the same 24KB limit as viaIR
       },
+      viaIR: true, // keeps PlebbitTippingV1 under the 24KB contract size limit
     },
   },
   networks: {
@@ -55,15 +56,6 @@ module.exports = {
       default: 0, // here 0 means the first account by default
     },
   },
-  deterministicDeployment: (network) => {
-    // Use a fixed salt for deterministic deployment
-    return {
-      factory: "0x4e59b44847b379578588920cA78FbF26c0B4956C",
-      deployer: "0x3fab184622dc19b6109349b94811493bf2a45362",
-      funding: "10000000000000000",
-      signedTx: "0x00",
-    };
-  },
   etherscan: {
     apiKey: process.env.ETHERSCAN_API_KEY || "YOUR_ETHERSCAN_API_KEY",
   },
@@ -32,14 +32,17 @@ async function deployToForks() {
     // Create a temporary Hardhat config for this network
     const networkName = `custom${i}`;
     const hardhatConfig = `
+require("@nomicfoundation/hardhat-toolbox");
+require("hardhat-deploy");
 module.exports = {
   solidity: {
-    version: "0.8.20", // <-- set to at least 0.8.20
+    version: "0.8.22", // <-- set to at least 0.8.22 (OpenZeppelin UUPSUpgradeable)
     settings: {
       optimizer: {
         enabled: true,
-        runs: 200,
+        runs: 20, // favors smaller code over cheaper calls, for the same 24KB limit as viaIR
       },
+      viaIR: true, // keeps PlebbitTippingV1 under the 24KB contract size limit
     },
   },
   networks: {
@@ -60,7 +63,7 @@ module.exports = {
     // Deploy using the temp config
     console.log(`Deploying to ${networkName} (forked from ${forkUrl})...`);
     execSync(
-      `npx hardhat run deploy/00_deploy_contract.js --network ${networkName} --config hardhat.temp.config.js`,
+      `npx hardhat deploy --network ${networkName} --config hardhat.temp.config.js`,
       { stdio: 'inherit' }
     );
 
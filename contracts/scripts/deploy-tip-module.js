@@ -0,0 +1,43 @@
+// scripts/deploy-tip-module.js
+// Shared by the deploy scripts of the feature contracts (bounties, subscriptions, goals), which send tips through
+// PlebbitTippingV1.tipFrom and so need TIP_MODULE_ROLE.
+
+/**
+ * Deploys a tip module with CREATE2 and grants it TIP_MODULE_ROLE when the deployer is the admin.
+ * Otherwise it prints the role and address for the admin to grant.
+ * @param {import('hardhat/types').HardhatRuntimeEnvironment} hre
+ * @param {object} module
+ * @param {string} module.name The contract and deployment name, e.g. "PlebbitTippingV1Bounties".
+ * @param {string} module.salt The CREATE2 salt, changing it changes the module address.
+ * @param {string} module.usage What needs the role, e.g. "bounties can be awarded".
+ */
+async function deployTipModule(hre, { name, salt, usage }) {
+  const { getNamedAccounts, deployments, ethers } = hre;
+  const { deployer } = await getNamedAccounts();
+  const tipping = await deployments.get("PlebbitTippingV1");
+
+  // Not upgradeable: modules hold ETH for their users, and depend only on the tipping proxy address, which never changes
+  const deployment = await deployments.deploy(name, {
+    from: deployer,
+    args: [tipping.address],
+    deterministicDeployment: ethers.keccak256(ethers.toUtf8Bytes(salt)),
+    log: true,
+  });
+  console.log(`${name} at:`, deployment.address);
+
+  const plebbitTipping = await ethers.getContractAt("PlebbitTippingV1", tipping.address);
+  const tipModuleRole = await plebbitTipping.TIP_MODULE_ROLE();
+  if (await plebbitTipping.hasRole(tipModuleRole, deployment.address)) {
+    return deployment;
+  }
+  if (await plebbitTipping.hasRole(await plebbitTipping.DEFAULT_ADMIN_ROLE(), deployer)) {
+    const signer = await ethers.getSigner(deployer);
+    await (await plebbitTipping.connect(signer).grantRole(tipModuleRole, deployment.address)).wait();
+    console.log(`Granted TIP_MODULE_ROLE to ${name}`);
+  } else {
+    console.log(`The admin must grant TIP_MODULE_ROLE (${tipModuleRole}) to ${deployment.address} before ${usage}`);
+  }
+  return deployment;
+}
+
+module.exports = { deployTipModule };
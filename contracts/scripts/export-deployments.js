@@ -0,0 +1,52 @@
+// scripts/export-deployments.js
+// Copies the addresses of the hardhat-deploy deployments (deployments/<network>) to the registry of known
+// deployments of the js-api, keyed by chain id. Run it after deploying to a public network and commit the registry.
+const fs = require('fs');
+const path = require('path');
+
+const deploymentsDir = path.join(__dirname, '../deployments');
+const registryPath = path.join(__dirname, '../../js-api/src/deployments.json');
+
+// The proxy address depends on the implementation bytecode and the admin, so local deployments aren't portable
+const LOCAL_NETWORKS = ['hardhat', 'localhost'];
+
+// Registry field => deployment name
+const CONTRACTS = {
+  contractAddress: 'PlebbitTippingV1',
+  bountiesAddress: 'PlebbitTippingV1Bounties',
+  subscriptionsAddress: 'PlebbitTippingV1Subscriptions',
+  goalsAddress: 'PlebbitTippingV1Goals',
+};
+
+function main() {
+  // Entries of networks not deployed from this checkout are kept
+  const registry = fs.existsSync(registryPath) ? JSON.parse(fs.readFileSync(registryPath, 'utf8')) : {};
+  const networks = fs.existsSync(deploymentsDir) ? fs.readdirSync(deploymentsDir) : [];
+
+  for (const network of networks) {
+    const chainIdPath = path.join(deploymentsDir, network, '.chainId');
+    if (LOCAL_NETWORKS.includes(network) || !fs.existsSync(chainIdPath)) continue;
+    const chainId = fs.readFileSync(chainIdPath, 'utf8').trim();
+
+    const deployment = {};
+    for (const [field, name] of Object.entries(CONTRACTS)) {
+      const deploymentPath = path.join(deploymentsDir, network, `${name}.json`);
+      if (fs.existsSync(deploymentPath)) {
+        deployment[field] = JSON.parse(fs.readFileSync(deploymentPath, 'utf8')).address;
+      }
+    }
+    if (!deployment.contractAddress) {
+      console.log(`Skipping ${network}: PlebbitTippingV1 is not deployed`);
+      continue;
+    }
+    // The native currency isn't in the hardhat-deploy output, keep the registry's
+    const nativeCurrency = registry[chainId]?.nativeCurrency;
+    registry[chainId] = nativeCurrency ? { ...deployment, nativeCurrency } : deployment;
+    console.log(`${network} (${chainId}):`, deployment);
+  }
+
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2) + '\n');
+  console.log('Wrote', registryPath);
+}
+
+main();
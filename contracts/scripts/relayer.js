@@ -0,0 +1,142 @@
+// scripts/relayer.js
+//
+// Reference relayer for gasless tips. Accepts EIP-712 signed tip intents over HTTP and
+// submits them with `tipWithSignature`, paying the gas itself.
+//
+// Usage against a local node:
+//   npx hardhat node
+//   npm run deploy:localhost
+//   npx hardhat run scripts/relayer.js --network localhost
+//
+// Relays to the PlebbitTippingV1 proxy of the network's hardhat-deploy deployment (deployments/<network>),
+// or to CONTRACT_ADDRESS if set.
+//
+// POST /relay   { "intent": { sender, token, recipient, amount, feeRecipient, senderCommentCid,
+//                 recipientCommentCid, nonce, deadline }, "signature": "0x..." }
+//               -> { "transactionHash": "0x..." }
+require('dotenv').config();
+const http = require('http');
+const { ethers, deployments, network } = require('hardhat');
+
+const DEFAULT_PORT = 8547;
+const MAX_BODY_SIZE = 64 * 1024;
+
+const TIP_INTENT_TYPES = {
+  TipIntent: [
+    { name: 'sender', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'recipient', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'feeRecipient', type: 'address' },
+    { name: 'senderCommentCid', type: 'bytes32' },
+    { name: 'recipientCommentCid', type: 'bytes32' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the relayer HTTP server. The server is not listening until `listen()` is called.
+ * @param {object} options
+ * @param {import('ethers').Signer} options.signer - Account that submits the intents and pays the gas
+ * @param {string} options.contractAddress - Address of the PlebbitTippingV1 contract
+ * @returns {Promise<http.Server>}
+ */
+async function createRelayer({ signer, contractAddress }) {
+  const contract = await ethers.getContractAt('PlebbitTippingV1', contractAddress, signer);
+  const { chainId } = await signer.provider.getNetwork();
+  const domain = { name: 'PlebbitTippingV1', version: '1', chainId, verifyingContract: contractAddress };
+
+  const relay = async ({ intent, signature }) => {
+    if (!intent || typeof signature !== 'string') {
+      throw new Error('Missing intent or signature');
+    }
+    const tipIntent = {
+      sender: ethers.getAddress(intent.sender),
+      token: ethers.getAddress(intent.token),
+      recipient: ethers.getAddress(intent.recipient),
+      amount: BigInt(intent.amount),
+      feeRecipient: ethers.getAddress(intent.feeRecipient),
+      senderCommentCid: ethers.zeroPadValue(intent.senderCommentCid, 32),
+      recipientCommentCid: ethers.zeroPadValue(intent.recipientCommentCid, 32),
+      nonce: BigInt(intent.nonce),
+      deadline: BigInt(intent.deadline),
+    };
+
+    // Reject bad intents before spending any gas on them
+    if (ethers.verifyTypedData(domain, TIP_INTENT_TYPES, tipIntent, signature) !== tipIntent.sender) {
+      throw new Error('Invalid tip intent signature');
+    }
+    await contract.tipWithSignature.staticCall(tipIntent, signature);
+
+    const tx = await contract.tipWithSignature(tipIntent, signature);
+    return tx.hash;
+  };
+
+  return http.createServer(async (req, res) => {
+    if (req.method === 'GET' && req.url === '/health') {
+      return sendJson(res, 200, { relayer: await signer.getAddress(), contractAddress, chainId: chainId.toString() });
+    }
+    if (req.method !== 'POST' || req.url !== '/relay') {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+    try {
+      const transactionHash = await relay(await readJsonBody(req));
+      console.log(`Relayed tip intent: ${transactionHash}`);
+      sendJson(res, 200, { transactionHash });
+    } catch (error) {
+      sendJson(res, 400, { error: error.shortMessage || error.message });
+    }
+  });
+}
+
+async function main() {
+  const signer = process.env.RELAYER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, ethers.provider)
+    : (await ethers.getSigners())[0];
+  const contractAddress = process.env.CONTRACT_ADDRESS || (await deployments.getOrNull('PlebbitTippingV1'))?.address;
+  if (!contractAddress) {
+    throw new Error(`PlebbitTippingV1 is not deployed on ${network.name}, deploy it or set CONTRACT_ADDRESS`);
+  }
+  const port = Number(process.env.RELAYER_PORT || DEFAULT_PORT);
+
+  const server = await createRelayer({ signer, contractAddress });
+  server.listen(port, () => {
+    console.log(`Relayer ${signer.address} listening on http://localhost:${port} for ${contractAddress}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { createRelayer, TIP_INTENT_TYPES };
@@ -6,15 +6,24 @@ async function main() {
   console.log('Deploying contracts with the account:', deployer.address);
   console.log('Account balance:', (await ethers.provider.getBalance(deployer.address)).toString());
   
+  // Deploy the implementation, then a UUPS proxy that initializes it
   const PlebbitTippingV1 = await ethers.getContractFactory('PlebbitTippingV1');
-  const contract = await PlebbitTippingV1.deploy(
-    process.env.ADMIN_ADDRESS, 
-    ethers.parseEther("0.001"),
-    5
+  const implementation = await PlebbitTippingV1.deploy();
+  await implementation.waitForDeployment();
+
+  const ERC1967Proxy = await ethers.getContractFactory('ERC1967Proxy');
+  const proxy = await ERC1967Proxy.deploy(
+    await implementation.getAddress(),
+    PlebbitTippingV1.interface.encodeFunctionData('initialize', [
+      process.env.ADMIN_ADDRESS,
+      ethers.parseEther("0.001"),
+      500 // 5% fee, in basis points
+    ])
   );
 
-  await contract.waitForDeployment();
-  console.log('PlebbitTippingV1 deployed to:', await contract.getAddress());
+  await proxy.waitForDeployment();
+  console.log('PlebbitTippingV1 implementation deployed to:', await implementation.getAddress());
+  console.log('PlebbitTippingV1 deployed to:', await proxy.getAddress());
 }
 
 main().catch((error) => {
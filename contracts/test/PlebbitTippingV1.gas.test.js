@@ -0,0 +1,53 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const toWei = (value) => ethers.parseEther(value.toString());
+
+// Compares the gas used by tip() and lightTip(), the event-only path that skips the stored tip history
+describe("PlebbitTippingV1 gas", function () {
+    let plebbitTipping, admin, sender, recipient, community;
+    const gasUsed = { tip: {}, lightTip: {} };
+
+    beforeEach(async function () {
+        [admin, sender, recipient, community] = await ethers.getSigners();
+        const PlebbitTippingV1 = await ethers.getContractFactory("PlebbitTippingV1");
+        const implementation = await PlebbitTippingV1.deploy();
+        const ERC1967Proxy = await ethers.getContractFactory("ERC1967Proxy");
+        const proxy = await ERC1967Proxy.deploy(
+            implementation.target,
+            PlebbitTippingV1.interface.encodeFunctionData("initialize", [admin.address, toWei("0.001"), 500])
+        );
+        plebbitTipping = PlebbitTippingV1.attach(proxy.target);
+    });
+
+    after(function () {
+        console.table(Object.fromEntries(Object.entries(gasUsed.tip).map(([scenario, tipGas]) => [scenario, {
+            tip: Number(tipGas),
+            lightTip: Number(gasUsed.lightTip[scenario]),
+            saved: Number(tipGas - gasUsed.lightTip[scenario])
+        }])));
+    });
+
+    // Gas of a first tip on a new comment, then of a second tip by the same sender on it
+    const measure = async (method) => {
+        const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes(`${method} comment`));
+        const send = async () => {
+            const tx = await plebbitTipping.connect(sender)[method](recipient.address, toWei("0.01"), community.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("0.01") });
+            return (await tx.wait()).gasUsed;
+        };
+        gasUsed[method]["first tip on a comment"] = await send();
+        gasUsed[method]["next tip on the comment"] = await send();
+    };
+
+    it("lightTip costs less than tip for first and repeat tips", async function () {
+        // Warm up the balances and lifetime totals both paths write, so only the tip history differs
+        await plebbitTipping.connect(sender).tip(recipient.address, toWei("0.01"), community.address, ethers.ZeroHash, ethers.ZeroHash, { value: toWei("0.01") });
+        await measure("tip");
+        await measure("lightTip");
+
+        for (const scenario of Object.keys(gasUsed.tip)) {
+            // The skipped TipData and SenderTip entries are 7 new storage slots, over 20k gas each
+            expect(gasUsed.tip[scenario] - gasUsed.lightTip[scenario]).to.be.greaterThan(100000n);
+        }
+    });
+});
@@ -8,20 +8,38 @@ if (!semver.satisfies(process.version, '>=' + minVersion)) {
 
 const { ethers } = require("hardhat");
 const { expect } = require("chai");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
 
 const toWei = (value) => ethers.parseEther(value.toString());
 const fromWei = (value) => parseFloat(ethers.formatEther(value));
 
+// Values of the PlebbitTippingV1.Parameter enum
+const Parameter = { MinimumTipAmount: 0, FeeBasisPoints: 1, ParameterChangeDelay: 2 };
+
 describe("PlebbitTippingV1", function () {
     let PlebbitTippingV1, plebbitTipping, admin, mod, user1, user2;
     const initialMinimumTipAmount = toWei("0.001");
-    const initialFeePercent = 5;
+    const initialFeeBasisPoints = 500;
+
+    // Schedule a parameter change as moderator and execute it once the delay has passed
+    const changeParameter = async (parameter, value) => {
+        const id = await plebbitTipping.parameterChangeCount();
+        await plebbitTipping.connect(mod).scheduleParameterChange(parameter, value);
+        await time.increase(await plebbitTipping.parameterChangeDelay());
+        return plebbitTipping.executeParameterChange(id);
+    };
 
     beforeEach(async function () {
         [admin, mod, user1, user2, ...addrs] = await ethers.getSigners();
         PlebbitTippingV1 = await ethers.getContractFactory("PlebbitTippingV1");
-        plebbitTipping = await PlebbitTippingV1.deploy(admin.address, initialMinimumTipAmount, initialFeePercent);
-        await plebbitTipping.waitForDeployment();
+        const implementation = await PlebbitTippingV1.deploy();
+        const ERC1967Proxy = await ethers.getContractFactory("ERC1967Proxy");
+        const proxy = await ERC1967Proxy.deploy(
+            implementation.target,
+            PlebbitTippingV1.interface.encodeFunctionData("initialize", [admin.address, initialMinimumTipAmount, initialFeeBasisPoints])
+        );
+        await proxy.waitForDeployment();
+        plebbitTipping = PlebbitTippingV1.attach(proxy.target);
         await plebbitTipping.grantRole(await plebbitTipping.MODERATOR_ROLE(), mod.address);
 
         // Log the deployed address
@@ -31,11 +49,11 @@ describe("PlebbitTippingV1", function () {
     it("Admin can set roles, mods can change mod functions, public can't", async function () {
         await plebbitTipping.connect(admin).grantRole(await plebbitTipping.MODERATOR_ROLE(), user1.address);
         await expect(
-            plebbitTipping.connect(user2).setMinimumTipAmount(toWei("0.01"))
+            plebbitTipping.connect(user2).scheduleParameterChange(Parameter.MinimumTipAmount, toWei("0.01"))
         ).to.be.reverted;
     });
 
-    it("Tip function: respects minimumTipAmount, computes and distributes fee, emits event", async function () {
+    it("Tip function: respects minimumTipAmount, computes and credits fee, emits event", async function () {
         await expect(
             plebbitTipping.connect(user1).tip(user2.address, toWei("0.0001"), mod.address, ethers.ZeroHash, ethers.ZeroHash, { value: toWei("0.0001"), })
         ).to.be.revertedWith("Tip amount is too low");
@@ -49,14 +67,38 @@ describe("PlebbitTippingV1", function () {
             { value: toWei("0.01") })
         ).to.emit(plebbitTipping, "Tip");
 
-        const balanceMod = await ethers.provider.getBalance(mod.address);
-        const balanceUser2 = await ethers.provider.getBalance(user2.address);
-        // Calculate delta to check balance changes
-        const deltaMod = parseFloat((fromWei(balanceMod) - 10000).toFixed(4));
-        const deltaUser2 = parseFloat((fromWei(balanceUser2) - 10000).toFixed(4));
+        // Fee and tip are credited, not transferred
+        expect(await plebbitTipping.pendingBalances(mod.address)).to.equal(toWei("0.0005"));
+        expect(await plebbitTipping.pendingBalances(user2.address)).to.equal(toWei("0.0095"));
+        const balances = await plebbitTipping.getPendingBalances([mod.address, user2.address, user1.address]);
+        expect(balances[0]).to.equal(toWei("0.0005"));
+        expect(balances[1]).to.equal(toWei("0.0095"));
+        expect(balances[2]).to.equal(0);
+    });
+
+    it("Withdraw pays out the pending balance once and emits event", async function () {
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("0.01"), mod.address, ethers.ZeroHash, ethers.ZeroHash, { value: toWei("0.01") });
+
+        await expect(plebbitTipping.connect(user2).withdraw())
+            .to.emit(plebbitTipping, "Withdrawal")
+            .withArgs(user2.address, toWei("0.0095"));
+        expect(await plebbitTipping.pendingBalances(user2.address)).to.equal(0);
 
-        expect(deltaMod).to.be.closeTo(0.0005, 0.0001);
-        expect(deltaUser2).to.be.closeTo(0.0095, 0.0001);
+        await expect(plebbitTipping.connect(user2).withdraw()).to.be.revertedWith("No balance to withdraw");
+        await expect(plebbitTipping.connect(mod).withdraw()).to.changeEtherBalance(mod, toWei("0.0005"));
+    });
+
+    it("Smart-contract wallets can receive and withdraw tips", async function () {
+        const TestSmartWallet = await ethers.getContractFactory("TestSmartWallet");
+        const smartWallet = await TestSmartWallet.deploy();
+        await smartWallet.waitForDeployment();
+
+        await plebbitTipping.connect(user1).tip(smartWallet.target, toWei("0.01"), smartWallet.target, ethers.ZeroHash, ethers.ZeroHash, { value: toWei("0.01") });
+        expect(await plebbitTipping.pendingBalances(smartWallet.target)).to.equal(toWei("0.01"));
+
+        await smartWallet.withdrawFrom(plebbitTipping.target);
+        expect(await smartWallet.received()).to.equal(toWei("0.01"));
+        expect(await ethers.provider.getBalance(smartWallet.target)).to.equal(toWei("0.01"));
     });
 
     it("After tipping, can retrieve correct total and filtered amounts", async function () {
@@ -93,6 +135,130 @@ describe("PlebbitTippingV1", function () {
         expect(emptyTips.length).to.equal(0);
     });
 
+    it("Stored tips include the recipient and the time they were sent", async function () {
+        const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        const senderCommentCid = ethers.keccak256(ethers.toUtf8Bytes("sender1"));
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("0.01"), mod.address, senderCommentCid, recipientCommentCid, { value: toWei("0.01") });
+        const firstTipTime = await time.latest();
+        await time.increase(3600);
+        await plebbitTipping.connect(user2).tip(user1.address, toWei("0.02"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("0.02") });
+
+        const [first, second] = await plebbitTipping.getTips(recipientCommentCid, [mod.address], 0, 10);
+        expect(first.sender).to.equal(user1.address);
+        expect(first.recipient).to.equal(user2.address);
+        expect(first.timestamp).to.equal(firstTipTime);
+        expect(first.senderCommentCid).to.equal(senderCommentCid);
+        expect(second.recipient).to.equal(user1.address);
+        expect(second.timestamp).to.equal(await time.latest());
+        expect(second.timestamp - first.timestamp).to.be.gte(3600);
+    });
+
+    it("Counts tips and pages them newest first", async function () {
+        const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        const amounts = ["0.01", "0.02", "0.03", "0.04", "0.05"];
+        // Three tips with the first fee recipient, then two with the second
+        for (const [i, amount] of amounts.entries()) {
+            const feeRecipient = i < 3 ? mod.address : addrs[0].address;
+            await plebbitTipping.connect(user1).tip(user2.address, toWei(amount), feeRecipient, ethers.ZeroHash, recipientCommentCid, { value: toWei(amount) });
+        }
+        const feeRecipients = [mod.address, addrs[0].address];
+        const pageAmounts = (tips) => tips.map((tip) => ethers.formatEther(tip.amount));
+
+        expect(await plebbitTipping.getTipsCount(recipientCommentCid, feeRecipients)).to.equal(5);
+        expect(await plebbitTipping.getTipsCount(recipientCommentCid, [mod.address])).to.equal(3);
+        expect(await plebbitTipping.getTipsCount(ethers.ZeroHash, feeRecipients)).to.equal(0);
+
+        expect(pageAmounts(await plebbitTipping.getTips(recipientCommentCid, feeRecipients, 2, 2))).to.deep.equal(["0.03", "0.04"]);
+        expect(pageAmounts(await plebbitTipping.getTipsNewestFirst(recipientCommentCid, feeRecipients, 0, 2))).to.deep.equal(["0.05", "0.04"]);
+        expect(pageAmounts(await plebbitTipping.getTipsNewestFirst(recipientCommentCid, feeRecipients, 1, 3))).to.deep.equal(["0.04", "0.03", "0.02"]);
+        expect(pageAmounts(await plebbitTipping.getTipsNewestFirst(recipientCommentCid, feeRecipients, 3, 10))).to.deep.equal(["0.02", "0.01"]);
+        expect(await plebbitTipping.getTipsNewestFirst(recipientCommentCid, feeRecipients, 5, 10)).to.have.length(0);
+    });
+
+    it("Numbers stored tips in the order they were sent across interleaved fee recipients", async function () {
+        const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        const feeRecipients = [mod.address, addrs[0].address, addrs[1].address];
+        const sendTip = (amount, feeRecipient) => plebbitTipping.connect(user1).tip(user2.address, toWei(amount), feeRecipient, ethers.ZeroHash, recipientCommentCid, { value: toWei(amount) });
+
+        await sendTip("0.01", addrs[1].address);
+        await sendTip("0.02", mod.address);
+        await sendTip("0.03", addrs[0].address);
+        // Three tips in the same block, only ordered by their sequence
+        await ethers.provider.send("evm_setAutomine", [false]);
+        await sendTip("0.04", mod.address);
+        await sendTip("0.05", addrs[1].address);
+        await sendTip("0.06", mod.address);
+        await ethers.provider.send("evm_mine", []);
+        await ethers.provider.send("evm_setAutomine", [true]);
+        await sendTip("0.07", addrs[0].address);
+        // Merged across fee recipients by timestamp, then sequence, like js-api getTips
+        const tips = (await Promise.all(feeRecipients.map((feeRecipient) => plebbitTipping.getTipsNewestFirst(recipientCommentCid, [feeRecipient], 0, 10)))).flat();
+        const newestFirst = [...tips].sort((a, b) => Number(b.timestamp - a.timestamp) || Number(b.sequence - a.sequence));
+        expect(newestFirst.map((tip) => ethers.formatEther(tip.amount))).to.deep.equal(["0.07", "0.06", "0.05", "0.04", "0.03", "0.02", "0.01"]);
+        expect(newestFirst.map((tip) => tip.sequence)).to.deep.equal([7n, 6n, 5n, 4n, 3n, 2n, 1n]);
+        expect(await plebbitTipping.tipsSequence()).to.equal(7);
+
+        // Light tips aren't stored, so they don't take a sequence
+        await plebbitTipping.connect(user1).lightTip(user2.address, toWei("0.01"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("0.01") });
+        expect(await plebbitTipping.tipsSequence()).to.equal(7);
+    });
+
+    it("Lists a sender's tips across comments, fee recipients and tokens", async function () {
+        const TestERC20 = await ethers.getContractFactory("TestERC20");
+        const token = await TestERC20.deploy("Test Token", "TEST");
+        await token.mint(user1.address, toWei("10"));
+        await token.connect(user1).approve(plebbitTipping.target, toWei("10"));
+
+        const cid1 = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        const cid2 = ethers.keccak256(ethers.toUtf8Bytes("comment2"));
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("0.01"), mod.address, ethers.ZeroHash, cid1, { value: toWei("0.01") });
+        await plebbitTipping.connect(user2).tip(user2.address, toWei("0.02"), mod.address, ethers.ZeroHash, cid1, { value: toWei("0.02") });
+        await plebbitTipping.connect(user1).tip(admin.address, toWei("0.03"), addrs[0].address, ethers.ZeroHash, cid2, { value: toWei("0.03") });
+        await plebbitTipping.connect(user1).tipToken(token.target, user2.address, toWei("4"), mod.address, ethers.ZeroHash, cid1);
+
+        expect(await plebbitTipping.getSenderTipsCount(user1.address)).to.equal(3);
+        expect(await plebbitTipping.getSenderTipsCount(user2.address)).to.equal(1);
+
+        const history = await plebbitTipping.getSenderTips(user1.address, 0, 10, false);
+        expect(history.map((entry) => entry.recipientCommentCid)).to.deep.equal([cid1, cid2, cid1]);
+        expect(history.map((entry) => entry.token)).to.deep.equal([ethers.ZeroAddress, ethers.ZeroAddress, token.target]);
+        expect(history.map((entry) => entry.tip.amount)).to.deep.equal([toWei("0.01"), toWei("0.03"), toWei("4")]);
+        expect(history[1].tip.recipient).to.equal(admin.address);
+        expect(history[1].tip.feeRecipient).to.equal(addrs[0].address);
+        history.forEach((entry) => expect(entry.tip.sender).to.equal(user1.address));
+
+        const newest = await plebbitTipping.getSenderTips(user1.address, 1, 1, true);
+        expect(newest.length).to.equal(1);
+        expect(newest[0].tip.amount).to.equal(toWei("0.03"));
+        expect(await plebbitTipping.getSenderTips(user1.address, 3, 10, true)).to.have.length(0);
+    });
+
+    it("Tracks lifetime totals per recipient and fee recipient, per token", async function () {
+        const TestERC20 = await ethers.getContractFactory("TestERC20");
+        const token = await TestERC20.deploy("Test Token", "TEST");
+        await token.mint(user1.address, toWei("10"));
+        await token.connect(user1).approve(plebbitTipping.target, toWei("10"));
+
+        const cid1 = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        const cid2 = ethers.keccak256(ethers.toUtf8Bytes("comment2"));
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("1"), mod.address, ethers.ZeroHash, cid1, { value: toWei("1") });
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("2"), addrs[0].address, ethers.ZeroHash, cid2, { value: toWei("2") });
+        await plebbitTipping.connect(user2).tip(admin.address, toWei("1"), mod.address, ethers.ZeroHash, cid2, { value: toWei("1") });
+        await plebbitTipping.connect(user1).tipToken(token.target, user2.address, toWei("10"), mod.address, ethers.ZeroHash, cid1);
+
+        // Totals survive withdrawals, unlike pending balances
+        await plebbitTipping.connect(user2).withdraw();
+
+        expect(await plebbitTipping.recipientTotalAmounts(user2.address, ethers.ZeroAddress)).to.equal(toWei("2.85"));
+        expect(await plebbitTipping.getRecipientTotalAmounts(ethers.ZeroAddress, [user2.address, admin.address, user1.address]))
+            .to.deep.equal([toWei("2.85"), toWei("0.95"), 0n]);
+        expect(await plebbitTipping.getFeeRecipientTotalAmounts(ethers.ZeroAddress, [mod.address, addrs[0].address]))
+            .to.deep.equal([toWei("0.1"), toWei("0.1")]);
+
+        expect(await plebbitTipping.getRecipientTotalAmounts(token.target, [user2.address])).to.deep.equal([toWei("9.5")]);
+        expect(await plebbitTipping.feeRecipientTotalAmounts(mod.address, token.target)).to.equal(toWei("0.5"));
+    });
+
     it("Comprehensive filtering tests with multiple tips and fee recipients", async function () {
         const feeRecipient1 = mod.address;
         const feeRecipient2 = user2.address;
@@ -144,27 +310,135 @@ describe("PlebbitTippingV1", function () {
 
     it("Test admin and moderator functions", async function () {
         // Test moderator can change settings
-        await plebbitTipping.connect(mod).setMinimumTipAmount(toWei("0.01"));
+        await expect(changeParameter(Parameter.MinimumTipAmount, toWei("0.01")))
+            .to.emit(plebbitTipping, "MinimumTipAmountChanged")
+            .withArgs(toWei("0.01"));
         expect(fromWei(await plebbitTipping.minimumTipAmount())).to.equal(0.01);
 
-        await plebbitTipping.connect(mod).setFeePercent(10);
-        expect(await plebbitTipping.feePercent()).to.equal(10);
+        await expect(changeParameter(Parameter.FeeBasisPoints, 1000))
+            .to.emit(plebbitTipping, "FeeBasisPointsChanged")
+            .withArgs(1000);
+        expect(await plebbitTipping.feeBasisPoints()).to.equal(1000);
+
+        await expect(plebbitTipping.connect(mod).setEscrowRefundDelay(3600))
+            .to.emit(plebbitTipping, "EscrowRefundDelayChanged")
+            .withArgs(3600);
+        await expect(plebbitTipping.connect(mod).setMinimumTokenTipAmount(user1.address, 5))
+            .to.emit(plebbitTipping, "MinimumTokenTipAmountChanged")
+            .withArgs(user1.address, 5);
 
-        // Test fee percent validation
+        // Test fee validation
         await expect(
-            plebbitTipping.connect(mod).setFeePercent(0)
-        ).to.be.revertedWith("Fee percent must be between 1 and 20");
+            plebbitTipping.connect(mod).scheduleParameterChange(Parameter.FeeBasisPoints, 0)
+        ).to.be.revertedWith("Fee must be between 1 and 2000 basis points");
 
         await expect(
-            plebbitTipping.connect(mod).setFeePercent(21)
-        ).to.be.revertedWith("Fee percent must be between 1 and 20");
+            plebbitTipping.connect(mod).scheduleParameterChange(Parameter.FeeBasisPoints, 2001)
+        ).to.be.revertedWith("Fee must be between 1 and 2000 basis points");
 
         // Test non-moderator can't change settings
         await expect(
-            plebbitTipping.connect(user1).setMinimumTipAmount(toWei("0.02"))
+            plebbitTipping.connect(user1).scheduleParameterChange(Parameter.MinimumTipAmount, toWei("0.02"))
         ).to.be.reverted;
     });
 
+    it("Fee and minimum tip changes only take effect after the delay, unless the admin cancels them", async function () {
+        expect(await plebbitTipping.parameterChangeDelay()).to.equal(2 * 24 * 3600);
+
+        await expect(plebbitTipping.connect(mod).scheduleParameterChange(Parameter.FeeBasisPoints, 2000))
+            .to.emit(plebbitTipping, "ParameterChangeScheduled")
+            .withArgs(0, Parameter.FeeBasisPoints, 2000, (await time.latest()) + 1 + 2 * 24 * 3600);
+        await plebbitTipping.connect(mod).scheduleParameterChange(Parameter.MinimumTipAmount, toWei("0.01"));
+        const executableAt = (await time.latest()) + 2 * 24 * 3600;
+
+        // Both are readable until executed, the current values still apply
+        const pending = await plebbitTipping.getPendingParameterChanges();
+        expect(pending.map((change) => change.toArray())).to.deep.equal([
+            [0n, BigInt(Parameter.FeeBasisPoints), 2000n, BigInt(executableAt - 1)],
+            [1n, BigInt(Parameter.MinimumTipAmount), toWei("0.01"), BigInt(executableAt)]
+        ]);
+        await expect(plebbitTipping.executeParameterChange(0)).to.be.revertedWith("Parameter change is not executable yet");
+        expect(await plebbitTipping.feeBasisPoints()).to.equal(initialFeeBasisPoints);
+
+        // Only the admin can cancel
+        await expect(plebbitTipping.connect(mod).cancelParameterChange(0)).to.be.reverted;
+        await expect(plebbitTipping.connect(admin).cancelParameterChange(0))
+            .to.emit(plebbitTipping, "ParameterChangeCanceled")
+            .withArgs(0);
+        await expect(plebbitTipping.connect(admin).cancelParameterChange(0)).to.be.revertedWith("Unknown parameter change");
+
+        // Anyone can execute once the delay has passed, only once
+        await time.increaseTo(executableAt);
+        await expect(plebbitTipping.connect(user1).executeParameterChange(1))
+            .to.emit(plebbitTipping, "MinimumTipAmountChanged")
+            .withArgs(toWei("0.01"));
+        expect(await plebbitTipping.minimumTipAmount()).to.equal(toWei("0.01"));
+        await expect(plebbitTipping.executeParameterChange(1)).to.be.revertedWith("Unknown parameter change");
+        expect(await plebbitTipping.getPendingParameterChanges()).to.deep.equal([]);
+        expect(await plebbitTipping.feeBasisPoints()).to.equal(initialFeeBasisPoints);
+
+        // The delay itself is changed by the admin, after the current delay
+        await expect(plebbitTipping.connect(mod).scheduleParameterChange(Parameter.ParameterChangeDelay, 0)).to.be.reverted;
+        // A huge delay would overflow every later schedule, including the one lowering it
+        await expect(plebbitTipping.connect(admin).scheduleParameterChange(Parameter.ParameterChangeDelay, 30 * 24 * 3600 + 1))
+            .to.be.revertedWith("Delay must be at most 30 days");
+        await expect(plebbitTipping.connect(admin).scheduleParameterChange(Parameter.ParameterChangeDelay, ethers.MaxUint256))
+            .to.be.revertedWith("Delay must be at most 30 days");
+        await plebbitTipping.connect(admin).scheduleParameterChange(Parameter.ParameterChangeDelay, 3600);
+        await time.increase(2 * 24 * 3600);
+        await expect(plebbitTipping.executeParameterChange(2))
+            .to.emit(plebbitTipping, "ParameterChangeDelayChanged")
+            .withArgs(3600);
+        expect(await plebbitTipping.parameterChangeDelay()).to.equal(3600);
+    });
+
+    it("Fee recipients can set their own fee, falling back to the global one", async function () {
+        const community = addrs[0];
+        expect(await plebbitTipping.getFeeBasisPoints(community.address)).to.equal(initialFeeBasisPoints);
+
+        await expect(plebbitTipping.connect(community).setCommunityFeeBasisPoints(1000))
+            .to.emit(plebbitTipping, "CommunityFeeBasisPointsChanged")
+            .withArgs(community.address, 1000);
+        expect(await plebbitTipping.communityFeeBasisPoints(community.address)).to.equal(1000);
+        expect(await plebbitTipping.getFeeBasisPoints(community.address)).to.equal(1000);
+        expect(await plebbitTipping.getFeeBasisPoints(mod.address)).to.equal(initialFeeBasisPoints);
+
+        await expect(plebbitTipping.connect(community).setCommunityFeeBasisPoints(2001))
+            .to.be.revertedWith("Fee must be between 1 and 2000 basis points");
+
+        // The community's rate applies to its tips, others keep the global rate
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("1"), community.address, ethers.ZeroHash, ethers.ZeroHash, { value: toWei("1") });
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("1"), mod.address, ethers.ZeroHash, ethers.ZeroHash, { value: toWei("1") });
+        expect(await plebbitTipping.pendingBalances(community.address)).to.equal(toWei("0.1"));
+        expect(await plebbitTipping.pendingBalances(mod.address)).to.equal(toWei("0.05"));
+        expect(await plebbitTipping.pendingBalances(user2.address)).to.equal(toWei("1.85"));
+
+        // Clearing it falls back to the global rate, including after moderators change it
+        await plebbitTipping.connect(community).setCommunityFeeBasisPoints(0);
+        await changeParameter(Parameter.FeeBasisPoints, 200);
+        expect(await plebbitTipping.getFeeBasisPoints(community.address)).to.equal(200);
+    });
+
+    it("Fees support fractional percents and previewTip matches the credited amounts", async function () {
+        const community = addrs[0];
+        await plebbitTipping.connect(community).setCommunityFeeBasisPoints(125); // 1.25%
+
+        const [fee, recipientAmount, minimumAmount] = await plebbitTipping.previewTip(toWei("1"), community.address);
+        expect(fee).to.equal(toWei("0.0125"));
+        expect(recipientAmount).to.equal(toWei("0.9875"));
+        expect(minimumAmount).to.equal(initialMinimumTipAmount);
+
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("1"), community.address, ethers.ZeroHash, ethers.ZeroHash, { value: toWei("1") });
+        expect(await plebbitTipping.pendingBalances(community.address)).to.equal(fee);
+        expect(await plebbitTipping.pendingBalances(user2.address)).to.equal(recipientAmount);
+
+        // The fee is rounded down and the remainder goes to the recipient
+        const preview = await plebbitTipping.previewTip(79, community.address);
+        expect(preview.fee).to.equal(0);
+        expect(preview.recipientAmount).to.equal(79);
+        expect((await plebbitTipping.previewTip(81, mod.address)).fee).to.equal(4);
+    });
+
     it("Test getTipsAmounts function", async function () {
         const feeRecipients = [mod.address];
         const recipientCommentCid = ethers.ZeroHash;
@@ -218,5 +492,446 @@ describe("PlebbitTippingV1", function () {
             )
         ).to.be.revertedWith("Sent value doesn't match amount");
     });
+
+    it("Batch tip stores every tip, emits one event per tip and credits balances", async function () {
+        const recipientCommentCid1 = ethers.keccak256(ethers.toUtf8Bytes("reply1"));
+        const recipientCommentCid2 = ethers.keccak256(ethers.toUtf8Bytes("reply2"));
+        const senderCommentCid = ethers.keccak256(ethers.toUtf8Bytes("sender1"));
+
+        const tx = plebbitTipping.connect(user1).batchTip(
+            [user2.address, addrs[0].address],
+            [toWei("0.01"), toWei("0.02")],
+            [mod.address, mod.address],
+            [senderCommentCid, senderCommentCid],
+            [recipientCommentCid1, recipientCommentCid2],
+            { value: toWei("0.03") }
+        );
+        await expect(tx).to.emit(plebbitTipping, "Tip")
+            .withArgs(user1.address, user2.address, toWei("0.01"), mod.address, recipientCommentCid1, senderCommentCid);
+        await expect(tx).to.emit(plebbitTipping, "Tip")
+            .withArgs(user1.address, addrs[0].address, toWei("0.02"), mod.address, recipientCommentCid2, senderCommentCid);
+
+        const totals = await plebbitTipping.getTipsTotalAmountsSameFeeRecipients([recipientCommentCid1, recipientCommentCid2], [mod.address]);
+        expect(totals[0]).to.equal(toWei("0.01"));
+        expect(totals[1]).to.equal(toWei("0.02"));
+        expect((await plebbitTipping.getTips(recipientCommentCid2, [mod.address], 0, 10)).length).to.equal(1);
+        expect(await plebbitTipping.getSenderTipsTotalAmount(senderCommentCid, user1.address, recipientCommentCid1, [mod.address])).to.equal(toWei("0.01"));
+
+        expect(await plebbitTipping.pendingBalances(mod.address)).to.equal(toWei("0.0015"));
+        expect(await plebbitTipping.pendingBalances(addrs[0].address)).to.equal(toWei("0.019"));
+    });
+
+    it("Batch tip validates lengths, minimum and total value", async function () {
+        const cid = ethers.ZeroHash;
+        await expect(
+            plebbitTipping.connect(user1).batchTip([], [], [], [], [], { value: 0 })
+        ).to.be.revertedWith("No tips in batch");
+        await expect(
+            plebbitTipping.connect(user1).batchTip([user2.address], [toWei("0.01"), toWei("0.01")], [mod.address], [cid], [cid], { value: toWei("0.02") })
+        ).to.be.revertedWith("Arrays length mismatch");
+        await expect(
+            plebbitTipping.connect(user1).batchTip([user2.address, user2.address], [toWei("0.01"), toWei("0.0001")], [mod.address, mod.address], [cid, cid], [cid, cid], { value: toWei("0.0101") })
+        ).to.be.revertedWith("Tip amount is too low");
+        await expect(
+            plebbitTipping.connect(user1).batchTip([user2.address, user2.address], [toWei("0.01"), toWei("0.01")], [mod.address, mod.address], [cid, cid], [cid, cid], { value: toWei("0.03") })
+        ).to.be.revertedWith("Sent value doesn't match amount");
+    });
+
+    it("Light tips update the totals and emit the Tip event without storing history", async function () {
+        const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        const senderCommentCid = ethers.keccak256(ethers.toUtf8Bytes("reply1"));
+        await expect(
+            plebbitTipping.connect(user1).lightTip(user2.address, toWei("0.0001"), mod.address, senderCommentCid, recipientCommentCid, { value: toWei("0.0001") })
+        ).to.be.revertedWith("Tip amount is too low");
+        await expect(
+            plebbitTipping.connect(user1).lightTip(user2.address, toWei("1"), mod.address, senderCommentCid, recipientCommentCid, { value: toWei("0.5") })
+        ).to.be.revertedWith("Sent value doesn't match amount");
+
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("1"), mod.address, senderCommentCid, recipientCommentCid, { value: toWei("1") });
+        await expect(
+            plebbitTipping.connect(user1).lightTip(user2.address, toWei("1"), mod.address, senderCommentCid, recipientCommentCid, { value: toWei("1") })
+        ).to.emit(plebbitTipping, "Tip").withArgs(user1.address, user2.address, toWei("1"), mod.address, recipientCommentCid, senderCommentCid);
+
+        // Counted everywhere except the stored history
+        expect(await plebbitTipping.getTipsTotalAmount(recipientCommentCid, [mod.address])).to.equal(toWei("2"));
+        expect(await plebbitTipping.getSenderTipsTotalAmount(senderCommentCid, user1.address, recipientCommentCid, [mod.address])).to.equal(toWei("2"));
+        expect(await plebbitTipping.pendingBalances(user2.address)).to.equal(toWei("1.9"));
+        expect(await plebbitTipping.getRecipientTotalAmounts(ethers.ZeroAddress, [user2.address])).to.deep.equal([toWei("1.9")]);
+        expect(await plebbitTipping.getTipsCount(recipientCommentCid, [mod.address])).to.equal(1);
+        expect(await plebbitTipping.getSenderTipsCount(user1.address)).to.equal(1);
+
+        // Same rules as tip()
+        await plebbitTipping.connect(mod).setBlocked([user2.address], true);
+        await expect(
+            plebbitTipping.connect(user1).lightTip(user2.address, toWei("1"), mod.address, senderCommentCid, recipientCommentCid, { value: toWei("1") })
+        ).to.be.revertedWith("Recipient is blocked");
+        await plebbitTipping.pause();
+        await expect(
+            plebbitTipping.connect(user1).lightTip(user1.address, toWei("1"), mod.address, senderCommentCid, recipientCommentCid, { value: toWei("1") })
+        ).to.be.revertedWithCustomError(plebbitTipping, "EnforcedPause");
+    });
+
+    it("Admin can pause and unpause tipping while withdrawals stay open", async function () {
+        const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") });
+
+        await expect(plebbitTipping.connect(mod).pause()).to.be.reverted;
+        await expect(plebbitTipping.pause()).to.emit(plebbitTipping, "Paused").withArgs(admin.address);
+        expect(await plebbitTipping.paused()).to.equal(true);
+
+        await expect(
+            plebbitTipping.connect(user1).tip(user2.address, toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") })
+        ).to.be.revertedWithCustomError(plebbitTipping, "EnforcedPause");
+        await expect(
+            plebbitTipping.connect(user1).batchTip([user2.address], [toWei("1")], [mod.address], [ethers.ZeroHash], [recipientCommentCid], { value: toWei("1") })
+        ).to.be.revertedWithCustomError(plebbitTipping, "EnforcedPause");
+        await expect(
+            plebbitTipping.connect(user1).tipEscrow(toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") })
+        ).to.be.revertedWithCustomError(plebbitTipping, "EnforcedPause");
+
+        // Funds already credited can still be withdrawn
+        await expect(plebbitTipping.connect(user2).withdraw()).to.emit(plebbitTipping, "Withdrawal");
+
+        await expect(plebbitTipping.unpause()).to.emit(plebbitTipping, "Unpaused").withArgs(admin.address);
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") });
+        expect(await plebbitTipping.getTipsTotalAmount(recipientCommentCid, [mod.address])).to.equal(toWei("2"));
+    });
+
+    it("Moderators can block recipients and fee recipients from receiving tips", async function () {
+        const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        const scammer = addrs[0];
+        const phishingCommunity = addrs[1];
+        await plebbitTipping.connect(user1).tip(scammer.address, toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") });
+
+        await expect(plebbitTipping.connect(user1).setBlocked([scammer.address], true)).to.be.reverted;
+        const tx = plebbitTipping.connect(mod).setBlocked([scammer.address, phishingCommunity.address], true);
+        await expect(tx).to.emit(plebbitTipping, "AccountBlocked").withArgs(scammer.address);
+        await expect(tx).to.emit(plebbitTipping, "AccountBlocked").withArgs(phishingCommunity.address);
+        expect(await plebbitTipping.isBlocked([scammer.address, user2.address, phishingCommunity.address])).to.deep.equal([true, false, true]);
+
+        // Every tip path refuses them, as recipient or as fee recipient
+        await expect(
+            plebbitTipping.connect(user1).tip(scammer.address, toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") })
+        ).to.be.revertedWith("Recipient is blocked");
+        await expect(
+            plebbitTipping.connect(user1).tip(user2.address, toWei("1"), phishingCommunity.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") })
+        ).to.be.revertedWith("Fee recipient is blocked");
+        await expect(
+            plebbitTipping.connect(user1).batchTip([user2.address, scammer.address], [toWei("1"), toWei("1")], [mod.address, mod.address], [ethers.ZeroHash, ethers.ZeroHash], [recipientCommentCid, recipientCommentCid], { value: toWei("2") })
+        ).to.be.revertedWith("Recipient is blocked");
+        await expect(
+            plebbitTipping.connect(user1).tipEscrow(toWei("1"), phishingCommunity.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") })
+        ).to.be.revertedWith("Fee recipient is blocked");
+
+        // Tips credited before the block can still be withdrawn
+        await expect(plebbitTipping.connect(scammer).withdraw()).to.emit(plebbitTipping, "Withdrawal");
+
+        // Blocking twice doesn't emit again, unblocking restores tipping
+        await expect(plebbitTipping.connect(mod).setBlocked([scammer.address], true)).to.not.emit(plebbitTipping, "AccountBlocked");
+        await expect(plebbitTipping.connect(mod).setBlocked([scammer.address], false))
+            .to.emit(plebbitTipping, "AccountUnblocked")
+            .withArgs(scammer.address);
+        expect(await plebbitTipping.blocked(scammer.address)).to.equal(false);
+        await plebbitTipping.connect(user1).tip(scammer.address, toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") });
+    });
+
+    it("Rejects plain ETH transfers and only rescues stray funds", async function () {
+        await expect(user1.sendTransaction({ to: plebbitTipping.target, value: toWei("1") }))
+            .to.be.revertedWith("Use tip() to send ETH");
+
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("1"), mod.address, ethers.ZeroHash, ethers.ZeroHash, { value: toWei("1") });
+        expect(await plebbitTipping.totalReservedBalance()).to.equal(toWei("1"));
+
+        // ETH forced into the contract (e.g. by selfdestruct) is stray, tips are not
+        await setBalance(plebbitTipping.target, toWei("3"));
+        await expect(plebbitTipping.rescueEth(admin.address, toWei("2.5")))
+            .to.be.revertedWith("Amount exceeds stray balance");
+        await expect(plebbitTipping.connect(mod).rescueEth(mod.address, toWei("2"))).to.be.reverted;
+        await expect(plebbitTipping.rescueEth(addrs[0].address, toWei("2")))
+            .to.emit(plebbitTipping, "FundsRescued")
+            .withArgs(ethers.ZeroAddress, addrs[0].address, toWei("2"));
+
+        await plebbitTipping.connect(user2).withdraw();
+        expect(await plebbitTipping.totalReservedBalance()).to.equal(toWei("0.05"));
+
+        const TestERC20 = await ethers.getContractFactory("TestERC20");
+        const token = await TestERC20.deploy("Test Token", "TEST");
+        await token.mint(plebbitTipping.target, toWei("5"));
+        await expect(plebbitTipping.rescueToken(token.target, addrs[0].address, toWei("5")))
+            .to.emit(plebbitTipping, "FundsRescued")
+            .withArgs(token.target, addrs[0].address, toWei("5"));
+        expect(await token.balanceOf(addrs[0].address)).to.equal(toWei("5"));
+    });
+
+    describe("Escrowed tips", function () {
+        const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        let claimSigner, domain;
+
+        const signClaim = async (signer, recipient, deadline) => {
+            const types = { Claim: [
+                { name: "recipientCommentCid", type: "bytes32" },
+                { name: "recipient", type: "address" },
+                { name: "deadline", type: "uint256" }
+            ] };
+            return signer.signTypedData(domain, types, { recipientCommentCid, recipient, deadline });
+        };
+
+        beforeEach(async function () {
+            claimSigner = addrs[1];
+            await plebbitTipping.grantRole(await plebbitTipping.CLAIM_SIGNER_ROLE(), claimSigner.address);
+            const { chainId } = await ethers.provider.getNetwork();
+            domain = { name: "PlebbitTippingV1", version: "1", chainId, verifyingContract: plebbitTipping.target };
+        });
+
+        it("Escrowed tips are held until the author claims them with a claim signer's authorization", async function () {
+            await expect(plebbitTipping.connect(user1).tipEscrow(toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") }))
+                .to.emit(plebbitTipping, "TipEscrowed")
+                .withArgs(user1.address, recipientCommentCid, 0, toWei("1"), mod.address, ethers.ZeroHash);
+            await plebbitTipping.connect(addrs[0]).tipEscrow(toWei("2"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("2") });
+            expect(await plebbitTipping.unclaimedTipsAmounts(recipientCommentCid)).to.equal(toWei("3"));
+            expect(await plebbitTipping.getTipsTotalAmount(recipientCommentCid, [mod.address])).to.equal(0);
+
+            const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+            const forged = await signClaim(user2, user2.address, deadline);
+            await expect(plebbitTipping.claimEscrowedTips(recipientCommentCid, user2.address, deadline, forged, 0, 10))
+                .to.be.revertedWith("Invalid claim signature");
+
+            // Anyone can submit the claim, the tips always go to the authorized recipient
+            const signature = await signClaim(claimSigner, user2.address, deadline);
+            const tx = plebbitTipping.connect(addrs[0]).claimEscrowedTips(recipientCommentCid, user2.address, deadline, signature, 0, 10);
+            await expect(tx).to.emit(plebbitTipping, "EscrowClaimed").withArgs(recipientCommentCid, user2.address, toWei("3"));
+            await expect(tx).to.emit(plebbitTipping, "Tip")
+                .withArgs(user1.address, user2.address, toWei("1"), mod.address, recipientCommentCid, ethers.ZeroHash);
+
+            expect(await plebbitTipping.pendingBalances(user2.address)).to.equal(toWei("2.85"));
+            expect(await plebbitTipping.pendingBalances(mod.address)).to.equal(toWei("0.15"));
+            expect(await plebbitTipping.getTipsTotalAmount(recipientCommentCid, [mod.address])).to.equal(toWei("3"));
+            expect(await plebbitTipping.unclaimedTipsAmounts(recipientCommentCid)).to.equal(0);
+
+            await expect(plebbitTipping.claimEscrowedTips(recipientCommentCid, user2.address, deadline, signature, 0, 10))
+                .to.be.revertedWith("No escrowed tips to claim");
+        });
+
+        it("Blocked authors can't claim their escrowed tips, senders can refund them", async function () {
+            await plebbitTipping.connect(user1).tipEscrow(toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") });
+            await plebbitTipping.connect(mod).setBlocked([user2.address], true);
+
+            const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+            const signature = await signClaim(claimSigner, user2.address, deadline);
+            await expect(plebbitTipping.claimEscrowedTips(recipientCommentCid, user2.address, deadline, signature, 0, 10))
+                .to.be.revertedWith("Recipient is blocked");
+
+            await time.increase(await plebbitTipping.escrowRefundDelay());
+            await plebbitTipping.connect(user1).refundEscrowedTip(recipientCommentCid, 0);
+            expect(await plebbitTipping.pendingBalances(user1.address)).to.equal(toWei("1"));
+        });
+
+        it("Claims go through a page of escrowed tips, skip settled ones and refund the ones of blocked fee recipients", async function () {
+            await plebbitTipping.connect(user1).tipEscrow(toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") });
+            await plebbitTipping.connect(addrs[0]).tipEscrow(toWei("2"), addrs[2].address, ethers.ZeroHash, recipientCommentCid, { value: toWei("2") });
+            await plebbitTipping.connect(user1).tipEscrow(toWei("0.5"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("0.5") });
+            // Blocked after the tip was escrowed, its tip can't be recorded anymore
+            await plebbitTipping.connect(mod).setBlocked([addrs[2].address], true);
+
+            const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+            const signature = await signClaim(claimSigner, user2.address, deadline);
+            const tx = plebbitTipping.claimEscrowedTips(recipientCommentCid, user2.address, deadline, signature, 0, 2);
+            await expect(tx).to.emit(plebbitTipping, "EscrowClaimed").withArgs(recipientCommentCid, user2.address, toWei("1"));
+            await expect(tx).to.emit(plebbitTipping, "EscrowRefunded").withArgs(recipientCommentCid, addrs[0].address, 1, toWei("2"));
+            expect(await plebbitTipping.pendingBalances(addrs[0].address)).to.equal(toWei("2"));
+            expect(await plebbitTipping.unclaimedTipsAmounts(recipientCommentCid)).to.equal(toWei("0.5"));
+            expect((await plebbitTipping.getEscrowedTips(recipientCommentCid)).map((tip) => tip.settled)).to.deep.equal([true, true, false]);
+
+            // The same authorization claims the next pages, settled tips are skipped
+            await expect(plebbitTipping.claimEscrowedTips(recipientCommentCid, user2.address, deadline, signature, 0, ethers.MaxUint256))
+                .to.emit(plebbitTipping, "EscrowClaimed").withArgs(recipientCommentCid, user2.address, toWei("0.5"));
+            expect(await plebbitTipping.getTipsTotalAmount(recipientCommentCid, [mod.address])).to.equal(toWei("1.5"));
+            expect(await plebbitTipping.unclaimedTipsAmounts(recipientCommentCid)).to.equal(0);
+            await expect(plebbitTipping.claimEscrowedTips(recipientCommentCid, user2.address, deadline, signature, 0, 10))
+                .to.be.revertedWith("No escrowed tips to claim");
+        });
+
+        it("Senders can refund unclaimed escrowed tips after the refund delay", async function () {
+            await plebbitTipping.connect(user1).tipEscrow(toWei("1"), mod.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("1") });
+
+            await expect(plebbitTipping.connect(user2).refundEscrowedTip(recipientCommentCid, 0))
+                .to.be.revertedWith("Only the sender can refund");
+            await expect(plebbitTipping.connect(user1).refundEscrowedTip(recipientCommentCid, 0))
+                .to.be.revertedWith("Refund delay has not passed");
+
+            await expect(plebbitTipping.connect(user1).setEscrowRefundDelay(0)).to.be.reverted;
+            await plebbitTipping.connect(mod).setEscrowRefundDelay(3600);
+            await time.increase(3600);
+
+            await expect(plebbitTipping.connect(user1).refundEscrowedTip(recipientCommentCid, 0))
+                .to.emit(plebbitTipping, "EscrowRefunded")
+                .withArgs(recipientCommentCid, user1.address, 0, toWei("1"));
+            expect(await plebbitTipping.pendingBalances(user1.address)).to.equal(toWei("1"));
+            expect(await plebbitTipping.unclaimedTipsAmounts(recipientCommentCid)).to.equal(0);
+            expect((await plebbitTipping.getEscrowedTips(recipientCommentCid))[0].settled).to.equal(true);
+
+            await expect(plebbitTipping.connect(user1).refundEscrowedTip(recipientCommentCid, 0))
+                .to.be.revertedWith("Escrowed tip already settled");
+        });
+    });
+
+    describe("ERC-20 tips", function () {
+        let token;
+
+        beforeEach(async function () {
+            const TestERC20 = await ethers.getContractFactory("TestERC20");
+            token = await TestERC20.deploy("Test Token", "TEST");
+            await token.waitForDeployment();
+            await token.mint(user1.address, toWei("100"));
+        });
+
+        it("Token tip splits the fee, tracks totals per token and emits event", async function () {
+            const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+            const senderCommentCid = ethers.keccak256(ethers.toUtf8Bytes("sender1"));
+
+            await token.connect(user1).approve(plebbitTipping.target, toWei("10"));
+            const tx = plebbitTipping.connect(user1).tipToken(token.target, user2.address, toWei("10"), mod.address, senderCommentCid, recipientCommentCid);
+            await expect(tx).to.emit(plebbitTipping, "TokenTip")
+                .withArgs(user1.address, user2.address, token.target, toWei("10"), mod.address, recipientCommentCid, senderCommentCid);
+            // ETH tip indexers don't see token tips
+            await expect(tx).not.to.emit(plebbitTipping, "Tip");
+
+            expect(await token.balanceOf(mod.address)).to.equal(toWei("0.5"));
+            expect(await token.balanceOf(user2.address)).to.equal(toWei("9.5"));
+
+            // Token totals are tracked separately from ETH totals
+            expect(await plebbitTipping.getTokenTipsTotalAmount(token.target, recipientCommentCid, [mod.address])).to.equal(toWei("10"));
+            expect(await plebbitTipping.getTipsTotalAmount(recipientCommentCid, [mod.address])).to.equal(0);
+
+            const totals = await plebbitTipping.getTokenTipsTotalAmounts(token.target, [recipientCommentCid, ethers.ZeroHash], [[mod.address], [mod.address]]);
+            expect(totals[0]).to.equal(toWei("10"));
+            expect(totals[1]).to.equal(0);
+
+            const sameFeeTotals = await plebbitTipping.getTokenTipsTotalAmountsSameFeeRecipients(token.target, [recipientCommentCid], [mod.address, user2.address]);
+            expect(sameFeeTotals[0]).to.equal(toWei("10"));
+
+            expect(await plebbitTipping.getTokenTipsCount(token.target, recipientCommentCid, [mod.address])).to.equal(1);
+            expect(await plebbitTipping.getTipsCount(recipientCommentCid, [mod.address])).to.equal(0);
+            const tokenTips = await plebbitTipping.getTokenTips(token.target, recipientCommentCid, [mod.address], 0, 10, true);
+            expect(tokenTips.length).to.equal(1);
+            expect(tokenTips[0].amount).to.equal(toWei("10"));
+            expect(tokenTips[0].sender).to.equal(user1.address);
+        });
+
+        it("Token tip respects allowance and per-token minimum", async function () {
+            await expect(
+                plebbitTipping.connect(user1).tipToken(token.target, user2.address, toWei("1"), mod.address, ethers.ZeroHash, ethers.ZeroHash)
+            ).to.be.reverted;
+
+            await expect(
+                plebbitTipping.connect(user1).tipToken(token.target, user2.address, 0, mod.address, ethers.ZeroHash, ethers.ZeroHash)
+            ).to.be.revertedWith("Tip amount is too low");
+
+            await expect(
+                plebbitTipping.connect(user1).setMinimumTokenTipAmount(token.target, toWei("2"))
+            ).to.be.reverted;
+            await plebbitTipping.connect(mod).setMinimumTokenTipAmount(token.target, toWei("2"));
+            expect(await plebbitTipping.minimumTokenTipAmounts(token.target)).to.equal(toWei("2"));
+
+            await token.connect(user1).approve(plebbitTipping.target, toWei("1"));
+            await expect(
+                plebbitTipping.connect(user1).tipToken(token.target, user2.address, toWei("1"), mod.address, ethers.ZeroHash, ethers.ZeroHash)
+            ).to.be.revertedWith("Tip amount is too low");
+        });
+
+        it("Token tip refuses blocked recipients", async function () {
+            await token.connect(user1).approve(plebbitTipping.target, toWei("10"));
+            await plebbitTipping.connect(mod).setBlocked([user2.address], true);
+            await expect(
+                plebbitTipping.connect(user1).tipToken(token.target, user2.address, toWei("10"), mod.address, ethers.ZeroHash, ethers.ZeroHash)
+            ).to.be.revertedWith("Recipient is blocked");
+            expect(await token.balanceOf(user2.address)).to.equal(0);
+        });
+
+        describe("Signed tip intents", function () {
+            const { createRelayer, TIP_INTENT_TYPES } = require("../scripts/relayer");
+            let domain;
+
+            const signIntent = async (signer, overrides = {}) => {
+                const intent = {
+                    sender: signer.address,
+                    token: token.target,
+                    recipient: user2.address,
+                    amount: toWei("10"),
+                    feeRecipient: mod.address,
+                    senderCommentCid: ethers.ZeroHash,
+                    recipientCommentCid: ethers.keccak256(ethers.toUtf8Bytes("comment1")),
+                    nonce: await plebbitTipping.nonces(signer.address),
+                    deadline: (await ethers.provider.getBlock("latest")).timestamp + 3600,
+                    ...overrides
+                };
+                return { intent, signature: await signer.signTypedData(domain, TIP_INTENT_TYPES, intent) };
+            };
+
+            beforeEach(async function () {
+                const { chainId } = await ethers.provider.getNetwork();
+                domain = { name: "PlebbitTippingV1", version: "1", chainId, verifyingContract: plebbitTipping.target };
+                await token.connect(user1).approve(plebbitTipping.target, toWei("100"));
+            });
+
+            it("Relayed intent pulls tokens from the signer and records the signer as sender", async function () {
+                expect(await plebbitTipping.getDomainSeparator()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+
+                const { intent, signature } = await signIntent(user1);
+                await expect(plebbitTipping.connect(addrs[0]).tipWithSignature(intent, signature))
+                    .to.emit(plebbitTipping, "TokenTip")
+                    .withArgs(user1.address, user2.address, token.target, toWei("10"), mod.address, intent.recipientCommentCid, ethers.ZeroHash);
+
+                expect(await token.balanceOf(user2.address)).to.equal(toWei("9.5"));
+                expect(await token.balanceOf(mod.address)).to.equal(toWei("0.5"));
+                expect(await plebbitTipping.nonces(user1.address)).to.equal(1);
+                expect(await plebbitTipping.getTokenTipsTotalAmount(token.target, intent.recipientCommentCid, [mod.address])).to.equal(toWei("10"));
+            });
+
+            it("Rejects replayed, expired, tampered and cancelled intents", async function () {
+                const { intent, signature } = await signIntent(user1);
+                await plebbitTipping.tipWithSignature(intent, signature);
+                await expect(plebbitTipping.tipWithSignature(intent, signature))
+                    .to.be.revertedWithCustomError(plebbitTipping, "InvalidAccountNonce");
+
+                const expired = await signIntent(user1, { deadline: 1 });
+                await expect(plebbitTipping.tipWithSignature(expired.intent, expired.signature))
+                    .to.be.revertedWith("Tip intent expired");
+
+                const valid = await signIntent(user1);
+                await expect(plebbitTipping.tipWithSignature({ ...valid.intent, recipient: addrs[0].address }, valid.signature))
+                    .to.be.revertedWith("Invalid tip intent signature");
+
+                await plebbitTipping.connect(user1).cancelTipIntent(valid.intent.nonce);
+                await expect(plebbitTipping.tipWithSignature(valid.intent, valid.signature))
+                    .to.be.revertedWithCustomError(plebbitTipping, "InvalidAccountNonce");
+            });
+
+            it("Reference relayer submits intents over HTTP and rejects bad signatures", async function () {
+                const server = await createRelayer({ signer: addrs[0], contractAddress: plebbitTipping.target });
+                await new Promise((resolve) => server.listen(0, resolve));
+                const url = `http://127.0.0.1:${server.address().port}/relay`;
+                const post = (body) => fetch(url, {
+                    method: "POST",
+                    body: JSON.stringify(body, (key, value) => typeof value === "bigint" ? value.toString() : value)
+                });
+
+                try {
+                    const { intent, signature } = await signIntent(user1);
+                    const forged = await post({ intent: { ...intent, amount: toWei("1") }, signature });
+                    expect(forged.status).to.equal(400);
+
+                    const res = await post({ intent, signature });
+                    expect(res.status).to.equal(200);
+                    const { transactionHash } = await res.json();
+                    const receipt = await ethers.provider.getTransactionReceipt(transactionHash);
+                    expect(receipt.from).to.equal(addrs[0].address);
+                    expect(await token.balanceOf(user2.address)).to.equal(toWei("9.5"));
+                } finally {
+                    server.close();
+                }
+            });
+        });
+    });
 });
 
@@ -0,0 +1,119 @@
+const { ethers, deployments } = require("hardhat");
+const { expect } = require("chai");
+const { setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+const toWei = (value) => ethers.parseEther(value.toString());
+
+// Factory used by hardhat-deploy for deterministic (CREATE2) deployments
+const DETERMINISTIC_DEPLOYMENT_FACTORY = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+// keccak256("eip1967.proxy.implementation") - 1
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+describe("PlebbitTippingV1 upgrades", function () {
+    let plebbitTipping, upgrader, user1, user2, feeRecipient;
+
+    const getImplementation = async () =>
+        ethers.getAddress(ethers.dataSlice(await ethers.provider.getStorage(plebbitTipping.target, IMPLEMENTATION_SLOT), 12));
+
+    beforeEach(async function () {
+        [, user1, user2, feeRecipient] = await ethers.getSigners();
+
+        // Deploy with the real deploy script, using the first account as admin unless .env sets one
+        process.env.ADMIN_ADDRESS = process.env.ADMIN_ADDRESS || (await ethers.getSigners())[0].address;
+        await deployments.fixture(["PlebbitTippingV1"]);
+        const deployment = await deployments.get("PlebbitTippingV1");
+        plebbitTipping = await ethers.getContractAt("PlebbitTippingV1", deployment.address);
+
+        // The admin from .env may not be a local account
+        upgrader = await ethers.getImpersonatedSigner(process.env.ADMIN_ADDRESS);
+        await setBalance(upgrader.address, toWei("10"));
+    });
+
+    it("Deploys an initialized UUPS proxy at a deterministic address", async function () {
+        const proxyDeployment = await deployments.get("PlebbitTippingV1_Proxy");
+        const salt = ethers.keccak256(ethers.toUtf8Bytes("plebbit-v1-salt-2"));
+        const initCode = ethers.concat([
+            proxyDeployment.bytecode,
+            ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes"], proxyDeployment.args)
+        ]);
+        expect(plebbitTipping.target).to.equal(ethers.getCreate2Address(DETERMINISTIC_DEPLOYMENT_FACTORY, salt, ethers.keccak256(initCode)));
+
+        expect(await plebbitTipping.minimumTipAmount()).to.equal(toWei("0.001"));
+        expect(await plebbitTipping.feeBasisPoints()).to.equal(500);
+        expect(await plebbitTipping.hasRole(await plebbitTipping.UPGRADER_ROLE(), upgrader.address)).to.equal(true);
+
+        // Neither the proxy nor the implementation can be initialized again
+        await expect(plebbitTipping.initialize(user1.address, 0, 1))
+            .to.be.revertedWithCustomError(plebbitTipping, "InvalidInitialization");
+        const implementation = await ethers.getContractAt("PlebbitTippingV1", await getImplementation());
+        await expect(implementation.initialize(user1.address, 0, 1))
+            .to.be.revertedWithCustomError(plebbitTipping, "InvalidInitialization");
+    });
+
+    it("Rejects initializing a proxy with a fee out of bounds", async function () {
+        const PlebbitTippingV1 = await ethers.getContractFactory("PlebbitTippingV1");
+        const ERC1967Proxy = await ethers.getContractFactory("ERC1967Proxy");
+        const implementation = await getImplementation();
+
+        for (const feeBasisPoints of [0, 2001]) {
+            await expect(ERC1967Proxy.deploy(
+                implementation,
+                PlebbitTippingV1.interface.encodeFunctionData("initialize", [user1.address, toWei("0.001"), feeBasisPoints])
+            )).to.be.revertedWith("Fee must be between 1 and 2000 basis points");
+        }
+    });
+
+    it("Implementation fits in the contract size limit", async function () {
+        // The local network allows unlimited contract sizes, public networks reject code over 24KB (EIP-170)
+        const code = await ethers.provider.getCode(await getImplementation());
+        expect(ethers.dataLength(code)).to.be.at.most(24576);
+    });
+
+    it("Upgrade keeps the address, tips, totals and balances", async function () {
+        const recipientCommentCid = ethers.keccak256(ethers.toUtf8Bytes("comment1"));
+        const senderCommentCid = ethers.keccak256(ethers.toUtf8Bytes("sender1"));
+        await plebbitTipping.connect(user1).tip(user2.address, toWei("1"), feeRecipient.address, senderCommentCid, recipientCommentCid, { value: toWei("1") });
+        await plebbitTipping.connect(user2).tip(user2.address, toWei("0.5"), feeRecipient.address, ethers.ZeroHash, recipientCommentCid, { value: toWei("0.5") });
+
+        const tipsBefore = await plebbitTipping.getTips(recipientCommentCid, [feeRecipient.address], 0, 10);
+        const implementationBefore = await getImplementation();
+
+        const PlebbitTippingV2Mock = await ethers.getContractFactory("PlebbitTippingV2Mock");
+        const implementationV2 = await PlebbitTippingV2Mock.deploy();
+        await plebbitTipping.connect(upgrader).upgradeToAndCall(implementationV2.target, "0x");
+
+        expect(await getImplementation()).to.equal(implementationV2.target);
+        expect(await getImplementation()).to.not.equal(implementationBefore);
+
+        const upgraded = PlebbitTippingV2Mock.attach(plebbitTipping.target);
+        expect(await upgraded.version()).to.equal("2");
+        await upgraded.incrementUpgradeCounter();
+        expect(await upgraded.upgradeCounter()).to.equal(1);
+
+        // tips, tipsTotalAmounts and senderTipsTotalAmounts survive the upgrade
+        const tipsAfter = await upgraded.getTips(recipientCommentCid, [feeRecipient.address], 0, 10);
+        expect(tipsAfter.map((tip) => tip.toArray())).to.deep.equal(tipsBefore.map((tip) => tip.toArray()));
+        expect(await upgraded.getTipsTotalAmount(recipientCommentCid, [feeRecipient.address])).to.equal(toWei("1.5"));
+        expect(await upgraded.getSenderTipsTotalAmount(senderCommentCid, user1.address, recipientCommentCid, [feeRecipient.address])).to.equal(toWei("1"));
+        expect(await upgraded.pendingBalances(user2.address)).to.equal(toWei("1.425"));
+        expect(await upgraded.totalReservedBalance()).to.equal(toWei("1.5"));
+        expect(await upgraded.minimumTipAmount()).to.equal(toWei("0.001"));
+
+        // Tipping keeps adding to the same totals
+        await upgraded.connect(user1).tip(user2.address, toWei("1"), feeRecipient.address, senderCommentCid, recipientCommentCid, { value: toWei("1") });
+        expect(await upgraded.getSenderTipsTotalAmount(senderCommentCid, user1.address, recipientCommentCid, [feeRecipient.address])).to.equal(toWei("2"));
+    });
+
+    it("Only UPGRADER_ROLE can upgrade", async function () {
+        const PlebbitTippingV2Mock = await ethers.getContractFactory("PlebbitTippingV2Mock");
+        const implementationV2 = await PlebbitTippingV2Mock.deploy();
+
+        await expect(plebbitTipping.connect(user1).upgradeToAndCall(implementationV2.target, "0x"))
+            .to.be.revertedWithCustomError(plebbitTipping, "AccessControlUnauthorizedAccount")
+            .withArgs(user1.address, await plebbitTipping.UPGRADER_ROLE());
+
+        await plebbitTipping.connect(upgrader).grantRole(await plebbitTipping.UPGRADER_ROLE(), user1.address);
+        await plebbitTipping.connect(user1).upgradeToAndCall(implementationV2.target, "0x");
+        expect(await getImplementation()).to.equal(implementationV2.target);
+    });
+});
@@ -0,0 +1,96 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const toWei = (value) => ethers.parseEther(value.toString());
+
+describe("PlebbitTippingV1Bounties", function () {
+    let plebbitTipping, bounties, admin, asker, replier, community, other;
+    const questionCid = ethers.keccak256(ethers.toUtf8Bytes("question"));
+    const replyCid = ethers.keccak256(ethers.toUtf8Bytes("reply"));
+
+    beforeEach(async function () {
+        [admin, asker, replier, community, other] = await ethers.getSigners();
+        const PlebbitTippingV1 = await ethers.getContractFactory("PlebbitTippingV1");
+        const implementation = await PlebbitTippingV1.deploy();
+        const ERC1967Proxy = await ethers.getContractFactory("ERC1967Proxy");
+        const proxy = await ERC1967Proxy.deploy(
+            implementation.target,
+            PlebbitTippingV1.interface.encodeFunctionData("initialize", [admin.address, toWei("0.001"), 500])
+        );
+        plebbitTipping = PlebbitTippingV1.attach(proxy.target);
+
+        const PlebbitTippingV1Bounties = await ethers.getContractFactory("PlebbitTippingV1Bounties");
+        bounties = await PlebbitTippingV1Bounties.deploy(plebbitTipping.target);
+        await plebbitTipping.grantRole(await plebbitTipping.TIP_MODULE_ROLE(), bounties.target);
+    });
+
+    const createBounty = async (amount = toWei("1"), expiresIn = 7 * 24 * 3600) => {
+        const expiresAt = (await time.latest()) + expiresIn;
+        await bounties.connect(asker).createBounty(questionCid, community.address, expiresAt, { value: amount });
+        return expiresAt;
+    };
+
+    it("Awards a bounty to a reply as a tip from the funder", async function () {
+        const expiresAt = (await time.latest()) + 3600;
+        await expect(bounties.connect(asker).createBounty(questionCid, community.address, expiresAt, { value: toWei("1") }))
+            .to.emit(bounties, "BountyCreated")
+            .withArgs(0, questionCid, asker.address, toWei("1"), community.address, expiresAt);
+        expect(await ethers.provider.getBalance(bounties.target)).to.equal(toWei("1"));
+        expect(await bounties.getCommentBountyIds(questionCid)).to.deep.equal([0n]);
+
+        await expect(bounties.connect(other).awardBounty(0, replyCid, replier.address))
+            .to.be.revertedWith("Only the funder can do this");
+
+        const tx = bounties.connect(asker).awardBounty(0, replyCid, replier.address);
+        await expect(tx).to.emit(bounties, "BountyAwarded").withArgs(0, replyCid, replier.address);
+        await expect(tx).to.emit(plebbitTipping, "Tip")
+            .withArgs(asker.address, replier.address, toWei("1"), community.address, replyCid, questionCid);
+
+        // Counted like any other tip on the reply
+        expect(await plebbitTipping.getTipsTotalAmount(replyCid, [community.address])).to.equal(toWei("1"));
+        expect(await plebbitTipping.getSenderTipsTotalAmount(questionCid, asker.address, replyCid, [community.address])).to.equal(toWei("1"));
+        expect(await plebbitTipping.pendingBalances(replier.address)).to.equal(toWei("0.95"));
+        expect(await plebbitTipping.pendingBalances(community.address)).to.equal(toWei("0.05"));
+        expect(await ethers.provider.getBalance(bounties.target)).to.equal(0);
+
+        const bounty = await bounties.getBounty(0);
+        expect(bounty.status).to.equal(1); // Awarded
+        expect(bounty.recipient).to.equal(replier.address);
+        expect(bounty.replyCid).to.equal(replyCid);
+
+        await expect(bounties.connect(asker).awardBounty(0, replyCid, other.address)).to.be.revertedWith("Bounty is not open");
+        await expect(bounties.connect(asker).reclaimBounty(0)).to.be.revertedWith("Bounty is not open");
+    });
+
+    it("Lets the funder reclaim a bounty after it expires", async function () {
+        const expiresAt = await createBounty();
+        await expect(bounties.connect(asker).reclaimBounty(0)).to.be.revertedWith("Bounty has not expired");
+
+        await time.increaseTo(expiresAt + 1);
+        await expect(bounties.connect(other).reclaimBounty(0)).to.be.revertedWith("Only the funder can do this");
+        await expect(bounties.connect(asker).reclaimBounty(0)).to.changeEtherBalances([asker, bounties], [toWei("1"), toWei("-1")]);
+        expect((await bounties.getBounty(0)).status).to.equal(2); // Reclaimed
+        await expect(bounties.connect(asker).awardBounty(0, replyCid, replier.address)).to.be.revertedWith("Bounty is not open");
+    });
+
+    it("Validates bounties and follows the tipping contract's rules", async function () {
+        await expect(bounties.connect(asker).createBounty(questionCid, community.address, (await time.latest()) + 3600, { value: toWei("0.0001") }))
+            .to.be.revertedWith("Bounty amount is too low");
+        await expect(bounties.connect(asker).createBounty(questionCid, community.address, await time.latest(), { value: toWei("1") }))
+            .to.be.revertedWith("Expiry must be in the future");
+        await expect(bounties.getBounty(0)).to.be.revertedWith("Invalid bounty id");
+
+        // Blocked authors can't be awarded, the funder can still reclaim
+        const expiresAt = await createBounty();
+        await plebbitTipping.grantRole(await plebbitTipping.MODERATOR_ROLE(), admin.address);
+        await plebbitTipping.setBlocked([replier.address], true);
+        await expect(bounties.connect(asker).awardBounty(0, replyCid, replier.address)).to.be.revertedWith("Recipient is blocked");
+        await time.increaseTo(expiresAt + 1);
+        await bounties.connect(asker).reclaimBounty(0);
+
+        // Only tipping modules can tip on behalf of others
+        await expect(plebbitTipping.connect(other).tipFrom(asker.address, other.address, community.address, ethers.ZeroHash, replyCid, { value: toWei("1") }))
+            .to.be.revertedWithCustomError(plebbitTipping, "AccessControlUnauthorizedAccount");
+    });
+});
@@ -0,0 +1,151 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const toWei = (value) => ethers.parseEther(value.toString());
+
+describe("PlebbitTippingV1Goals", function () {
+    let plebbitTipping, goals, admin, author, alice, bob, community;
+    const proposalCid = ethers.keccak256(ethers.toUtf8Bytes("fund this mod tool"));
+    const day = 24 * 3600;
+
+    beforeEach(async function () {
+        [admin, author, alice, bob, community] = await ethers.getSigners();
+        const PlebbitTippingV1 = await ethers.getContractFactory("PlebbitTippingV1");
+        const implementation = await PlebbitTippingV1.deploy();
+        const ERC1967Proxy = await ethers.getContractFactory("ERC1967Proxy");
+        const proxy = await ERC1967Proxy.deploy(
+            implementation.target,
+            PlebbitTippingV1.interface.encodeFunctionData("initialize", [admin.address, toWei("0.001"), 500])
+        );
+        plebbitTipping = PlebbitTippingV1.attach(proxy.target);
+
+        const PlebbitTippingV1Goals = await ethers.getContractFactory("PlebbitTippingV1Goals");
+        goals = await PlebbitTippingV1Goals.deploy(plebbitTipping.target);
+        await plebbitTipping.grantRole(await plebbitTipping.TIP_MODULE_ROLE(), goals.target);
+    });
+
+    const createGoal = async (target = toWei("2")) => {
+        const deadline = (await time.latest()) + 7 * day;
+        await goals.connect(author).createGoal(proposalCid, target, community.address, deadline);
+        return deadline;
+    };
+
+    it("Releases the contributions as tips once the target is reached", async function () {
+        const deadline = (await time.latest()) + 7 * day;
+        await expect(goals.connect(author).createGoal(proposalCid, toWei("2"), community.address, deadline))
+            .to.emit(goals, "GoalCreated").withArgs(proposalCid, author.address, toWei("2"), community.address, deadline);
+        await expect(goals.connect(author).createGoal(proposalCid, toWei("2"), community.address, deadline))
+            .to.be.revertedWith("Goal already exists");
+
+        await expect(goals.connect(alice).contribute(proposalCid, author.address, { value: toWei("1") }))
+            .to.emit(goals, "GoalContributed").withArgs(proposalCid, author.address, alice.address, toWei("1"));
+        await expect(goals.connect(author).releaseGoal(proposalCid, 10)).to.be.revertedWith("Goal target is not reached");
+        await goals.connect(bob).contribute(proposalCid, author.address, { value: toWei("0.5") });
+        await goals.connect(alice).contribute(proposalCid, author.address, { value: toWei("1") });
+
+        let [raised, targets] = await goals.getGoalsProgress([proposalCid], [author.address]);
+        expect(raised).to.deep.equal([toWei("2.5")]);
+        expect(targets).to.deep.equal([toWei("2")]);
+        expect(await goals.getGoalContributors(proposalCid, author.address)).to.deep.equal([alice.address, bob.address]);
+        expect(await goals.contributions(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "address"], [proposalCid, author.address])), alice.address)).to.equal(toWei("2"));
+
+        // Released in pages, each contributor tipping from its own address
+        await expect(goals.connect(alice).releaseGoal(proposalCid, 10)).to.be.revertedWith("Unknown goal");
+        await expect(goals.connect(author).releaseGoal(proposalCid, 1))
+            .to.emit(plebbitTipping, "Tip").withArgs(alice.address, author.address, toWei("2"), community.address, proposalCid, ethers.ZeroHash)
+            .and.to.emit(goals, "GoalReleased").withArgs(proposalCid, author.address, 1);
+        await expect(goals.connect(bob).contribute(proposalCid, author.address, { value: toWei("1") })).to.be.revertedWith("Goal is released");
+        await expect(goals.connect(bob).refund(proposalCid, author.address)).to.be.revertedWith("Contribution is not released yet");
+        await goals.connect(author).releaseGoal(proposalCid, 1);
+        await expect(goals.connect(author).releaseGoal(proposalCid, 1)).to.be.revertedWith("Goal is already released");
+
+        expect(await plebbitTipping.getTipsTotalAmount(proposalCid, [community.address])).to.equal(toWei("2.5"));
+        expect(await plebbitTipping.getSenderTipsTotalAmount(ethers.ZeroHash, bob.address, proposalCid, [community.address])).to.equal(toWei("0.5"));
+        expect(await plebbitTipping.pendingBalances(author.address)).to.equal(toWei("2.375"));
+        expect(await ethers.provider.getBalance(goals.target)).to.equal(0);
+        await expect(goals.connect(alice).refund(proposalCid, author.address)).to.be.revertedWith("Nothing to refund");
+    });
+
+    it("Lets contributors refund themselves when the target is missed", async function () {
+        const deadline = await createGoal();
+        await goals.connect(alice).contribute(proposalCid, author.address, { value: toWei("1") });
+        await expect(goals.connect(alice).refund(proposalCid, author.address)).to.be.revertedWith("Goal can't be refunded");
+
+        await time.increaseTo(deadline + 1);
+        await expect(goals.connect(bob).contribute(proposalCid, author.address, { value: toWei("1") })).to.be.revertedWith("Goal deadline has passed");
+        await expect(goals.connect(bob).refund(proposalCid, author.address)).to.be.revertedWith("Nothing to refund");
+        const tx = goals.connect(alice).refund(proposalCid, author.address);
+        await expect(tx).to.emit(goals, "GoalRefunded").withArgs(proposalCid, author.address, alice.address, toWei("1"));
+        await expect(tx).to.changeEtherBalances([alice, goals], [toWei("1"), toWei("-1")]);
+        await expect(goals.connect(alice).refund(proposalCid, author.address)).to.be.revertedWith("Nothing to refund");
+        await expect(goals.connect(author).releaseGoal(proposalCid, 10)).to.be.revertedWith("Goal target is not reached");
+    });
+
+    it("Lets contributors refund a reached goal the author doesn't release within the release window", async function () {
+        const deadline = await createGoal();
+        const releaseWindow = Number(await goals.RELEASE_WINDOW());
+        await goals.connect(alice).contribute(proposalCid, author.address, { value: toWei("1") });
+        await goals.connect(bob).contribute(proposalCid, author.address, { value: toWei("1.5") });
+
+        // The target is reached, so the author alone decides until the window ends
+        await time.increaseTo(deadline + releaseWindow - 10);
+        await expect(goals.connect(alice).refund(proposalCid, author.address)).to.be.revertedWith("Goal can't be refunded");
+        await goals.connect(author).releaseGoal(proposalCid, 1);
+        await expect(goals.connect(bob).refund(proposalCid, author.address)).to.be.revertedWith("Contribution is not released yet");
+
+        // The contributors the author didn't release in time take their contribution back
+        await time.increaseTo(deadline + releaseWindow);
+        await expect(goals.connect(author).releaseGoal(proposalCid, 1)).to.be.revertedWith("Goal release window has passed");
+        await expect(goals.connect(bob).refund(proposalCid, author.address)).to.changeEtherBalance(bob, toWei("1.5"));
+        await expect(goals.connect(alice).refund(proposalCid, author.address)).to.be.revertedWith("Nothing to refund");
+        expect(await plebbitTipping.getTipsTotalAmount(proposalCid, [community.address])).to.equal(toWei("1"));
+
+        // Same for a goal the author never started releasing
+        const otherCid = ethers.keccak256(ethers.toUtf8Bytes("another proposal"));
+        await goals.connect(author).createGoal(otherCid, toWei("1"), community.address, (await time.latest()) + day);
+        await goals.connect(alice).contribute(otherCid, author.address, { value: toWei("1") });
+        await time.increase(day + releaseWindow + 1);
+        await expect(goals.connect(alice).refund(otherCid, author.address)).to.changeEtherBalance(alice, toWei("1"));
+    });
+
+    it("Makes contributions that can't be tipped refundable instead of blocking the release", async function () {
+        await expect(goals.connect(author).createGoal(proposalCid, toWei("0.0001"), community.address, (await time.latest()) + day))
+            .to.be.revertedWith("Goal target is too low");
+        await expect(goals.connect(author).createGoal(proposalCid, toWei("1"), community.address, await time.latest()))
+            .to.be.revertedWith("Deadline must be in the future");
+        await expect(goals.getGoal(proposalCid, author.address)).to.be.revertedWith("Unknown goal");
+
+        await createGoal();
+        await expect(goals.connect(alice).contribute(proposalCid, author.address, { value: toWei("0.0001") }))
+            .to.be.revertedWith("Contribution is too low");
+        await goals.connect(alice).contribute(proposalCid, author.address, { value: toWei("0.002") });
+        await goals.connect(bob).contribute(proposalCid, author.address, { value: toWei("2") });
+
+        // Paused tipping would fail every tip, so the release waits for the unpause
+        await plebbitTipping.pause();
+        await expect(goals.connect(author).releaseGoal(proposalCid, 10)).to.be.revertedWith("Tipping is paused");
+        await plebbitTipping.unpause();
+
+        // Alice's contribution falls below a raised minimum tip amount and is refunded instead
+        await plebbitTipping.grantRole(await plebbitTipping.MODERATOR_ROLE(), admin.address);
+        await plebbitTipping.scheduleParameterChange(0, toWei("0.01"));
+        await time.increase(2 * day);
+        await plebbitTipping.executeParameterChange(0);
+        await goals.connect(author).releaseGoal(proposalCid, 10);
+        expect(await plebbitTipping.getTipsTotalAmount(proposalCid, [community.address])).to.equal(toWei("2"));
+        await expect(goals.connect(alice).refund(proposalCid, author.address)).to.changeEtherBalance(alice, toWei("0.002"));
+    });
+
+    it("Also catches tips rejected with a custom error", async function () {
+        await createGoal();
+        await goals.connect(alice).contribute(proposalCid, author.address, { value: toWei("2") });
+
+        // Without TIP_MODULE_ROLE tipFrom reverts with AccessControlUnauthorizedAccount
+        await plebbitTipping.revokeRole(await plebbitTipping.TIP_MODULE_ROLE(), goals.target);
+        await expect(goals.connect(author).releaseGoal(proposalCid, 10))
+            .to.emit(goals, "GoalReleased").withArgs(proposalCid, author.address, 1)
+            .and.not.to.emit(plebbitTipping, "Tip");
+        await expect(goals.connect(alice).refund(proposalCid, author.address)).to.changeEtherBalance(alice, toWei("2"));
+    });
+});
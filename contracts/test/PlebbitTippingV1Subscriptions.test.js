@@ -0,0 +1,99 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const toWei = (value) => ethers.parseEther(value.toString());
+
+describe("PlebbitTippingV1Subscriptions", function () {
+    let plebbitTipping, subscriptions, admin, subscriber, author, community, keeper;
+    const month = 30 * 24 * 3600;
+    const profileCid = ethers.keccak256(ethers.toUtf8Bytes("profile"));
+
+    beforeEach(async function () {
+        [admin, subscriber, author, community, keeper] = await ethers.getSigners();
+        const PlebbitTippingV1 = await ethers.getContractFactory("PlebbitTippingV1");
+        const implementation = await PlebbitTippingV1.deploy();
+        const ERC1967Proxy = await ethers.getContractFactory("ERC1967Proxy");
+        const proxy = await ERC1967Proxy.deploy(
+            implementation.target,
+            PlebbitTippingV1.interface.encodeFunctionData("initialize", [admin.address, toWei("0.001"), 500])
+        );
+        plebbitTipping = PlebbitTippingV1.attach(proxy.target);
+
+        const PlebbitTippingV1Subscriptions = await ethers.getContractFactory("PlebbitTippingV1Subscriptions");
+        subscriptions = await PlebbitTippingV1Subscriptions.deploy(plebbitTipping.target);
+        await plebbitTipping.grantRole(await plebbitTipping.TIP_MODULE_ROLE(), subscriptions.target);
+    });
+
+    it("Tips the first payment on creation and the next ones when anyone triggers them", async function () {
+        const tx = subscriptions.connect(subscriber).createSubscription(author.address, toWei("1"), community.address, month, profileCid, { value: toWei("3") });
+        await expect(tx).to.emit(subscriptions, "SubscriptionCreated")
+            .withArgs(0, subscriber.address, author.address, toWei("1"), community.address, month, profileCid);
+        await expect(tx).to.emit(plebbitTipping, "Tip")
+            .withArgs(subscriber.address, author.address, toWei("1"), community.address, profileCid, ethers.ZeroHash);
+        expect(await subscriptions.getSenderSubscriptionIds(subscriber.address)).to.deep.equal([0n]);
+        expect(await subscriptions.getRecipientSubscriptionIds(author.address)).to.deep.equal([0n]);
+
+        let subscription = await subscriptions.getSubscription(0);
+        expect(subscription.balance).to.equal(toWei("2"));
+        await expect(subscriptions.connect(keeper).paySubscription(0)).to.be.revertedWith("Subscription payment is not due");
+
+        await time.increaseTo(subscription.nextPaymentAt);
+        await expect(subscriptions.connect(keeper).paySubscription(0))
+            .to.emit(subscriptions, "SubscriptionPaid").withArgs(0, subscription.nextPaymentAt + BigInt(month))
+            .and.to.emit(plebbitTipping, "Tip");
+
+        // Missed periods stay due until the balance runs out
+        await time.increase(2 * month);
+        await subscriptions.connect(keeper).paySubscription(0);
+        await expect(subscriptions.connect(keeper).paySubscription(0)).to.be.revertedWith("Subscription balance is too low");
+
+        expect(await plebbitTipping.getTipsTotalAmount(profileCid, [community.address])).to.equal(toWei("3"));
+        expect(await plebbitTipping.pendingBalances(author.address)).to.equal(toWei("2.85"));
+        expect(await plebbitTipping.getSenderTipsCount(subscriber.address)).to.equal(3);
+        expect(await ethers.provider.getBalance(subscriptions.target)).to.equal(0);
+
+        // Topping up a lapsed subscription restarts it from now
+        await subscriptions.connect(subscriber).fundSubscription(0, { value: toWei("1") });
+        subscription = await subscriptions.getSubscription(0);
+        expect(subscription.nextPaymentAt).to.equal(await time.latest());
+        await subscriptions.connect(keeper).paySubscription(0);
+        await expect(subscriptions.connect(keeper).paySubscription(0)).to.be.revertedWith("Subscription payment is not due");
+    });
+
+    it("Refunds the unpaid balance when the sender cancels", async function () {
+        await subscriptions.connect(subscriber).createSubscription(author.address, toWei("1"), community.address, month, ethers.ZeroHash, { value: toWei("3") });
+        await expect(subscriptions.connect(keeper).cancelSubscription(0)).to.be.revertedWith("Only the sender can do this");
+        await expect(subscriptions.connect(keeper).fundSubscription(0, { value: toWei("1") })).to.be.revertedWith("Only the sender can do this");
+
+        const tx = subscriptions.connect(subscriber).cancelSubscription(0);
+        await expect(tx).to.emit(subscriptions, "SubscriptionCanceled").withArgs(0, toWei("2"));
+        await expect(tx).to.changeEtherBalances([subscriber, subscriptions], [toWei("2"), toWei("-2")]);
+        expect((await subscriptions.getSubscription(0)).canceled).to.equal(true);
+
+        await time.increase(month);
+        await expect(subscriptions.connect(keeper).paySubscription(0)).to.be.revertedWith("Subscription is canceled");
+        await expect(subscriptions.connect(subscriber).cancelSubscription(0)).to.be.revertedWith("Subscription is canceled");
+    });
+
+    it("Validates subscriptions and follows the tipping contract's rules", async function () {
+        const subscribe = (amount, period, value, recipient = author.address) =>
+            subscriptions.connect(subscriber).createSubscription(recipient, amount, community.address, period, ethers.ZeroHash, { value });
+        await expect(subscribe(toWei("0.0001"), month, toWei("1"))).to.be.revertedWith("Subscription amount is too low");
+        await expect(subscribe(toWei("1"), 0, toWei("1"))).to.be.revertedWith("Invalid subscription period");
+        await expect(subscribe(toWei("1"), month, toWei("0.5"))).to.be.revertedWith("Sent value doesn't cover the first payment");
+        await expect(subscribe(toWei("1"), month, toWei("1"), ethers.ZeroAddress)).to.be.revertedWith("Invalid recipient address");
+        await expect(subscriptions.getSubscription(0)).to.be.revertedWith("Invalid subscription id");
+
+        // Payments stop while the author is blocked or tipping is paused, the sender can still cancel
+        await subscribe(toWei("1"), month, toWei("3"));
+        await time.increase(month);
+        await plebbitTipping.grantRole(await plebbitTipping.MODERATOR_ROLE(), admin.address);
+        await plebbitTipping.setBlocked([author.address], true);
+        await expect(subscriptions.connect(keeper).paySubscription(0)).to.be.revertedWith("Recipient is blocked");
+        await plebbitTipping.setBlocked([author.address], false);
+        await plebbitTipping.pause();
+        await expect(subscriptions.connect(keeper).paySubscription(0)).to.be.revertedWithCustomError(plebbitTipping, "EnforcedPause");
+        await subscriptions.connect(subscriber).cancelSubscription(0);
+    });
+});
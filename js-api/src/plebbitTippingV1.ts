@@ -1,142 +1,1362 @@
 import { ethers } from "ethers";
 import PlebbitTippingV1Json from "./PlebbitTippingV1.json" with { type: "json" };
 const PlebbitTippingV1Abi = PlebbitTippingV1Json.abi;
+import PlebbitTippingV1BountiesJson from "./PlebbitTippingV1Bounties.json" with { type: "json" };
+const PlebbitTippingV1BountiesAbi = PlebbitTippingV1BountiesJson.abi;
+import PlebbitTippingV1SubscriptionsJson from "./PlebbitTippingV1Subscriptions.json" with { type: "json" };
+const PlebbitTippingV1SubscriptionsAbi = PlebbitTippingV1SubscriptionsJson.abi;
+import PlebbitTippingV1GoalsJson from "./PlebbitTippingV1Goals.json" with { type: "json" };
+const PlebbitTippingV1GoalsAbi = PlebbitTippingV1GoalsJson.abi;
+import DeploymentsJson from "./deployments.json" with { type: "json" };
 import { CID } from 'multiformats/cid';
 import {decode} from 'multiformats/hashes/digest';
-import { TipTransaction, TransactionResult } from './types.js';
+import { AuthorComment, BatchOptions, BatchTipEntry, Bounty, ClaimAuthorization, Deployment, Eip1193Provider, EscrowedTip, GoalState, NativeCurrency, ParameterChange, PendingParameterChange, RpcEndpointStats, RpcOptions, SenderTip, SignedTipIntent, SignerOptions, Subscription, Tip, TipIntent, TipPreview, TipsPageOptions, TipTransaction, TransactionResult } from './types.js';
+
+// Minimal ERC-20 ABI for the allowance/approve flow of token tips
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+// EIP-712 types of the signed tip intents accepted by tipWithSignature
+const TIP_INTENT_TYPES = {
+  TipIntent: [
+    { name: "sender", type: "address" },
+    { name: "token", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "feeRecipient", type: "address" },
+    { name: "senderCommentCid", type: "bytes32" },
+    { name: "recipientCommentCid", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// How many escrowed tips createClaim goes through per transaction when no count is given
+const DEFAULT_CLAIM_PAGE_SIZE = 50;
+
+// EIP-712 types of the claim authorizations accepted by claimEscrowedTips
+const CLAIM_TYPES = {
+  Claim: [
+    { name: "recipientCommentCid", type: "bytes32" },
+    { name: "recipient", type: "address" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Contract events after which cached parameters (minimum tip amounts, fees) may be stale
+const PARAMETER_EVENTS = [
+  "MinimumTipAmountChanged",
+  "MinimumTokenTipAmountChanged",
+  "FeeBasisPointsChanged",
+  "CommunityFeeBasisPointsChanged",
+  "EscrowRefundDelayChanged",
+  "ParameterChangeDelayChanged",
+  "ParameterChangeScheduled",
+  "ParameterChangeCanceled",
+  "RoleGranted",
+  "RoleRevoked",
+];
+
+// Names of the PlebbitTippingV1.Parameter enum values, in order
+const PARAMETERS: PendingParameterChange['parameter'][] = ['minimumTipAmount', 'feeBasisPoints', 'parameterChangeDelay'];
+
+// Domain separator of the message a plebbit author's wallet signs to prove it belongs to the author, see resolveRecipient
+const AUTHOR_WALLET_DOMAIN_SEPARATOR = 'plebbit-author-wallet';
+
+// How long a signed tip intent or claim authorization stays valid when no deadline is given
+const DEFAULT_TIP_INTENT_LIFETIME_SECONDS = 60 * 60;
+
+// How long a bounty stays open when no expiry is given
+const DEFAULT_BOUNTY_LIFETIME_SECONDS = 7 * 24 * 60 * 60;
+
+// Names of the PlebbitTippingV1Bounties.BountyStatus enum values, in order
+const BOUNTY_STATUSES: Bounty['status'][] = ['open', 'awarded', 'reclaimed'];
+
+// Time between two subscription payments when no period is given
+const DEFAULT_SUBSCRIPTION_PERIOD_SECONDS = 30 * 24 * 60 * 60;
+
+// How long a crowdfunding goal accepts contributions when no deadline is given
+const DEFAULT_GOAL_LIFETIME_SECONDS = 30 * 24 * 60 * 60;
+
+// How long after its deadline the author can release a reached goal, the goals contract's RELEASE_WINDOW
+const GOAL_RELEASE_WINDOW_SECONDS = 30 * 24 * 60 * 60;
+
+// How many contributors releaseGoal tips per transaction when no maximum is given
+const DEFAULT_GOAL_RELEASE_PAGE_SIZE = 50;
 
 interface BulkRequest {
   feeRecipients: string[];
   recipientCommentCid: string;
+  cidBytes32: string;
+  token?: string;
   resolve: (value: any) => void;
   reject: (error: any) => void;
 }
 
+interface TotalsRequest {
+  addresses: string[];
+  resolve: (value: bigint[]) => void;
+  reject: (error: any) => void;
+}
+
+interface RpcEndpoint {
+  url: string;
+  requests: number;
+  errors: number;
+  consecutiveErrors: number;
+  totalLatency: number; // Of the successful requests, in milliseconds
+  lastError?: string;
+  retryAt: number; // Timestamp in milliseconds until which the endpoint is skipped after errors
+}
+
+// Defaults of the batchOptions factory option
+const DEFAULT_BATCH_OPTIONS: Required<BatchOptions> = { maxBatchSize: 100, delay: 100 };
+
+// debouncedBulkCalls key of the window shared by the tips total reads of every comment
+const TIPS_TOTAL_BATCH_KEY = 'tipsTotalAmounts';
+
+// Native currency of chains without one in the registry or the nativeCurrency option
+const DEFAULT_NATIVE_CURRENCY: NativeCurrency = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+// Defaults of the rpcOptions factory option
+const DEFAULT_RPC_OPTIONS: Required<RpcOptions> = { quorum: 1, timeout: 10_000, retries: 2, retryDelay: 250 };
+
+// How long an endpoint is skipped after an error, doubled for each consecutive error up to the maximum
+const RPC_ENDPOINT_BACKOFF_MS = 1000;
+const RPC_ENDPOINT_MAX_BACKOFF_MS = 60_000;
+
+// JSON-RPC error codes some providers (e.g. Infura) use for rate limiting instead of HTTP 429
+const RPC_RATE_LIMIT_ERROR_CODES = [-32005, 429];
+
+// JSON-RPC methods whose results must agree across rpcOptions.quorum endpoints
+const RPC_QUORUM_METHODS = ['eth_call', 'eth_getBalance', 'eth_getCode', 'eth_getStorageAt', 'eth_getLogs'];
+
+// Errors of nodes that already have a raw transaction sent again, e.g. after the first endpoint timed out
+const RPC_KNOWN_TRANSACTION_ERROR = /already known|known transaction|already imported/i;
+const RPC_NONCE_TOO_LOW_ERROR = /nonce too low/i;
+
+// JSON-RPC provider using every URL of rpcUrls: requests go to the first healthy endpoint and fail over to the
+// next one when it is down, times out or rate limits us. Failing endpoints are skipped for a backoff that grows
+// with their consecutive errors. With a quorum, contract reads are only returned once enough endpoints agree
+class FailoverProvider extends ethers.JsonRpcApiProvider {
+  private endpoints: RpcEndpoint[];
+  private rpcOptions: Required<RpcOptions>;
+
+  constructor(rpcUrls: string[], rpcOptions: RpcOptions = {}, chainId?: bigint | number) {
+    // One request per payload, so that a failing endpoint fails a single request and quorums compare single results.
+    // A known chain id skips the network detection
+    super(chainId, chainId === undefined ? { batchMaxCount: 1 } : { batchMaxCount: 1, staticNetwork: ethers.Network.from(chainId) });
+    this.rpcOptions = { ...DEFAULT_RPC_OPTIONS, ...rpcOptions };
+    const { quorum } = this.rpcOptions;
+    if (!Number.isInteger(quorum) || quorum < 1 || quorum > rpcUrls.length) {
+      throw new Error(`Invalid RPC quorum ${quorum}, it must be between 1 and the number of rpcUrls (${rpcUrls.length})`);
+    }
+    this.endpoints = rpcUrls.map(url => ({ url, requests: 0, errors: 0, consecutiveErrors: 0, totalLatency: 0, retryAt: 0 }));
+  }
+
+  async send(method: string, params: Array<any> | Record<string, any>): Promise<any> {
+    // Like JsonRpcProvider, start on the first request since there's no connection to wait for
+    await this._start();
+    return await super.send(method, params);
+  }
+
+  async _send(payload: ethers.JsonRpcPayload | Array<ethers.JsonRpcPayload>): Promise<Array<ethers.JsonRpcResult | ethers.JsonRpcError>> {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const quorum = payloads.every(({ method }) => RPC_QUORUM_METHODS.includes(method)) ? this.rpcOptions.quorum : 1;
+
+    let lastError: any;
+    for (let attempt = 0; attempt <= this.rpcOptions.retries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.rpcOptions.retryDelay * 2 ** (attempt - 1)));
+      }
+      try {
+        return await this.resolveResentTransactions(payloads, await this.sendToQuorum(payload, quorum));
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * A raw transaction sent again after a timeout is rejected when the first send got through, as already known
+   * or, once mined, with a too low nonce. Its hash only depends on its bytes, so these errors are turned into it
+   * @returns The results, with the hash of the transactions the nodes already have
+   */
+  private async resolveResentTransactions(payloads: ethers.JsonRpcPayload[], results: Array<ethers.JsonRpcResult | ethers.JsonRpcError>): Promise<Array<ethers.JsonRpcResult | ethers.JsonRpcError>> {
+    return Promise.all(results.map(async (result) => {
+      const payload = payloads.find(({ id }) => id === result.id);
+      if (!('error' in result) || payload?.method !== 'eth_sendRawTransaction') return result;
+      const hash = ethers.keccak256((payload.params as string[])[0]);
+      const message = String(result.error?.message ?? '');
+      if (RPC_KNOWN_TRANSACTION_ERROR.test(message)) {
+        return { id: result.id, result: hash };
+      }
+      // The nonce may also have been used by another transaction
+      if (RPC_NONCE_TOO_LOW_ERROR.test(message)) {
+        const [sent] = await this.sendToQuorum({ jsonrpc: '2.0', id: result.id, method: 'eth_getTransactionByHash', params: [hash] }, 1);
+        if ('result' in sent && sent.result) return { id: result.id, result: hash };
+      }
+      return result;
+    }));
+  }
+
+  /**
+   * Get the number of requests, errors and the average latency of each endpoint, in rpcUrls order
+   */
+  getStats(): RpcEndpointStats[] {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => {
+      const successes = endpoint.requests - endpoint.errors;
+      return {
+        url: endpoint.url,
+        requests: endpoint.requests,
+        errors: endpoint.errors,
+        consecutiveErrors: endpoint.consecutiveErrors,
+        averageLatency: successes > 0 ? Math.round(endpoint.totalLatency / successes) : undefined,
+        lastError: endpoint.lastError,
+        healthy: endpoint.retryAt <= now
+      };
+    });
+  }
+
+  /**
+   * Send a payload to endpoints until `quorum` of them return the same results. Starts with as many endpoints as
+   * votes are missing and asks the next ones after failures or disagreements
+   * @returns The agreed results
+   */
+  private async sendToQuorum(payload: ethers.JsonRpcPayload | Array<ethers.JsonRpcPayload>, quorum: number): Promise<Array<ethers.JsonRpcResult | ethers.JsonRpcError>> {
+    // Endpoints backing off are still tried last, so a request doesn't fail only because each endpoint failed once
+    const now = Date.now();
+    const endpoints = [
+      ...this.endpoints.filter(endpoint => endpoint.retryAt <= now),
+      ...this.endpoints.filter(endpoint => endpoint.retryAt > now).sort((a, b) => a.retryAt - b.retryAt)
+    ];
+
+    const votes = new Map<string, number>();
+    let lastError: any;
+    let asked = 0;
+    while (asked < endpoints.length) {
+      const missingVotes = quorum - Math.max(0, ...votes.values());
+      const batch = endpoints.slice(asked, asked + missingVotes);
+      asked += batch.length;
+      const responses = await Promise.allSettled(batch.map(endpoint => this.sendToEndpoint(endpoint, payload)));
+      for (const response of responses) {
+        if (response.status === 'rejected') {
+          lastError = response.reason;
+          continue;
+        }
+        // Request ids are the same for every endpoint, only the results are compared
+        const key = JSON.stringify(response.value.map(result => 'error' in result ? { error: result.error } : { result: result.result }));
+        const count = (votes.get(key) ?? 0) + 1;
+        votes.set(key, count);
+        if (count >= quorum) {
+          return response.value;
+        }
+      }
+    }
+    if (votes.size > 0) {
+      const method = Array.isArray(payload) ? payload.map(({ method }) => method).join(', ') : payload.method;
+      throw new Error(`Fewer than ${quorum} RPC endpoints returned the same result for ${method}`);
+    }
+    throw lastError;
+  }
+
+  /**
+   * Send a payload to one endpoint and record its latency, or its error and backoff
+   * @returns The endpoint's results
+   */
+  private async sendToEndpoint(endpoint: RpcEndpoint, payload: ethers.JsonRpcPayload | Array<ethers.JsonRpcPayload>): Promise<Array<ethers.JsonRpcResult | ethers.JsonRpcError>> {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+    request.timeout = this.rpcOptions.timeout;
+    // Fail over on HTTP 429 instead of waiting for the same endpoint
+    request.retryFunc = async () => false;
+
+    endpoint.requests++;
+    const startedAt = Date.now();
+    try {
+      const response = await request.send();
+      response.assertOk();
+      const body = response.bodyJson;
+      const results: Array<ethers.JsonRpcResult | ethers.JsonRpcError> = Array.isArray(body) ? body : [body];
+      const rateLimited = results.find(result => 'error' in result && RPC_RATE_LIMIT_ERROR_CODES.includes(result.error?.code));
+      if (rateLimited && 'error' in rateLimited) {
+        throw new Error(`RPC endpoint is rate limited: ${rateLimited.error.message}`);
+      }
+      endpoint.totalLatency += Date.now() - startedAt;
+      endpoint.consecutiveErrors = 0;
+      endpoint.retryAt = 0;
+      return results;
+    } catch (error: any) {
+      endpoint.errors++;
+      endpoint.consecutiveErrors++;
+      endpoint.lastError = error?.shortMessage ?? error?.message ?? String(error);
+      endpoint.retryAt = Date.now() + Math.min(RPC_ENDPOINT_BACKOFF_MS * 2 ** (endpoint.consecutiveErrors - 1), RPC_ENDPOINT_MAX_BACKOFF_MS);
+      throw error;
+    }
+  }
+}
+
 // Comment instance class that maintains state over time
 class Comment {
   public tipsTotalAmount: bigint = 0n;
   protected plebbitTippingInstance: PlebbitTippingV1Instance;
   protected feeRecipients: string[];
   protected recipientCommentCid: string;
+  protected token?: string;
 
   constructor(
     plebbitTippingInstance: PlebbitTippingV1Instance,
     feeRecipients: string[],
     recipientCommentCid: string,
-    initialTipsTotalAmount: bigint
+    initialTipsTotalAmount: bigint,
+    token?: string
   ) {
     this.plebbitTippingInstance = plebbitTippingInstance;
     this.feeRecipients = feeRecipients;
     this.recipientCommentCid = recipientCommentCid;
     this.tipsTotalAmount = initialTipsTotalAmount;
+    this.token = token;
+  }
+
+  async updateTipsTotalAmount(): Promise<void> {
+    const newAmount = await this.plebbitTippingInstance.getDebouncedTipsTotalAmount(
+      this.feeRecipients, 
+      this.recipientCommentCid,
+      this.token
+    );
+    this.tipsTotalAmount = newAmount;
+    
+    // Also update the cached value in the main instance
+    const cacheKey = this.plebbitTippingInstance.createCacheKey(this.feeRecipients, this.recipientCommentCid, this.token);
+    if (this.plebbitTippingInstance.comments[cacheKey]) {
+      this.plebbitTippingInstance.comments[cacheKey].tipsTotalAmount = newAmount;
+    }
+  }
+
+  /**
+   * Get a page of the comment's tips, newest first unless order is 'oldest'
+   * @returns Decoded tips
+   */
+  async getTips(options: TipsPageOptions = {}): Promise<Tip[]> {
+    return await this.plebbitTippingInstance.getTips(this.feeRecipients, this.recipientCommentCid, options, this.token);
+  }
+
+  /**
+   * Get the number of tips on the comment, e.g. to know how many pages getTips has
+   */
+  async getTipsCount(): Promise<number> {
+    return await this.plebbitTippingInstance.getTipsCount(this.feeRecipients, this.recipientCommentCid, this.token);
+  }
+}
+
+// SenderComment instance class that extends Comment functionality
+class SenderComment extends Comment {
+  public senderCommentCid?: string;
+  public sender: string;
+
+  constructor(
+    plebbitTippingInstance: PlebbitTippingV1Instance,
+    feeRecipients: string[],
+    recipientCommentCid: string,
+    initialTipsTotalAmount: bigint,
+    sender: string,
+    senderCommentCid?: string
+  ) {
+    super(plebbitTippingInstance, feeRecipients, recipientCommentCid, initialTipsTotalAmount);
+    this.sender = sender;
+    this.senderCommentCid = senderCommentCid;
+  }
+
+  async updateTipsTotalAmount(): Promise<void> {
+    await super.updateTipsTotalAmount();
+    
+    // Also update the cached value in sender comments
+    const cacheKey = this.plebbitTippingInstance.createSenderCacheKey(
+      this.feeRecipients, 
+      this.recipientCommentCid, 
+      this.senderCommentCid, 
+      this.sender
+    );
+    if (this.plebbitTippingInstance.senderComments[cacheKey]) {
+      this.plebbitTippingInstance.senderComments[cacheKey].tipsTotalAmount = this.tipsTotalAmount;
+    }
+  }
+}
+
+// Goal instance class: a comment with an all-or-nothing crowdfunding goal, its progress next to its tips total
+class Goal extends Comment {
+  public recipient: string;
+  public target: bigint = 0n;
+  public raised: bigint = 0n;
+  public feeRecipient: string = ethers.ZeroAddress;
+  public deadline: bigint = 0n;
+  public released: boolean = false;
+  public contributorsCount: number = 0;
+  public releasedContributorsCount: number = 0;
+
+  constructor(
+    plebbitTippingInstance: PlebbitTippingV1Instance,
+    feeRecipients: string[],
+    recipientCommentCid: string,
+    initialTipsTotalAmount: bigint,
+    recipient: string,
+    goalState: GoalState
+  ) {
+    super(plebbitTippingInstance, feeRecipients, recipientCommentCid, initialTipsTotalAmount);
+    this.recipient = recipient;
+    Object.assign(this, goalState);
+  }
+
+  /**
+   * 'open' while accepting contributions, 'reached' once the target is met, 'released' once the author
+   * released the contributions, 'failed' if the deadline passed before the target was met, or if the
+   * author didn't release every contribution within the release window
+   */
+  get status(): 'open' | 'reached' | 'released' | 'failed' {
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    const fullyReleased = this.released && this.releasedContributorsCount === this.contributorsCount;
+    if (!fullyReleased && now > this.deadline + BigInt(GOAL_RELEASE_WINDOW_SECONDS)) return 'failed';
+    if (this.released) return 'released';
+    if (this.raised >= this.target) return 'reached';
+    if (now > this.deadline) return 'failed';
+    return 'open';
+  }
+
+  async updateTipsTotalAmount(): Promise<void> {
+    const [goalState] = await Promise.all([
+      this.plebbitTippingInstance.getGoalState(this.recipientCommentCid, this.recipient),
+      super.updateTipsTotalAmount()
+    ]);
+    Object.assign(this, goalState);
+  }
+
+  /**
+   * Get the ETH a contributor put in the goal that wasn't released or refunded yet
+   */
+  async getContribution(contributor: string): Promise<bigint> {
+    return await this.plebbitTippingInstance.getGoalContribution(this.recipientCommentCid, this.recipient, contributor);
+  }
+}
+
+class PlebbitTippingV1Instance {
+  private contract: ethers.Contract;
+  private contractAddress: string; // Store contract address separately
+  private bountiesAddress?: string; // PlebbitTippingV1Bounties deployment, if the network has one
+  private subscriptionsAddress?: string; // PlebbitTippingV1Subscriptions deployment, if the network has one
+  private goalsAddress?: string; // PlebbitTippingV1Goals deployment, if the network has one
+  private provider: ethers.Provider; // Add private provider
+  private failoverProvider?: FailoverProvider; // The provider when rpcUrls are given, kept for its stats
+  private publicRpcUrls: string[]; // Offered to wallets that don't know the chain, never rpcUrls which may embed API keys
+  private nativeCurrency: NativeCurrency; // Of the chain, for wallets that don't know it
+  private cache: { maxAge: number };
+  private batchOptions: Required<BatchOptions>;
+  private defaultFeeRecipient: string = "0x4A09b1EfEf421055fEE00cd79894DF71F175853D";
+  
+  // Debouncing infrastructure
+  private debouncedBulkCalls: Map<string, NodeJS.Timeout> = new Map();
+  private pendingBulkRequests: Map<string, BulkRequest[]> = new Map(); // By comment cache key, for the next tips total batch
+  private pendingTotalsRequests: Map<string, TotalsRequest[]> = new Map();
+  
+  // Public cache access for testing - now stores Comment instances
+  public comments: Record<string, Comment> = {};
+  public senderComments: Record<string, SenderComment> = {};
+  public goals: Record<string, Goal> = {};
+  
+  // Cache expiration
+  private cacheExpirationTimers: Map<string, NodeJS.Timeout> = new Map();
+
+  // Contract parameters, kept for cache.maxAge or until watchParameters sees them change
+  private parameterCache: Map<string, { value: Promise<bigint>, expiresAt: number }> = new Map();
+  private stopWatchingParameters?: () => void; // Started by the watchParameters option, stopped by destroy()
+  
+  // Mocking for testing
+  private mockBulkCallCount: number = 0;
+
+  constructor(provider: ethers.Provider, publicRpcUrls: string[], cache: { maxAge: number }, contractAddress: string, bountiesAddress?: string, subscriptionsAddress?: string, goalsAddress?: string, batchOptions: BatchOptions = {}, watchParameters: boolean = false, nativeCurrency: NativeCurrency = DEFAULT_NATIVE_CURRENCY) {
+    this.provider = provider;
+    this.failoverProvider = provider instanceof FailoverProvider ? provider : undefined;
+    this.publicRpcUrls = publicRpcUrls;
+    this.nativeCurrency = nativeCurrency;
+    this.cache = cache;
+    this.batchOptions = { ...DEFAULT_BATCH_OPTIONS, ...batchOptions };
+    const { maxBatchSize, delay } = this.batchOptions;
+    if (!Number.isInteger(maxBatchSize) || maxBatchSize < 1) {
+      throw new Error(`Invalid maxBatchSize ${maxBatchSize}, it must be a positive integer`);
+    }
+    if (!(delay >= 0)) {
+      throw new Error(`Invalid batch delay ${delay}, it must be 0 or more milliseconds`);
+    }
+    this.contractAddress = contractAddress; // Store the address
+    this.bountiesAddress = bountiesAddress;
+    this.subscriptionsAddress = subscriptionsAddress;
+    this.goalsAddress = goalsAddress;
+    
+    // Always create read-only contract for queries
+    this.contract = new ethers.Contract(contractAddress, PlebbitTippingV1Abi, this.provider);
+
+    // Polls the RPC, which keeps Node running until destroy()
+    if (watchParameters) {
+      this.stopWatchingParameters = this.watchParameters();
+    }
+  }
+
+  async createTip({ feeRecipients, recipientCommentCid, senderCommentCid, recipient, comment, sender, tipAmount, token, light, ...signerOptions }: { 
+    feeRecipients: string[], 
+    recipientCommentCid: string, 
+    senderCommentCid?: string, 
+    recipient?: string, // The comment author's address
+    comment?: AuthorComment, // Plebbit comment to tip, the recipient is resolved from its author's verified eth wallet
+    sender?: string, // Deprecated, recipient used before the recipient option existed
+    tipAmount?: bigint,
+    token?: string,
+    light?: boolean // Cheaper tip that only updates the totals, see lightTip in the contract
+  } & SignerOptions): Promise<TipTransaction> {
+    if (light && token) {
+      throw new Error('Light tips are ETH only, remove the token or the light option');
+    }
+    // Older clients pass the recipient as `sender`. Never fall back to the tipper's own wallet
+    const tipRecipient = recipient || (comment ? this.resolveRecipient(comment) : sender);
+    if (!tipRecipient) {
+      throw new Error('No recipient given, pass recipient (the comment author\'s address) or comment');
+    }
+    await this.assertNotPaused();
+
+    // Ensure deployer address is always included as fee recipient
+    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
+    
+    // Prepare wallet and contract, but don't call the contract yet
+    const { wallet, walletAddress, contractWithSigner } = await this.createContractWithSigner(signerOptions);
+    await this.assertNotBlocked([tipRecipient, safeFeeRecipients[0]]);
+    const contractAddress = this.contractAddress;
+    
+    // Convert CIDs to bytes32 format (without double hashing)
+    const recipientCidBytes = this.cidToBytes32(recipientCommentCid);
+    const senderCidBytes = senderCommentCid ? this.cidToBytes32(senderCommentCid) : ethers.ZeroHash;
+    
+    return this.createTransaction(async () => {
+      // Token amounts are shown in raw token units since the decimals are unknown here
+      const formatAmount = (amount: bigint) => token ? `${amount.toString()} token units` : `${ethers.formatEther(amount)} ETH`;
+      const minTipAmount: bigint = token
+        ? await contractWithSigner.minimumTokenTipAmounts(token)
+        : await contractWithSigner.minimumTipAmount();
+
+      // Determine tip amount: use custom amount if provided, otherwise use minimum
+      let actualTipAmount: bigint;
+      if (tipAmount && tipAmount > 0n) {
+        // Validate that custom amount meets minimum requirement
+        if (tipAmount < minTipAmount) {
+          throw new Error(`Custom tip amount (${formatAmount(tipAmount)}) is below minimum required (${formatAmount(minTipAmount)})`);
+        }
+        actualTipAmount = tipAmount;
+      } else {
+        // Use minimum as default
+        if (token && minTipAmount === 0n) {
+          throw new Error(`tipAmount is required for token ${token}, it has no minimum tip amount`);
+        }
+        actualTipAmount = minTipAmount;
+      }
+      
+      // Actually call the contract method now
+      if (token) {
+        // Approve the tipping contract first if the current allowance is too low
+        const tokenContract = new ethers.Contract(token, ERC20_ABI, wallet);
+        const allowance: bigint = await tokenContract.allowance(walletAddress, contractAddress);
+        if (allowance < actualTipAmount) {
+          const approveTx = await tokenContract.approve(contractAddress, actualTipAmount);
+          await approveTx.wait();
+        }
+
+        return contractWithSigner.tipToken(
+          token,
+          tipRecipient,
+          actualTipAmount,
+          safeFeeRecipients[0],
+          senderCidBytes,
+          recipientCidBytes
+        );
+      }
+
+      // lightTip takes the same arguments, it only skips storing the tip in the contract's history
+      return contractWithSigner[light ? 'lightTip' : 'tip'](
+        tipRecipient,
+        actualTipAmount,
+        safeFeeRecipients[0],
+        senderCidBytes,
+        recipientCidBytes,
+        { value: actualTipAmount } // Add value to the transaction
+      );
+    });
+  }
+
+  /**
+   * Create a transaction that sends several ETH tips at once, e.g. to every reply in a thread
+   * @param tips The tips to send, each with its own recipient, comment and amount
+   * @param signer Signer of the sending wallet
+   * @returns Transaction object with send method
+   */
+  async createBatchTip({ tips, ...signerOptions }: {
+    tips: BatchTipEntry[]
+  } & SignerOptions): Promise<TipTransaction> {
+    if (!tips || tips.length === 0) {
+      throw new Error('createBatchTip requires at least one tip');
+    }
+    await this.assertNotPaused();
+
+    const { contractWithSigner } = await this.createContractWithSigner(signerOptions);
+
+    // Convert every entry to contract arguments up front so invalid CIDs fail before sending
+    const recipients = tips.map(tip => tip.recipient);
+    const feeRecipients = tips.map(tip => this.ensureDeployerAddressIncluded(tip.feeRecipients)[0]);
+    const senderCidsBytes = tips.map(tip => tip.senderCommentCid ? this.cidToBytes32(tip.senderCommentCid) : ethers.ZeroHash);
+    const recipientCidsBytes = tips.map(tip => this.cidToBytes32(tip.recipientCommentCid));
+    await this.assertNotBlocked([...recipients, ...feeRecipients]);
+
+    return this.createTransaction(async () => {
+      // Entries without a custom amount use the minimum
+      const minTipAmount: bigint = await contractWithSigner.minimumTipAmount();
+      const amounts = tips.map(tip => {
+        if (tip.tipAmount && tip.tipAmount > 0n) {
+          if (tip.tipAmount < minTipAmount) {
+            throw new Error(`Custom tip amount (${ethers.formatEther(tip.tipAmount)} ETH) for ${tip.recipientCommentCid} is below minimum required (${ethers.formatEther(minTipAmount)} ETH)`);
+          }
+          return tip.tipAmount;
+        }
+        return minTipAmount;
+      });
+      const totalAmount = amounts.reduce((total, amount) => total + amount, 0n);
+
+      return contractWithSigner.batchTip(
+        recipients,
+        amounts,
+        feeRecipients,
+        senderCidsBytes,
+        recipientCidsBytes,
+        { value: totalAmount }
+      );
+    });
+  }
+
+  /**
+   * Sign a token tip without sending it, so that a relayer can submit it and pay the gas.
+   * The sender must have approved the tipping contract for the token beforehand.
+   * @param recipient Address receiving the tip
+   * @param token ERC-20 token address
+   * @param tipAmount Amount in token units, if not provided uses the token's minimum
+   * @param deadline Unix timestamp in seconds after which the intent expires, defaults to one hour from now
+   * @param signer Signer of the sender, who signs the intent
+   * @returns The intent and its signature, to pass to relayTipIntent
+   */
+  async signTipIntent({ feeRecipients, recipientCommentCid, senderCommentCid, recipient, token, tipAmount, deadline, ...signerOptions }: {
+    feeRecipients: string[],
+    recipientCommentCid: string,
+    senderCommentCid?: string,
+    recipient: string,
+    token: string,
+    tipAmount?: bigint,
+    deadline?: bigint
+  } & SignerOptions): Promise<SignedTipIntent> {
+    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
+    const wallet = await this.getSigner(signerOptions);
+    const walletAddress = await wallet.getAddress();
+    await this.assertNotBlocked([recipient, safeFeeRecipients[0]]);
+
+    let amount: bigint;
+    if (tipAmount && tipAmount > 0n) {
+      const minTipAmount: bigint = await this.getMinimumTokenTipAmount(token);
+      if (tipAmount < minTipAmount) {
+        throw new Error(`Custom tip amount (${tipAmount.toString()} token units) is below minimum required (${minTipAmount.toString()} token units)`);
+      }
+      amount = tipAmount;
+    } else {
+      amount = await this.getMinimumTokenTipAmount(token);
+      if (amount === 0n) {
+        throw new Error(`tipAmount is required for token ${token}, it has no minimum tip amount`);
+      }
+    }
+
+    const intent: TipIntent = {
+      sender: walletAddress,
+      token,
+      recipient,
+      amount,
+      feeRecipient: safeFeeRecipients[0],
+      senderCommentCid: senderCommentCid ? this.cidToBytes32(senderCommentCid) : ethers.ZeroHash,
+      recipientCommentCid: this.cidToBytes32(recipientCommentCid),
+      nonce: await this.contract.nonces(walletAddress),
+      deadline: deadline ?? BigInt(Math.floor(Date.now() / 1000) + DEFAULT_TIP_INTENT_LIFETIME_SECONDS),
+    };
+    const signature = await wallet.signTypedData(await this.getTipIntentDomain(), TIP_INTENT_TYPES, intent);
+    return { intent, signature };
+  }
+
+  /**
+   * Create a transaction that submits a signed tip intent, paid for by the relaying wallet.
+   * The tip is recorded with the intent's signer as sender.
+   * @param intent The signed intent, as returned by signTipIntent
+   * @param signature The sender's signature of the intent
+   * @param signer Signer of the relaying wallet
+   * @returns Transaction object with send method
+   */
+  async relayTipIntent({ intent, signature, ...signerOptions }: {
+    intent: TipIntent,
+    signature: string
+  } & SignerOptions): Promise<TipTransaction> {
+    await this.assertNotPaused();
+
+    // Check the signature locally so a bad intent fails before the relayer spends gas
+    const signer = ethers.verifyTypedData(await this.getTipIntentDomain(), TIP_INTENT_TYPES, intent, signature);
+    if (signer.toLowerCase() !== intent.sender.toLowerCase()) {
+      throw new Error(`Tip intent is signed by ${signer}, not by its sender ${intent.sender}`);
+    }
+
+    const { contractWithSigner } = await this.createContractWithSigner(signerOptions);
+    return this.createTransaction(() => contractWithSigner.tipWithSignature(intent, signature));
+  }
+
+  /**
+   * Create a transaction that tips the author of a comment who has no wallet address yet.
+   * The ETH is held in escrow until the author claims it, or the sender refunds it after the refund delay.
+   * @param tipAmount Amount in wei, if not provided uses the minimum
+   * @param signer Signer of the sending wallet
+   * @returns Transaction object with send method
+   */
+  async createEscrowTip({ feeRecipients, recipientCommentCid, senderCommentCid, tipAmount, ...signerOptions }: {
+    feeRecipients: string[],
+    recipientCommentCid: string,
+    senderCommentCid?: string,
+    tipAmount?: bigint
+  } & SignerOptions): Promise<TipTransaction> {
+    await this.assertNotPaused();
+    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
+    await this.assertNotBlocked([safeFeeRecipients[0]]);
+    const { contractWithSigner } = await this.createContractWithSigner(signerOptions);
+    const recipientCidBytes = this.cidToBytes32(recipientCommentCid);
+    const senderCidBytes = senderCommentCid ? this.cidToBytes32(senderCommentCid) : ethers.ZeroHash;
+
+    return this.createTransaction(async () => {
+      const minTipAmount: bigint = await contractWithSigner.minimumTipAmount();
+      if (tipAmount && tipAmount > 0n && tipAmount < minTipAmount) {
+        throw new Error(`Custom tip amount (${ethers.formatEther(tipAmount)} ETH) is below minimum required (${ethers.formatEther(minTipAmount)} ETH)`);
+      }
+      const actualTipAmount = tipAmount && tipAmount > 0n ? tipAmount : minTipAmount;
+
+      return contractWithSigner.tipEscrow(
+        actualTipAmount,
+        safeFeeRecipients[0],
+        senderCidBytes,
+        recipientCidBytes,
+        { value: actualTipAmount }
+      );
+    });
+  }
+
+  /**
+   * Get the escrowed tips of a comment that are neither claimed nor refunded yet
+   * @param recipientCommentCid The comment CID
+   * @returns Unclaimed escrowed tips, oldest first
+   */
+  async getUnclaimedTips(recipientCommentCid: string): Promise<EscrowedTip[]> {
+    const [escrowedTips, escrowRefundDelay] = await Promise.all([
+      this.contract.getEscrowedTips(this.cidToBytes32(recipientCommentCid)),
+      this.contract.escrowRefundDelay(),
+    ]);
+
+    // Keep the index of each tip in the full escrow, refunds need it
+    const unclaimedTips: EscrowedTip[] = [];
+    escrowedTips.forEach((tip: any, index: number) => {
+      if (tip.settled) return;
+      unclaimedTips.push({
+        index,
+        sender: tip.sender,
+        amount: tip.amount,
+        feeRecipient: tip.feeRecipient,
+        senderCommentCid: tip.senderCommentCid,
+        timestamp: tip.timestamp,
+        refundableAt: tip.timestamp + escrowRefundDelay,
+      });
+    });
+    return unclaimedTips;
+  }
+
+  /**
+   * Authorize the author of a comment to claim its escrowed tips into their wallet.
+   * Only signatures from an account with CLAIM_SIGNER_ROLE are accepted by the contract, so this is meant
+   * for the service that verifies plebbit comment authorship before signing.
+   * @param recipientCommentCid The comment CID
+   * @param recipient The author's wallet address
+   * @param deadline Unix timestamp in seconds after which the authorization expires, defaults to one hour from now
+   * @param signer The claim signer
+   * @returns The claim authorization, to pass to createClaim
+   */
+  async signClaimAuthorization({ recipientCommentCid, recipient, deadline, ...signerOptions }: {
+    recipientCommentCid: string,
+    recipient: string,
+    deadline?: bigint
+  } & SignerOptions): Promise<ClaimAuthorization> {
+    const wallet = await this.getSigner(signerOptions);
+    const claimDeadline = deadline ?? BigInt(Math.floor(Date.now() / 1000) + DEFAULT_TIP_INTENT_LIFETIME_SECONDS);
+    const signature = await wallet.signTypedData(await this.getTipIntentDomain(), CLAIM_TYPES, {
+      recipientCommentCid: this.cidToBytes32(recipientCommentCid),
+      recipient,
+      deadline: claimDeadline,
+    });
+    return { recipientCommentCid, recipient, deadline: claimDeadline, signature };
+  }
+
+  /**
+   * Create a transaction that claims the unclaimed escrowed tips of a comment for its author.
+   * The tips are credited to the authorized recipient's pending balance, whoever sends the transaction.
+   * Goes through `count` escrowed tips per transaction, so comments with more unclaimed tips need one claim
+   * per page, with the same authorization, until getUnclaimedTips is empty. Tips whose fee recipient was
+   * blocked after they were escrowed are refunded to their sender instead
+   * @param authorization The claim authorization from the claim signer
+   * @param start Index of the first escrowed tip to go through, defaults to the oldest unclaimed one
+   * @param count Escrowed tips to go through in this transaction, defaults to 50
+   * @param signer Signer of the wallet sending the transaction
+   * @returns Transaction object with send method
+   */
+  async createClaim({ authorization, start, count = DEFAULT_CLAIM_PAGE_SIZE, ...signerOptions }: {
+    authorization: ClaimAuthorization,
+    start?: number,
+    count?: number
+  } & SignerOptions): Promise<TipTransaction> {
+    await this.assertNotPaused();
+    const { contractWithSigner } = await this.createContractWithSigner(signerOptions);
+    const recipientCidBytes = this.cidToBytes32(authorization.recipientCommentCid);
+    return this.createTransaction(async () => {
+      // Settled tips before the oldest unclaimed one would only cost gas
+      const claimStart = start ?? (await this.getUnclaimedTips(authorization.recipientCommentCid))[0]?.index ?? 0;
+      return contractWithSigner.claimEscrowedTips(
+        recipientCidBytes,
+        authorization.recipient,
+        authorization.deadline,
+        authorization.signature,
+        claimStart,
+        count
+      );
+    });
+  }
+
+  /**
+   * Create a transaction that refunds an unclaimed escrowed tip to its sender, once the refund delay has passed
+   * @param recipientCommentCid The comment CID the tip was escrowed for
+   * @param index The index of the escrowed tip, see getUnclaimedTips
+   * @param signer Signer of the tip sender
+   * @returns Transaction object with send method
+   */
+  async createEscrowRefund({ recipientCommentCid, index, ...signerOptions }: {
+    recipientCommentCid: string,
+    index: number
+  } & SignerOptions): Promise<TipTransaction> {
+    const { contractWithSigner } = await this.createContractWithSigner(signerOptions);
+    const recipientCidBytes = this.cidToBytes32(recipientCommentCid);
+    return this.createTransaction(() => contractWithSigner.refundEscrowedTip(recipientCidBytes, index));
+  }
+
+  /**
+   * Create a transaction that funds a bounty on a question comment, to award to its best reply
+   * @param commentCid The question comment CID
+   * @param feeRecipients Fee recipient addresses, the first one is paid the fee when the bounty is awarded
+   * @param amount Bounty amount in wei, if not provided uses the minimum tip amount
+   * @param expiresAt Unix timestamp in seconds after which the funder can reclaim it, defaults to 7 days from now
+   * @param signer Signer of the funder
+   * @returns Transaction object with send method
+   */
+  async createBounty({ commentCid, feeRecipients, amount, expiresAt, ...signerOptions }: {
+    commentCid: string,
+    feeRecipients: string[],
+    amount?: bigint,
+    expiresAt?: bigint
+  } & SignerOptions): Promise<TipTransaction> {
+    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
+    await this.assertNotBlocked([safeFeeRecipients[0]]);
+    const bounties = this.getBountiesContract(await this.getSigner(signerOptions));
+    const commentCidBytes = this.cidToBytes32(commentCid);
+    const actualExpiresAt = expiresAt ?? BigInt(Math.floor(Date.now() / 1000) + DEFAULT_BOUNTY_LIFETIME_SECONDS);
+
+    return this.createTransaction(async () => {
+      const minTipAmount = await this.getMinimumTipAmount();
+      if (amount && amount > 0n && amount < minTipAmount) {
+        throw new Error(`Bounty amount (${ethers.formatEther(amount)} ETH) is below minimum required (${ethers.formatEther(minTipAmount)} ETH)`);
+      }
+      const actualAmount = amount && amount > 0n ? amount : minTipAmount;
+      return bounties.createBounty(commentCidBytes, safeFeeRecipients[0], actualExpiresAt, { value: actualAmount });
+    });
+  }
+
+  /**
+   * Create a transaction that awards an open bounty to a reply, sent as a tip from the funder to the reply's author.
+   * It counts toward the reply's tip totals like any other tip.
+   * @param bountyId The bounty id, see getBounties
+   * @param replyCid The CID of the reply to award
+   * @param recipient The reply author's address
+   * @param signer Signer of the funder
+   * @returns Transaction object with send method
+   */
+  async awardBounty({ bountyId, replyCid, recipient, ...signerOptions }: {
+    bountyId: bigint | number,
+    replyCid: string,
+    recipient: string
+  } & SignerOptions): Promise<TipTransaction> {
+    await this.assertNotPaused();
+    await this.assertNotBlocked([recipient]);
+    const bounties = this.getBountiesContract(await this.getSigner(signerOptions));
+    const replyCidBytes = this.cidToBytes32(replyCid);
+    return this.createTransaction(() => bounties.awardBounty(bountyId, replyCidBytes, recipient));
+  }
+
+  /**
+   * Create a transaction that gives an expired bounty that wasn't awarded back to its funder
+   * @param bountyId The bounty id
+   * @param signer Signer of the funder
+   * @returns Transaction object with send method
+   */
+  async reclaimBounty({ bountyId, ...signerOptions }: {
+    bountyId: bigint | number
+  } & SignerOptions): Promise<TipTransaction> {
+    const bounties = this.getBountiesContract(await this.getSigner(signerOptions));
+    return this.createTransaction(() => bounties.reclaimBounty(bountyId));
+  }
+
+  /**
+   * Get a bounty
+   * @param bountyId The bounty id
+   * @returns The bounty, with its status
+   */
+  async getBounty(bountyId: bigint | number): Promise<Bounty> {
+    const bounty = await this.getBountiesContract().getBounty(bountyId);
+    return this.decodeBounty(BigInt(bountyId), bounty);
+  }
+
+  /**
+   * Get the bounties funded on a question comment, oldest first
+   * @param commentCid The question comment CID
+   * @returns The bounties, with their status
+   */
+  async getBounties(commentCid: string): Promise<Bounty[]> {
+    const bounties = this.getBountiesContract();
+    const ids: bigint[] = await bounties.getCommentBountyIds(this.cidToBytes32(commentCid));
+    return Promise.all(ids.map(async (id) => this.decodeBounty(id, await bounties.getBounty(id))));
+  }
+
+  private getBountiesContract(runner: ethers.ContractRunner = this.provider): ethers.Contract {
+    if (!this.bountiesAddress) {
+      throw new Error('No PlebbitTippingV1Bounties contract configured, pass bountiesAddress to PlebbitTippingV1()');
+    }
+    return new ethers.Contract(this.bountiesAddress, PlebbitTippingV1BountiesAbi, runner);
+  }
+
+  private decodeBounty(id: bigint, bounty: any): Bounty {
+    const status = BOUNTY_STATUSES[Number(bounty.status)];
+    return {
+      id,
+      commentCid: bounty.commentCid,
+      funder: bounty.funder,
+      amount: bounty.amount,
+      feeRecipient: bounty.feeRecipient,
+      expiresAt: bounty.expiresAt,
+      status,
+      ...(status === 'awarded' ? { recipient: bounty.recipient, replyCid: bounty.replyCid } : {})
+    };
+  }
+
+  /**
+   * Create a transaction that subscribes to an author: `amount` is tipped right away, then again every `period`
+   * for as long as the subscription's pre-funded balance lasts. Anyone can trigger the due payments (see paySubscription)
+   * @param recipient The author's address
+   * @param feeRecipients Fee recipient addresses, the first one is paid the fee of each payment
+   * @param amount Amount tipped every period in wei, if not provided uses the minimum tip amount
+   * @param period Seconds between two payments, defaults to 30 days
+   * @param payments Number of payments to pre-fund, including the first one, defaults to 1. Add more later with fundSubscription
+   * @param recipientCommentCid Optional comment CID the payments are recorded on, e.g. the author's profile post
+   * @param signer Signer of the subscriber
+   * @returns Transaction object with send method
+   */
+  async createSubscription({ recipient, feeRecipients, amount, period, payments = 1, recipientCommentCid, ...signerOptions }: {
+    recipient: string,
+    feeRecipients: string[],
+    amount?: bigint,
+    period?: number,
+    payments?: number,
+    recipientCommentCid?: string
+  } & SignerOptions): Promise<TipTransaction> {
+    if (!Number.isInteger(payments) || payments < 1) {
+      throw new Error(`Invalid number of pre-funded payments: ${payments}`);
+    }
+    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
+    await this.assertNotPaused();
+    await this.assertNotBlocked([recipient, safeFeeRecipients[0]]);
+    const subscriptions = this.getSubscriptionsContract(await this.getSigner(signerOptions));
+    const recipientCidBytes = recipientCommentCid ? this.cidToBytes32(recipientCommentCid) : ethers.ZeroHash;
+
+    return this.createTransaction(async () => {
+      const minTipAmount = await this.getMinimumTipAmount();
+      if (amount && amount > 0n && amount < minTipAmount) {
+        throw new Error(`Subscription amount (${ethers.formatEther(amount)} ETH) is below minimum required (${ethers.formatEther(minTipAmount)} ETH)`);
+      }
+      const actualAmount = amount && amount > 0n ? amount : minTipAmount;
+      return subscriptions.createSubscription(
+        recipient,
+        actualAmount,
+        safeFeeRecipients[0],
+        period ?? DEFAULT_SUBSCRIPTION_PERIOD_SECONDS,
+        recipientCidBytes,
+        { value: actualAmount * BigInt(payments) }
+      );
+    });
+  }
+
+  /**
+   * Create a transaction that adds ETH to a subscription's balance, for its next payments.
+   * A subscription that ran out of funds restarts from now, missed periods are not paid
+   * @param subscriptionId The subscription id, see getSubscriptions
+   * @param amount Amount to add in wei
+   * @param signer Signer of the subscriber
+   * @returns Transaction object with send method
+   */
+  async fundSubscription({ subscriptionId, amount, ...signerOptions }: {
+    subscriptionId: bigint | number,
+    amount: bigint
+  } & SignerOptions): Promise<TipTransaction> {
+    const subscriptions = this.getSubscriptionsContract(await this.getSigner(signerOptions));
+    return this.createTransaction(() => subscriptions.fundSubscription(subscriptionId, { value: amount }));
+  }
+
+  /**
+   * Create a transaction that tips a subscription's due payment. Any wallet can send it, e.g. a keeper
+   * bot or the author, and it pays one period per transaction
+   * @param subscriptionId The subscription id
+   * @param signer Signer of the wallet paying the gas
+   * @returns Transaction object with send method
+   */
+  async paySubscription({ subscriptionId, ...signerOptions }: {
+    subscriptionId: bigint | number
+  } & SignerOptions): Promise<TipTransaction> {
+    await this.assertNotPaused();
+    const subscriptions = this.getSubscriptionsContract(await this.getSigner(signerOptions));
+    return this.createTransaction(() => subscriptions.paySubscription(subscriptionId));
+  }
+
+  /**
+   * Create a transaction that cancels a subscription and refunds its unpaid balance to the subscriber
+   * @param subscriptionId The subscription id
+   * @param signer Signer of the subscriber
+   * @returns Transaction object with send method
+   */
+  async cancelSubscription({ subscriptionId, ...signerOptions }: {
+    subscriptionId: bigint | number
+  } & SignerOptions): Promise<TipTransaction> {
+    const subscriptions = this.getSubscriptionsContract(await this.getSigner(signerOptions));
+    return this.createTransaction(() => subscriptions.cancelSubscription(subscriptionId));
+  }
+
+  /**
+   * Get a subscription
+   * @param subscriptionId The subscription id
+   * @returns The subscription, with its status
+   */
+  async getSubscription(subscriptionId: bigint | number): Promise<Subscription> {
+    const subscription = await this.getSubscriptionsContract().getSubscription(subscriptionId);
+    return this.decodeSubscription(BigInt(subscriptionId), subscription);
+  }
+
+  /**
+   * Get the subscriptions an address pays or receives, oldest first
+   * @param address The subscriber's or author's address
+   * @returns The subscriptions, with their status
+   */
+  async getSubscriptions(address: string): Promise<Subscription[]> {
+    const subscriptions = this.getSubscriptionsContract();
+    const [senderIds, recipientIds]: bigint[][] = await Promise.all([
+      subscriptions.getSenderSubscriptionIds(address),
+      subscriptions.getRecipientSubscriptionIds(address)
+    ]);
+    // An address subscribed to itself is listed on both sides
+    const ids = [...new Set([...senderIds, ...recipientIds])].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return Promise.all(ids.map(async (id) => this.decodeSubscription(id, await subscriptions.getSubscription(id))));
+  }
+
+  private getSubscriptionsContract(runner: ethers.ContractRunner = this.provider): ethers.Contract {
+    if (!this.subscriptionsAddress) {
+      throw new Error('No PlebbitTippingV1Subscriptions contract configured, pass subscriptionsAddress to PlebbitTippingV1()');
+    }
+    return new ethers.Contract(this.subscriptionsAddress, PlebbitTippingV1SubscriptionsAbi, runner);
+  }
+
+  private decodeSubscription(id: bigint, subscription: any): Subscription {
+    const status: Subscription['status'] = subscription.canceled
+      ? 'canceled'
+      : subscription.balance < subscription.amount ? 'lapsed' : 'active';
+    return {
+      id,
+      sender: subscription.sender,
+      recipient: subscription.recipient,
+      amount: subscription.amount,
+      feeRecipient: subscription.feeRecipient,
+      period: subscription.period,
+      balance: subscription.balance,
+      nextPaymentAt: subscription.nextPaymentAt,
+      status,
+      ...(subscription.recipientCommentCid !== ethers.ZeroHash ? { recipientCommentCid: subscription.recipientCommentCid } : {})
+    };
+  }
+
+  /**
+   * Create a transaction that opens an all-or-nothing crowdfunding goal on one of the signer's comments, e.g. a
+   * proposal. Contributions are held in escrow and released to the signer as tips if the target is reached
+   * @param recipientCommentCid The CID of the signer's comment
+   * @param target Amount to raise in wei, at least the minimum tip amount
+   * @param feeRecipients Fee recipient addresses, the first one is paid the fee of each released contribution
+   * @param deadline Unix timestamp in seconds until which contributions are accepted, defaults to 30 days from now
+   * @param signer Signer of the comment author
+   * @returns Transaction object with send method
+   */
+  async createGoal({ recipientCommentCid, target, feeRecipients, deadline, ...signerOptions }: {
+    recipientCommentCid: string,
+    target: bigint,
+    feeRecipients: string[],
+    deadline?: bigint
+  } & SignerOptions): Promise<TipTransaction> {
+    const wallet = await this.getSigner(signerOptions);
+    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
+    await this.assertNotBlocked([await wallet.getAddress(), safeFeeRecipients[0]]);
+    const goals = this.getGoalsContract(wallet);
+    const recipientCidBytes = this.cidToBytes32(recipientCommentCid);
+    const actualDeadline = deadline ?? BigInt(Math.floor(Date.now() / 1000) + DEFAULT_GOAL_LIFETIME_SECONDS);
+    return this.createTransaction(() => goals.createGoal(recipientCidBytes, target, safeFeeRecipients[0], actualDeadline));
+  }
+
+  /**
+   * Get a comment's crowdfunding goal, with its progress and tips total. Cached like createComment,
+   * call updateTipsTotalAmount() on it to refresh both
+   * @param recipientCommentCid The CID of the comment with the goal
+   * @param recipient The comment author's address, who opened the goal
+   * @param feeRecipients Fee recipient addresses, for the tips total like createComment
+   * @returns Goal instance
+   */
+  async getGoal({ recipientCommentCid, recipient, feeRecipients }: {
+    recipientCommentCid: string,
+    recipient: string,
+    feeRecipients: string[]
+  }): Promise<Goal> {
+    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
+    const cacheKey = `goal:${safeFeeRecipients.sort().join(',')}:${recipientCommentCid}:${recipient.toLowerCase()}`;
+
+    if (!this.goals[cacheKey]) {
+      const [goalState, tipsTotalAmount] = await Promise.all([
+        this.getGoalState(recipientCommentCid, recipient),
+        this.getDebouncedTipsTotalAmount(safeFeeRecipients, recipientCommentCid)
+      ]);
+      this.goals[cacheKey] = new Goal(this, safeFeeRecipients, recipientCommentCid, tipsTotalAmount, recipient, goalState);
+      this.setupCacheExpiration(cacheKey, this.goals);
+    }
+
+    return this.goals[cacheKey];
+  }
+
+  /**
+   * Create a transaction that contributes to a comment's crowdfunding goal
+   * @param recipientCommentCid The CID of the comment with the goal
+   * @param recipient The comment author's address, who opened the goal
+   * @param amount Contribution in wei, if not provided uses the minimum tip amount
+   * @param signer Signer of the contributor
+   * @returns Transaction object with send method
+   */
+  async contributeToGoal({ recipientCommentCid, recipient, amount, ...signerOptions }: {
+    recipientCommentCid: string,
+    recipient: string,
+    amount?: bigint
+  } & SignerOptions): Promise<TipTransaction> {
+    await this.assertNotBlocked([recipient]);
+    const goals = this.getGoalsContract(await this.getSigner(signerOptions));
+    const recipientCidBytes = this.cidToBytes32(recipientCommentCid);
+
+    return this.createTransaction(async () => {
+      const minTipAmount = await this.getMinimumTipAmount();
+      if (amount && amount > 0n && amount < minTipAmount) {
+        throw new Error(`Contribution (${ethers.formatEther(amount)} ETH) is below minimum required (${ethers.formatEther(minTipAmount)} ETH)`);
+      }
+      return goals.contribute(recipientCidBytes, recipient, { value: amount && amount > 0n ? amount : minTipAmount });
+    });
+  }
+
+  /**
+   * Create a transaction that releases the contributions to the signer's goal once its target is reached, as tips
+   * from each contributor. Goals with more than `maxContributors` contributors need one transaction per page, until
+   * the goal's releasedContributorsCount reaches its contributorsCount. The goal must be released within the
+   * contract's RELEASE_WINDOW (30 days) after its deadline
+   * @param recipientCommentCid The CID of the comment with the goal
+   * @param maxContributors Contributors to release in this transaction, defaults to 50
+   * @param signer Signer of the comment author
+   * @returns Transaction object with send method
+   */
+  async releaseGoal({ recipientCommentCid, maxContributors = DEFAULT_GOAL_RELEASE_PAGE_SIZE, ...signerOptions }: {
+    recipientCommentCid: string,
+    maxContributors?: number
+  } & SignerOptions): Promise<TipTransaction> {
+    await this.assertNotPaused();
+    const goals = this.getGoalsContract(await this.getSigner(signerOptions));
+    const recipientCidBytes = this.cidToBytes32(recipientCommentCid);
+    return this.createTransaction(() => goals.releaseGoal(recipientCidBytes, maxContributors));
+  }
+
+  /**
+   * Create a transaction that refunds the signer's contribution to a goal that missed its target by the deadline,
+   * that couldn't be tipped when the goal was released, or that the author didn't release within the release window
+   * @param recipientCommentCid The CID of the comment with the goal
+   * @param recipient The comment author's address, who opened the goal
+   * @param signer Signer of the contributor
+   * @returns Transaction object with send method
+   */
+  async refundGoalContribution({ recipientCommentCid, recipient, ...signerOptions }: {
+    recipientCommentCid: string,
+    recipient: string
+  } & SignerOptions): Promise<TipTransaction> {
+    const goals = this.getGoalsContract(await this.getSigner(signerOptions));
+    const recipientCidBytes = this.cidToBytes32(recipientCommentCid);
+    return this.createTransaction(() => goals.refund(recipientCidBytes, recipient));
+  }
+
+  // Make these methods public so Goal instances can use them
+  public async getGoalState(recipientCommentCid: string, recipient: string): Promise<GoalState> {
+    const goal = await this.getGoalsContract().getGoal(this.cidToBytes32(recipientCommentCid), recipient);
+    return {
+      target: goal.target,
+      raised: goal.raised,
+      feeRecipient: goal.feeRecipient,
+      deadline: goal.deadline,
+      released: goal.released,
+      contributorsCount: Number(goal.contributorsCount),
+      releasedContributorsCount: Number(goal.releasedContributorsCount)
+    };
+  }
+
+  public async getGoalContribution(recipientCommentCid: string, recipient: string, contributor: string): Promise<bigint> {
+    const goalKey = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['bytes32', 'address'],
+      [this.cidToBytes32(recipientCommentCid), recipient]
+    ));
+    return await this.getGoalsContract().contributions(goalKey, contributor);
+  }
+
+  private getGoalsContract(runner: ethers.ContractRunner = this.provider): ethers.Contract {
+    if (!this.goalsAddress) {
+      throw new Error('No PlebbitTippingV1Goals contract configured, pass goalsAddress to PlebbitTippingV1()');
+    }
+    return new ethers.Contract(this.goalsAddress, PlebbitTippingV1GoalsAbi, runner);
+  }
+
+  /**
+   * Create a transaction that withdraws the wallet's pending balance (its credited tips and fees)
+   * @param signer Signer of the account to withdraw for
+   * @returns Transaction object with send method
+   */
+  async createWithdraw(signerOptions: SignerOptions): Promise<TipTransaction> {
+    const { contractWithSigner } = await this.createContractWithSigner(signerOptions);
+    return this.createTransaction(() => contractWithSigner.withdraw());
   }
 
-  async updateTipsTotalAmount(): Promise<void> {
-    const newAmount = await this.plebbitTippingInstance.getDebouncedTipsTotalAmount(
-      this.feeRecipients, 
-      this.recipientCommentCid
-    );
-    this.tipsTotalAmount = newAmount;
-    
-    // Also update the cached value in the main instance
-    const cacheKey = this.plebbitTippingInstance.createCacheKey(this.feeRecipients, this.recipientCommentCid);
-    if (this.plebbitTippingInstance.comments[cacheKey]) {
-      this.plebbitTippingInstance.comments[cacheKey].tipsTotalAmount = newAmount;
-    }
+  /**
+   * Get the ETH credited to an account by tips and fees that it hasn't withdrawn yet
+   * @param address The account address
+   * @returns Pending balance in wei
+   */
+  async getPendingBalance(address: string): Promise<bigint> {
+    return await this.contract.pendingBalances(address);
   }
-}
 
-// SenderComment instance class that extends Comment functionality
-class SenderComment extends Comment {
-  public senderCommentCid?: string;
-  public sender: string;
+  // EIP-712 domain of the contract, shared by tip intents and claim authorizations
+  private async getTipIntentDomain(): Promise<ethers.TypedDataDomain> {
+    const { chainId } = await this.provider.getNetwork();
+    return { name: "PlebbitTippingV1", version: "1", chainId, verifyingContract: this.contractAddress };
+  }
 
-  constructor(
-    plebbitTippingInstance: PlebbitTippingV1Instance,
-    feeRecipients: string[],
-    recipientCommentCid: string,
-    initialTipsTotalAmount: bigint,
-    sender: string,
-    senderCommentCid?: string
-  ) {
-    super(plebbitTippingInstance, feeRecipients, recipientCommentCid, initialTipsTotalAmount);
-    this.sender = sender;
-    this.senderCommentCid = senderCommentCid;
+  private async createContractWithSigner(signerOptions: SignerOptions) {
+    const wallet = await this.getSigner(signerOptions);
+    const walletAddress = await wallet.getAddress();
+    const contractWithSigner = new ethers.Contract(this.contractAddress, PlebbitTippingV1Abi, wallet);
+    return { wallet, walletAddress, contractWithSigner };
   }
 
-  async updateTipsTotalAmount(): Promise<void> {
-    await super.updateTipsTotalAmount();
-    
-    // Also update the cached value in sender comments
-    const cacheKey = this.plebbitTippingInstance.createSenderCacheKey(
-      this.feeRecipients, 
-      this.recipientCommentCid, 
-      this.senderCommentCid, 
-      this.sender
-    );
-    if (this.plebbitTippingInstance.senderComments[cacheKey]) {
-      this.plebbitTippingInstance.senderComments[cacheKey].tipsTotalAmount = this.tipsTotalAmount;
+  /**
+   * Get the signer of a transaction method, on the tipping contract's chain.
+   * A private key signs through our provider. An EIP-1193 wallet on another chain is asked to switch to ours,
+   * while an ethers Signer on another chain is rejected, since it can't be switched
+   * @param signerOptions The method's signer, or its deprecated privateKey
+   * @returns The signer to send the transaction with
+   */
+  private async getSigner({ signer, privateKey }: SignerOptions): Promise<ethers.Signer> {
+    const signerOption = signer ?? privateKey;
+    if (!signerOption) {
+      throw new Error('No signer given, pass signer (an ethers Signer, an EIP-1193 provider or a private key)');
+    }
+    if (typeof signerOption === 'string') {
+      return new ethers.Wallet(signerOption, this.provider);
+    }
+
+    const { chainId } = await this.provider.getNetwork();
+    if (typeof (signerOption as ethers.Signer).getAddress === 'function') {
+      // A signer without a provider, e.g. a Wallet created from a mnemonic, sends through ours
+      const ethersSigner = signerOption as ethers.Signer;
+      const connectedSigner = ethersSigner.provider ? ethersSigner : ethersSigner.connect(this.provider);
+      const signerChainId = (await connectedSigner.provider!.getNetwork()).chainId;
+      if (signerChainId !== chainId) {
+        throw new Error(`Signer is on chain ${signerChainId}, but the tipping contract is on chain ${chainId}`);
+      }
+      return connectedSigner;
     }
+    if (typeof (signerOption as Eip1193Provider).request === 'function') {
+      await this.switchWalletChain(signerOption as Eip1193Provider, chainId);
+      return await new ethers.BrowserProvider(signerOption as Eip1193Provider).getSigner();
+    }
+    throw new Error('Invalid signer, expected an ethers Signer, an EIP-1193 provider or a private key');
   }
-}
 
-class PlebbitTippingV1Instance {
-  private contract: ethers.Contract;
-  private contractAddress: string; // Store contract address separately
-  private provider: ethers.Provider; // Add private provider
-  private rpcUrls: string[];
-  private cache: { maxAge: number };
-  private defaultFeeRecipient: string = "0x4A09b1EfEf421055fEE00cd79894DF71F175853D";
-  
-  // Debouncing infrastructure
-  private debouncedBulkCalls: Map<string, NodeJS.Timeout> = new Map();
-  private pendingBulkRequests: Map<string, BulkRequest[]> = new Map();
-  
-  // Public cache access for testing - now stores Comment instances
-  public comments: Record<string, Comment> = {};
-  public senderComments: Record<string, SenderComment> = {};
-  
-  // Cache expiration
-  private cacheExpirationTimers: Map<string, NodeJS.Timeout> = new Map();
-  
-  // Mocking for testing
-  private mockBulkCallCount: number = 0;
+  /**
+   * Ask an EIP-1193 wallet on another chain to switch to the tipping contract's chain, adding the chain with the
+   * publicRpcUrls option and its native currency if the wallet doesn't know it (error 4902)
+   * @param wallet The EIP-1193 provider, e.g. window.ethereum
+   * @param chainId The tipping contract's chain id
+   */
+  private async switchWalletChain(wallet: Eip1193Provider, chainId: bigint): Promise<void> {
+    const walletChainId = BigInt(await wallet.request({ method: 'eth_chainId' }) as string);
+    if (walletChainId === chainId) return;
 
-  constructor(rpcUrls: string[], cache: { maxAge: number }, contractAddress: string) {
-    this.rpcUrls = rpcUrls;
-    this.cache = cache;
-    this.contractAddress = contractAddress; // Store the address
-    
-    // Handle undefined/empty rpcUrls with fallback to default provider
-    if (!rpcUrls || rpcUrls.length === 0 || !rpcUrls[0]) {
-      this.provider = ethers.getDefaultProvider();
-    } else {
-      this.provider = new ethers.JsonRpcProvider(rpcUrls[0]);
+    const hexChainId = ethers.toQuantity(chainId);
+    try {
+      await wallet.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId }] });
+    } catch (error: any) {
+      // Some wallets wrap the error code, e.g. MetaMask mobile
+      const code = error?.data?.originalError?.code ?? error?.code;
+      if (code !== 4902 || !this.publicRpcUrls[0]) {
+        throw new Error(`Wallet is on chain ${walletChainId}, but the tipping contract is on chain ${chainId}, switch networks and try again: ${error?.message ?? error}`);
+      }
+      const { name } = await this.provider.getNetwork();
+      await wallet.request({
+        method: 'wallet_addEthereumChain',
+        params: [{ chainId: hexChainId, chainName: name, rpcUrls: this.publicRpcUrls, nativeCurrency: this.nativeCurrency }]
+      });
+    }
+
+    // Wallets may resolve the request without switching, e.g. when the user dismisses it
+    const switchedChainId = BigInt(await wallet.request({ method: 'eth_chainId' }) as string);
+    if (switchedChainId !== chainId) {
+      throw new Error(`Wallet is on chain ${switchedChainId}, but the tipping contract is on chain ${chainId}, switch networks and try again`);
     }
-    
-    // Always create read-only contract for queries
-    this.contract = new ethers.Contract(contractAddress, PlebbitTippingV1Abi, this.provider);
   }
 
-  async createTip({ feeRecipients, recipientCommentCid, senderCommentCid, sender, privateKey, tipAmount }: { 
-    feeRecipients: string[], 
-    recipientCommentCid: string, 
-    senderCommentCid?: string, 
-    sender?: string,
-    privateKey: string,
-    tipAmount?: bigint
-  }): Promise<TipTransaction> {
-    // Ensure deployer address is always included as fee recipient
-    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
-    
-    // Prepare wallet and contract, but don't call the contract yet
-    const wallet = new ethers.Wallet(privateKey, this.provider);
-    const contractWithSigner = new ethers.Contract(this.contractAddress, PlebbitTippingV1Abi, wallet);
-    
-    // Convert CIDs to bytes32 format (without double hashing)
-    const recipientCidBytes = this.cidToBytes32(recipientCommentCid);
-    const senderCidBytes = senderCommentCid ? this.cidToBytes32(senderCommentCid) : ethers.ZeroHash;
-    
+  /**
+   * Wrap a contract call in a transaction object. Nothing is sent until send() is called,
+   * which submits the call, waits for it to be mined and records the outcome on the object.
+   * @param submit Function that submits the contract call
+   * @returns Transaction object with initially undefined values
+   */
+  private createTransaction(submit: () => Promise<ethers.ContractTransactionResponse>, onMined?: () => void): TipTransaction {
     // Create transaction object with initially undefined values
     const transaction: TipTransaction = {
       transactionHash: undefined,
@@ -145,49 +1365,25 @@ class PlebbitTippingV1Instance {
       
       async send(): Promise<TransactionResult> {
         try {
-          // Determine tip amount: use custom amount if provided, otherwise use minimum
-          let actualTipAmount: bigint;
-          if (tipAmount && tipAmount > 0n) {
-            // Validate that custom amount meets minimum requirement
-            const minTipAmount = await contractWithSigner.minimumTipAmount();
-            if (tipAmount < minTipAmount) {
-              throw new Error(`Custom tip amount (${ethers.formatEther(tipAmount)} ETH) is below minimum required (${ethers.formatEther(minTipAmount)} ETH)`);
-            }
-            actualTipAmount = tipAmount;
-            console.log('Using custom tip amount:', ethers.formatEther(actualTipAmount), 'ETH');
-          } else {
-            // Use minimum as default
-            const minTipAmount = await contractWithSigner.minimumTipAmount();
-            actualTipAmount = minTipAmount;
-            console.log('Using default tip amount (minimum):', ethers.formatEther(actualTipAmount), 'ETH');
-          }
-          
-          // Actually call the contract method now
-          const tipTx = await contractWithSigner.tip(
-            sender || wallet.address, // Use wallet address if sender not provided
-            actualTipAmount,
-            safeFeeRecipients[0],
-            senderCidBytes,
-            recipientCidBytes,
-            { from: sender || wallet.address, value: actualTipAmount } // Add value to the transaction
-          );
+          const tx = await submit();
           
           // Set transactionHash immediately after transaction is submitted
-          transaction.transactionHash = tipTx.hash;
+          transaction.transactionHash = tx.hash;
           
           try {
             // Wait for transaction to be mined
-            const receipt = await tipTx.wait();
+            const receipt = await tx.wait();
             transaction.receipt = receipt;
+            onMined?.();
             return {
-              transactionHash: tipTx.hash,
+              transactionHash: tx.hash,
               receipt,
               error: undefined,
             };
           } catch (receiptError) {
             transaction.error = receiptError as Error;
             return {
-              transactionHash: tipTx.hash,
+              transactionHash: tx.hash,
               receipt: undefined,
               error: receiptError as Error,
             };
@@ -206,21 +1402,22 @@ class PlebbitTippingV1Instance {
     return transaction;
   }
 
-  async createComment({ feeRecipients, recipientCommentCid }: { 
+  async createComment({ feeRecipients, recipientCommentCid, token }: { 
     feeRecipients: string[], 
-    recipientCommentCid: string 
+    recipientCommentCid: string,
+    token?: string
   }): Promise<Comment> {
     // Ensure deployer address is always included in fee recipients for read operations
     const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
     // Create comprehensive cache key
-    const cacheKey = this.createCacheKey(safeFeeRecipients, recipientCommentCid);
+    const cacheKey = this.createCacheKey(safeFeeRecipients, recipientCommentCid, token);
 
     if (!this.comments[cacheKey]) {
       // Use debounced bulk call for tips total amount
-      const tipsTotalAmount = await this.getDebouncedTipsTotalAmount(safeFeeRecipients, recipientCommentCid);
+      const tipsTotalAmount = await this.getDebouncedTipsTotalAmount(safeFeeRecipients, recipientCommentCid, token);
       
       // Create Comment instance
-      const commentInstance = new Comment(this, safeFeeRecipients, recipientCommentCid, tipsTotalAmount);
+      const commentInstance = new Comment(this, safeFeeRecipients, recipientCommentCid, tipsTotalAmount, token);
       this.comments[cacheKey] = commentInstance;
 
       // Set up cache expiration using cache.maxAge
@@ -257,22 +1454,24 @@ class PlebbitTippingV1Instance {
       this.senderComments[cacheKey] = senderCommentInstance;
 
       // Set up cache expiration using cache.maxAge
-      this.setupCacheExpiration(cacheKey, true);
+      this.setupCacheExpiration(cacheKey, this.senderComments);
     }
 
     return this.senderComments[cacheKey];
   }
 
   // Make these methods public so Comment instances can use them
-  public createCacheKey(feeRecipients: string[], recipientCommentCid: string): string {
-    return `comment:${feeRecipients.sort().join(',')}:${recipientCommentCid}`;
+  public createCacheKey(feeRecipients: string[], recipientCommentCid: string, token?: string): string {
+    // ETH keys keep their original format, token keys get the token address appended
+    const tokenSuffix = token ? `:${token.toLowerCase()}` : '';
+    return `comment:${feeRecipients.sort().join(',')}:${recipientCommentCid}${tokenSuffix}`;
   }
 
   public createSenderCacheKey(feeRecipients: string[], recipientCommentCid: string, senderCommentCid?: string, sender?: string): string {
     return `sender:${feeRecipients.sort().join(',')}:${recipientCommentCid}:${senderCommentCid || ''}:${sender || ''}`;
   }
 
-  private setupCacheExpiration(cacheKey: string, isSenderComment: boolean = false) {
+  private setupCacheExpiration(cacheKey: string, cachedObjects: Record<string, Comment> = this.comments) {
     // Clear existing timer if any
     if (this.cacheExpirationTimers.has(cacheKey)) {
       clearTimeout(this.cacheExpirationTimers.get(cacheKey)!);
@@ -280,11 +1479,7 @@ class PlebbitTippingV1Instance {
 
     // Set new expiration timer using cache.maxAge
     const timer = setTimeout(() => {
-      if (isSenderComment) {
-        delete this.senderComments[cacheKey];
-      } else {
-        delete this.comments[cacheKey];
-      }
+      delete cachedObjects[cacheKey];
       this.cacheExpirationTimers.delete(cacheKey);
     }, this.cache.maxAge);
 
@@ -292,11 +1487,14 @@ class PlebbitTippingV1Instance {
   }
 
   // Make this method public so Comment instances can use it
-  public async getDebouncedTipsTotalAmount(feeRecipients: string[], recipientCommentCid: string): Promise<bigint> {
-    const cacheKey = this.createCacheKey(feeRecipients, recipientCommentCid);
+  public async getDebouncedTipsTotalAmount(feeRecipients: string[], recipientCommentCid: string, token?: string): Promise<bigint> {
+    const cacheKey = this.createCacheKey(feeRecipients, recipientCommentCid, token);
     
     return new Promise((resolve, reject) => {
-      // Add request to pending bulk requests
+      // Convert here so an invalid CID only rejects its own read, not the whole batch
+      const cidBytes32 = this.cidToBytes32(recipientCommentCid);
+
+      // Reads of the same comment share one entry of the batch
       if (!this.pendingBulkRequests.has(cacheKey)) {
         this.pendingBulkRequests.set(cacheKey, []);
       }
@@ -304,87 +1502,454 @@ class PlebbitTippingV1Instance {
       this.pendingBulkRequests.get(cacheKey)!.push({
         feeRecipients,
         recipientCommentCid,
+        cidBytes32,
+        token,
         resolve,
         reject
       });
 
-      // Clear existing debounce timer
-      if (this.debouncedBulkCalls.has(cacheKey)) {
-        clearTimeout(this.debouncedBulkCalls.get(cacheKey)!);
+      // One window for all comments, opened by the first pending read. Later reads join it without
+      // pushing it back, so a feed loading comments one after another is still read every delay
+      if (!this.debouncedBulkCalls.has(TIPS_TOTAL_BATCH_KEY)) {
+        const timer = setTimeout(async () => {
+          await this.executeBulkCall();
+        }, this.batchOptions.delay);
+        this.debouncedBulkCalls.set(TIPS_TOTAL_BATCH_KEY, timer);
       }
-
-      // Set new debounce timer (100ms as specified)
-      const timer = setTimeout(async () => {
-        await this.executeBulkCall(cacheKey);
-      }, 100);
-
-      this.debouncedBulkCalls.set(cacheKey, timer);
     });
   }
 
-  private async executeBulkCall(cacheKey: string) {
-    const requests = this.pendingBulkRequests.get(cacheKey) || [];
-    if (requests.length === 0) return;
+  private async executeBulkCall() {
+    // Take the batch before calling the contract, later reads open a new window
+    const pendingComments = [...this.pendingBulkRequests.values()];
+    this.pendingBulkRequests.clear();
+    this.debouncedBulkCalls.delete(TIPS_TOTAL_BATCH_KEY);
+    if (pendingComments.length === 0) return;
+
+    // ETH and each token are read with their own contract methods
+    const commentsByToken = new Map<string, BulkRequest[][]>();
+    for (const requests of pendingComments) {
+      const tokenKey = requests[0].token ? requests[0].token.toLowerCase() : 'eth';
+      if (!commentsByToken.has(tokenKey)) {
+        commentsByToken.set(tokenKey, []);
+      }
+      commentsByToken.get(tokenKey)!.push(requests);
+    }
+
+    const { maxBatchSize } = this.batchOptions;
+    const chunks: BulkRequest[][][] = [];
+    for (const comments of commentsByToken.values()) {
+      for (let start = 0; start < comments.length; start += maxBatchSize) {
+        chunks.push(comments.slice(start, start + maxBatchSize));
+      }
+    }
+    await Promise.all(chunks.map(chunk => this.executeBulkChunk(chunk)));
+  }
 
+  /**
+   * Read the tips totals of up to maxBatchSize comments tipped with the same token in one contract call
+   * @param comments The pending reads of each comment
+   */
+  private async executeBulkChunk(comments: BulkRequest[][]) {
     try {
       // Increment mock counter for testing
       this.mockBulkCallCount++;
 
-      // Extract unique requests to avoid duplicates
-      const uniqueRequests = this.deduplicateRequests(requests);
-      
-      if (uniqueRequests.length === 1) {
-        // Single request - use individual call
-        const request = uniqueRequests[0];
-        const result = await this.getTipsTotalAmount(request.feeRecipients, request.recipientCommentCid);
-        request.resolve(result);
+      const entries = comments.map(requests => requests[0]);
+      const token = entries[0].token;
+      let results: bigint[];
+      if (entries.length === 1) {
+        // Single comment - use individual call
+        results = [await this.getTipsTotalAmount(entries[0].feeRecipients, entries[0].recipientCommentCid, token)];
       } else {
-        // Multiple requests - use bulk call
-        const recipientCommentCids = uniqueRequests.map(r => r.recipientCommentCid);
-        const feeRecipientsArray = uniqueRequests.map(r => r.feeRecipients);
-        
-        const results = await this.contract.getTipsTotalAmounts(recipientCommentCids, feeRecipientsArray);
-        
-        // Resolve each request with corresponding result
-        uniqueRequests.forEach((request, index) => {
-          request.resolve(results[index]);
-        });
+        const recipientCommentCids = entries.map(entry => entry.cidBytes32);
+        // Comments of the same feed usually share their fee recipients, which are then sent once
+        const feeRecipientsKey = entries[0].feeRecipients.join(',').toLowerCase();
+        if (entries.every(entry => entry.feeRecipients.join(',').toLowerCase() === feeRecipientsKey)) {
+          const feeRecipients = entries[0].feeRecipients;
+          results = token
+            ? await this.contract.getTokenTipsTotalAmountsSameFeeRecipients(token, recipientCommentCids, feeRecipients)
+            : await this.contract.getTipsTotalAmountsSameFeeRecipients(recipientCommentCids, feeRecipients);
+        } else {
+          const feeRecipientsArray = entries.map(entry => entry.feeRecipients);
+          results = token
+            ? await this.contract.getTokenTipsTotalAmounts(token, recipientCommentCids, feeRecipientsArray)
+            : await this.contract.getTipsTotalAmounts(recipientCommentCids, feeRecipientsArray);
+        }
       }
+
+      // Resolve every read of each comment with its total
+      comments.forEach((requests, index) => {
+        requests.forEach(request => request.resolve(results[index]));
+      });
     } catch (error) {
-      // Reject all pending requests on error
-      requests.forEach(request => request.reject(error));
-    } finally {
-      // Clean up
-      this.pendingBulkRequests.delete(cacheKey);
-      this.debouncedBulkCalls.delete(cacheKey);
+      // Reject the reads of this chunk, other chunks are independent
+      comments.forEach(requests => requests.forEach(request => request.reject(error)));
     }
   }
 
-  private deduplicateRequests(requests: BulkRequest[]): BulkRequest[] {
-    const seen = new Set<string>();
-    return requests.filter(request => {
-      const key = `${request.feeRecipients.join(',')}:${request.recipientCommentCid}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
+  /**
+   * Get the lifetime amounts authors received from tips, after fees. Calls made within the same
+   * debounce window are merged into one contract call.
+   * @param addresses Recipient addresses
+   * @param token Optional ERC-20 token address, returns ETH totals if omitted
+   * @returns Totals in the same order as addresses
+   */
+  async getRecipientTotals(addresses: string[], token?: string): Promise<bigint[]> {
+    return this.getDebouncedTotals('recipient', addresses, token);
+  }
+
+  /**
+   * Get the lifetime fees fee recipients (e.g. subplebbits) collected. Calls made within the same
+   * debounce window are merged into one contract call.
+   * @param addresses Fee recipient addresses
+   * @param token Optional ERC-20 token address, returns ETH totals if omitted
+   * @returns Totals in the same order as addresses
+   */
+  async getFeeRecipientTotals(addresses: string[], token?: string): Promise<bigint[]> {
+    return this.getDebouncedTotals('feeRecipient', addresses, token);
+  }
+
+  private getDebouncedTotals(kind: 'recipient' | 'feeRecipient', addresses: string[], token?: string): Promise<bigint[]> {
+    const batchKey = `${kind}Totals:${token ? token.toLowerCase() : 'eth'}`;
+
+    return new Promise((resolve, reject) => {
+      // Checksum here so an invalid address only rejects its own call, not the whole batch
+      const checksummedAddresses = addresses.map(address => ethers.getAddress(address));
+      if (!this.pendingTotalsRequests.has(batchKey)) {
+        this.pendingTotalsRequests.set(batchKey, []);
+      }
+      this.pendingTotalsRequests.get(batchKey)!.push({ addresses: checksummedAddresses, resolve, reject });
+
+      if (this.debouncedBulkCalls.has(batchKey)) {
+        clearTimeout(this.debouncedBulkCalls.get(batchKey)!);
+      }
+      const timer = setTimeout(async () => {
+        await this.executeTotalsCall(kind, batchKey, token);
+      }, this.batchOptions.delay);
+      this.debouncedBulkCalls.set(batchKey, timer);
     });
   }
 
-  private async getTipsTotalAmount(feeRecipients: string[], recipientCommentCid: string): Promise<bigint> {
+  private async executeTotalsCall(kind: 'recipient' | 'feeRecipient', batchKey: string, token?: string) {
+    // Take the batch before calling the contract, later requests start a new one
+    const requests = this.pendingTotalsRequests.get(batchKey) || [];
+    this.pendingTotalsRequests.delete(batchKey);
+    this.debouncedBulkCalls.delete(batchKey);
+    if (requests.length === 0) return;
+
+    try {
+      this.mockBulkCallCount++;
+
+      // One entry per distinct address across all requests
+      const uniqueAddresses = [...new Set(requests.flatMap(request => request.addresses))];
+      const tokenAddress = token || ethers.ZeroAddress;
+      const totals: bigint[] = kind === 'recipient'
+        ? await this.contract.getRecipientTotalAmounts(tokenAddress, uniqueAddresses)
+        : await this.contract.getFeeRecipientTotalAmounts(tokenAddress, uniqueAddresses);
+
+      const totalsByAddress = new Map(uniqueAddresses.map((address, index) => [address, totals[index]]));
+      requests.forEach(request => {
+        request.resolve(request.addresses.map(address => totalsByAddress.get(address)!));
+      });
+    } catch (error) {
+      requests.forEach(request => request.reject(error));
+    }
+  }
+
+  /**
+   * Get a page of the tips on a comment. Tips of every fee recipient are ordered together, by the
+   * time they were sent, so 'newest' starts from the latest tip on the comment.
+   * @param feeRecipients Fee recipient addresses, the deployer address is always added
+   * @param recipientCommentCid The comment CID
+   * @param options Offset, limit and order of the page
+   * @param token Optional ERC-20 token address, lists ETH tips if omitted
+   * @returns Decoded tips
+   */
+  public async getTips(feeRecipients: string[], recipientCommentCid: string, options: TipsPageOptions = {}, token?: string): Promise<Tip[]> {
+    const { offset = 0, limit = 10, order = 'newest' } = options;
+    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
+    const cidBytes32 = this.cidToBytes32(recipientCommentCid);
+    const newestFirst = order === 'newest';
+
+    // The contract orders tips by fee recipient, and each fee recipient's tips in the order they were
+    // sent, so the page is within the first offset + limit tips of each fee recipient
+    const pages: any[][] = await Promise.all(safeFeeRecipients.map(feeRecipient => {
+      if (token) {
+        return this.contract.getTokenTips(token, cidBytes32, [feeRecipient], 0, offset + limit, newestFirst);
+      }
+      return newestFirst
+        ? this.contract.getTipsNewestFirst(cidBytes32, [feeRecipient], 0, offset + limit)
+        : this.contract.getTips(cidBytes32, [feeRecipient], 0, offset + limit);
+    }));
+    const tips = pages.flat().map((tip: any) => this.decodeTip(tip)).sort((a, b) => this.compareTips(a, b));
+    if (newestFirst) {
+      tips.reverse();
+    }
+    return tips.slice(offset, offset + limit);
+  }
+
+  /**
+   * Get the number of tips on a comment
+   * @param feeRecipients Fee recipient addresses, the deployer address is always added
+   * @param recipientCommentCid The comment CID
+   * @param token Optional ERC-20 token address, counts ETH tips if omitted
+   * @returns Number of tips
+   */
+  public async getTipsCount(feeRecipients: string[], recipientCommentCid: string, token?: string): Promise<number> {
+    const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
+    const cidBytes32 = this.cidToBytes32(recipientCommentCid);
+    const count: bigint = token
+      ? await this.contract.getTokenTipsCount(token, cidBytes32, safeFeeRecipients)
+      : await this.contract.getTipsCount(cidBytes32, safeFeeRecipients);
+    return Number(count);
+  }
+
+  /**
+   * Get the tips a wallet has sent, across all comments, communities and tokens
+   * @param address The sender address
+   * @param options Offset, limit and order of the page, newest first by default
+   * @returns Decoded tips with the comment and token they were sent to
+   */
+  async getSenderTips(address: string, options: TipsPageOptions = {}): Promise<SenderTip[]> {
+    const { offset = 0, limit = 10, order = 'newest' } = options;
+    const entries = await this.contract.getSenderTips(address, offset, limit, order === 'newest');
+    return entries.map((entry: any) => ({
+      ...this.decodeTip(entry.tip),
+      recipientCommentCid: entry.recipientCommentCid,
+      token: entry.token,
+    }));
+  }
+
+  /**
+   * Get the number of tips a wallet has sent
+   * @param address The sender address
+   * @returns Number of tips
+   */
+  async getSenderTipsCount(address: string): Promise<number> {
+    return Number(await this.contract.getSenderTipsCount(address));
+  }
+
+  // Convert a TipData struct returned by the contract to a plain object
+  private decodeTip(tip: any): Tip {
+    return {
+      sender: tip.sender,
+      recipient: tip.recipient,
+      amount: tip.amount,
+      feeRecipient: tip.feeRecipient,
+      senderCommentCid: tip.senderCommentCid,
+      timestamp: tip.timestamp,
+      sequence: tip.sequence,
+    };
+  }
+
+  // Order tips the way they were sent, tips in the same block by their sequence
+  private compareTips(a: Tip, b: Tip): number {
+    if (a.timestamp !== b.timestamp) {
+      return a.timestamp < b.timestamp ? -1 : 1;
+    }
+    return a.sequence === b.sequence ? 0 : a.sequence < b.sequence ? -1 : 1;
+  }
+
+  private async getTipsTotalAmount(feeRecipients: string[], recipientCommentCid: string, token?: string): Promise<bigint> {
     // Ensure deployer address is always included in fee recipients for read operations
     const safeFeeRecipients = this.ensureDeployerAddressIncluded(feeRecipients);
     // Convert CID to bytes32 format (without double hashing)
     const cidBytes32 = this.cidToBytes32(recipientCommentCid);
-    const totalAmount = await this.contract.getTipsTotalAmount(cidBytes32, safeFeeRecipients);
+    const totalAmount = token
+      ? await this.contract.getTokenTipsTotalAmount(token, cidBytes32, safeFeeRecipients)
+      : await this.contract.getTipsTotalAmount(cidBytes32, safeFeeRecipients);
     return totalAmount;
   }
 
-  async getFeePercent() {
-    return await this.contract.feePercent();
+  /**
+   * Get the health of each RPC endpoint of rpcUrls, e.g. to show which ones are failing
+   * @returns Requests, errors and average latency per endpoint, in rpcUrls order (empty with the default provider)
+   */
+  getRpcStats(): RpcEndpointStats[] {
+    return this.failoverProvider?.getStats() ?? [];
+  }
+
+  /**
+   * Check whether the contract admin has paused tipping. Withdrawals and escrow refunds still work while paused.
+   * @returns True if tips are currently rejected
+   */
+  async isPaused(): Promise<boolean> {
+    return await this.contract.paused();
+  }
+
+  // Fail before the user signs anything when the contract would reject the tip
+  private async assertNotPaused(): Promise<void> {
+    if (await this.isPaused()) {
+      throw new Error('Tipping is paused on the PlebbitTippingV1 contract, try again later');
+    }
+  }
+
+  /**
+   * Check whether moderators blocked addresses from receiving tips and fees, e.g. scams or phishing clones of authors
+   * @param addresses Addresses to check, e.g. the authors of the comments shown
+   * @returns Whether each address is blocked, in the same order
+   */
+  async isBlocked(addresses: string[]): Promise<boolean[]> {
+    if (addresses.length === 0) return [];
+    return [...await this.contract.isBlocked(addresses)];
+  }
+
+  // Fail before the user signs anything when the contract would refuse the recipient or fee recipient
+  private async assertNotBlocked(addresses: string[]): Promise<void> {
+    const blocked = await this.isBlocked(addresses);
+    const blockedAddresses = [...new Set(addresses.filter((_, i) => blocked[i]))];
+    if (blockedAddresses.length > 0) {
+      throw new Error(`Can't tip ${blockedAddresses.join(', ')}, blocked by the PlebbitTippingV1 moderators`);
+    }
+  }
+
+  /**
+   * Get the fee taken from tips, in basis points (1 = 0.01%). A fee recipient (e.g. a subplebbit) can set its
+   * own fee with createSetCommunityFee, so pass the fee recipient of the tip to get the fee it will actually pay.
+   * @param feeRecipient Optional fee recipient address, returns the global fee if omitted
+   * @returns Fee in basis points
+   */
+  async getFeeBasisPoints(feeRecipient?: string): Promise<bigint> {
+    if (feeRecipient) {
+      const address = ethers.getAddress(feeRecipient);
+      return this.getCachedParameter(`feeBasisPoints:${address}`, () => this.contract.getFeeBasisPoints(address));
+    }
+    return this.getCachedParameter('feeBasisPoints', () => this.contract.feeBasisPoints());
+  }
+
+  /**
+   * Get the fee taken from tips as a percentage, for display. Use previewTip to compute amounts.
+   * @param feeRecipient Optional fee recipient address, returns the global fee if omitted
+   * @returns Fee percentage, e.g. 1.25
+   */
+  async getFeePercent(feeRecipient?: string): Promise<number> {
+    return Number(await this.getFeeBasisPoints(feeRecipient)) / 100;
+  }
+
+  /**
+   * Preview how a tip would be split, with the contract's own rounding, so UIs can show
+   * "author receives X, community receives Y" before the user signs anything
+   * @param feeRecipients Fee recipient addresses, the first one is paid like in createTip
+   * @param tipAmount Optional tip amount, defaults to the minimum tip amount like createTip
+   * @param token Optional ERC-20 token address, previews an ETH tip if omitted
+   * @returns The fee, the recipient payout and the minimum tip amount
+   */
+  async previewTip({ feeRecipients, tipAmount, token }: {
+    feeRecipients: string[],
+    tipAmount?: bigint,
+    token?: string
+  }): Promise<TipPreview> {
+    const feeRecipient = this.ensureDeployerAddressIncluded(feeRecipients)[0];
+    const minimumTipAmount: bigint = token
+      ? await this.getMinimumTokenTipAmount(token)
+      : await this.getMinimumTipAmount();
+    const amount = tipAmount && tipAmount > 0n ? tipAmount : minimumTipAmount;
+
+    const [[fee, recipientAmount], feeBasisPoints] = await Promise.all([
+      this.contract.previewTip(amount, feeRecipient),
+      this.getFeeBasisPoints(feeRecipient)
+    ]);
+    return { tipAmount: amount, feeRecipient, feeBasisPoints, fee, recipientAmount, minimumTipAmount };
+  }
+
+  /**
+   * Create a transaction that sets the fee charged on tips paying the signer as fee recipient
+   * @param feeBasisPoints The new fee in basis points (between 1 and 2000), or 0 to fall back to the global fee
+   * @param signer Signer of the fee recipient
+   * @returns Transaction object with send method
+   */
+  async createSetCommunityFee({ feeBasisPoints, ...signerOptions }: {
+    feeBasisPoints: number | bigint
+  } & SignerOptions): Promise<TipTransaction> {
+    const { walletAddress, contractWithSigner } = await this.createContractWithSigner(signerOptions);
+    return this.createTransaction(
+      () => contractWithSigner.setCommunityFeeBasisPoints(feeBasisPoints),
+      () => this.parameterCache.delete(`feeBasisPoints:${walletAddress}`)
+    );
+  }
+
+  async getMinimumTipAmount(): Promise<bigint> {
+    return this.getCachedParameter('minimumTipAmount', () => this.contract.minimumTipAmount());
+  }
+
+  async getMinimumTokenTipAmount(token: string): Promise<bigint> {
+    const address = ethers.getAddress(token);
+    return this.getCachedParameter(`minimumTokenTipAmount:${address}`, () => this.contract.minimumTokenTipAmounts(address));
+  }
+
+  /**
+   * Get the changes of the minimum tip amount, the fee and the parameter change delay that moderators scheduled
+   * and that haven't taken effect yet, e.g. to warn users of an upcoming fee increase
+   * @returns The pending changes, the soonest first
+   */
+  async getPendingParameterChanges(): Promise<PendingParameterChange[]> {
+    const changes = await this.contract.getPendingParameterChanges();
+    return changes
+      .map((change: any) => ({
+        id: change.id,
+        parameter: PARAMETERS[Number(change.parameter)],
+        value: change.value,
+        executableAt: change.executableAt
+      }))
+      .sort((a: PendingParameterChange, b: PendingParameterChange) =>
+        a.executableAt === b.executableAt ? Number(a.id - b.id) : a.executableAt < b.executableAt ? -1 : 1);
+  }
+
+  /**
+   * Watch the contract for parameter and role changes. Every change clears the cached minimum tip amounts
+   * and fees, so the next read gets the new values instead of waiting for cache.maxAge. Parameter changes
+   * scheduled or canceled by the moderators are reported too, see getPendingParameterChanges.
+   * @param onChange Optional callback called with each change
+   * @returns Function that stops watching
+   */
+  watchParameters(onChange?: (change: ParameterChange) => void): () => void {
+    const contractInterface = this.contract.interface;
+    const filter = {
+      address: this.contractAddress,
+      topics: [PARAMETER_EVENTS.map((name) => contractInterface.getEvent(name)!.topicHash)]
+    };
+    const listener = (log: ethers.Log) => {
+      const parsed = contractInterface.parseLog(log);
+      if (!parsed) return;
+      this.parameterCache.clear();
+      onChange?.({
+        event: parsed.name,
+        args: parsed.args.toObject(),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+      });
+    };
+    this.provider.on(filter, listener);
+    return () => {
+      this.provider.off(filter, listener);
+    };
+  }
+
+  /**
+   * Stop the watcher started by the watchParameters option and clear the cache expiration timers, e.g. when
+   * the app closes
+   */
+  destroy(): void {
+    this.stopWatchingParameters?.();
+    this.stopWatchingParameters = undefined;
+    this.parameterCache.clear();
+    this.cacheExpirationTimers.forEach(timer => clearTimeout(timer));
+    this.cacheExpirationTimers.clear();
   }
 
-  async getMinimumTipAmount() {
-    return await this.contract.minimumTipAmount();
+  // Share one read per parameter until it expires, failed reads are not kept
+  private getCachedParameter(key: string, read: () => Promise<bigint>): Promise<bigint> {
+    const cached = this.parameterCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+    const entry = { value: read(), expiresAt: Date.now() + this.cache.maxAge };
+    this.parameterCache.set(key, entry);
+    entry.value.catch(() => {
+      if (this.parameterCache.get(key) === entry) this.parameterCache.delete(key);
+    });
+    return entry.value;
   }
 
   /**
@@ -392,7 +1957,7 @@ class PlebbitTippingV1Instance {
    */
   private async getLogsInChunks(
     address: string,
-    topics: (string | null)[],
+    topics: (string | string[] | null)[],
     fromBlock: number,
     toBlock: number | string,
     chunkSize: number = 500 // Conservative chunk size
@@ -422,7 +1987,7 @@ class PlebbitTippingV1Instance {
   }
 
   /**
-   * Get tipping activity for a wallet address (both sent and received tips)
+   * Get tipping activity for a wallet address (both sent and received tips, ETH and ERC-20)
    * @param walletAddress The wallet address to get activity for
    * @param options Optional parameters for filtering
    * @returns Array of tip activities with transaction details
@@ -443,6 +2008,7 @@ class PlebbitTippingV1Instance {
     feeRecipient: string;
     recipientCommentCid: string;
     senderCommentCid: string;
+    token: string;
   }>> {
     try {
       // Default options - use smaller range to avoid RPC limits
@@ -456,14 +2022,17 @@ class PlebbitTippingV1Instance {
 
       console.log(`Fetching tips activity for ${walletAddress} from block ${fromBlock} to ${toBlock}`);
 
-      // Get tip event signature
-      const tipEventTopic = ethers.id("Tip(address,address,uint256,address,bytes32,bytes32)");
+      // Get tip event signatures, token tips emit TokenTip with the same sender and recipient topics
+      const tipEventTopics = [
+        ethers.id("Tip(address,address,uint256,address,bytes32,bytes32)"),
+        ethers.id("TokenTip(address,address,address,uint256,address,bytes32,bytes32)")
+      ];
       
       // Get logs in chunks to avoid RPC limits
       const sentLogsPromise = this.getLogsInChunks(
         this.contractAddress,
         [
-          tipEventTopic,
+          tipEventTopics,
           ethers.zeroPadValue(walletAddress, 32) // sender is indexed (topic[1])
         ],
         fromBlock,
@@ -474,7 +2043,7 @@ class PlebbitTippingV1Instance {
       const receivedLogsPromise = this.getLogsInChunks(
         this.contractAddress,
         [
-          tipEventTopic,
+          tipEventTopics,
           null, // sender can be anyone
           ethers.zeroPadValue(walletAddress, 32) // recipient is indexed (topic[2])
         ],
@@ -509,6 +2078,7 @@ class PlebbitTippingV1Instance {
             feeRecipient: parsed.args.feeRecipient,
             recipientCommentCid: parsed.args.recipientCommentCid,
             senderCommentCid: parsed.args.senderCommentCid,
+            token: parsed.name === 'TokenTip' ? parsed.args.token : ethers.ZeroAddress,
           });
         } catch (parseError) {
           console.error('Failed to parse sent tip log:', parseError);
@@ -535,6 +2105,7 @@ class PlebbitTippingV1Instance {
             feeRecipient: parsed.args.feeRecipient,
             recipientCommentCid: parsed.args.recipientCommentCid,
             senderCommentCid: parsed.args.senderCommentCid,
+            token: parsed.name === 'TokenTip' ? parsed.args.token : ethers.ZeroAddress,
           });
         } catch (parseError) {
           console.error('Failed to parse received tip log:', parseError);
@@ -575,6 +2146,41 @@ class PlebbitTippingV1Instance {
     return ethers.hexlify(cidBytes);
   }
 
+  /**
+   * Get the address to tip for a plebbit comment, from its author's eth wallet. The wallet must carry a signature
+   * of the author's plebbit address by the wallet's key, so a comment can't redirect tips to an impostor's wallet.
+   * The comment itself must come from plebbit-js, which verifies that the author signed it, wallets included
+   * @param comment The plebbit comment, with `author.address` and `author.wallets.eth`
+   * @returns The verified wallet address
+   */
+  resolveRecipient(comment: AuthorComment): string {
+    const author = comment?.author;
+    const wallet = author?.wallets?.eth;
+    if (!author?.address || !wallet?.address) {
+      throw new Error(`Author ${author?.address} has no eth wallet, tip it with createEscrowTip() instead`);
+    }
+    if (wallet.signature?.type !== 'eip191') {
+      throw new Error(`Unsupported wallet signature type '${wallet.signature?.type}' for author ${author.address}, expected 'eip191'`);
+    }
+
+    // Same message and key order as plebbit-js signs
+    const message = JSON.stringify({
+      domainSeparator: AUTHOR_WALLET_DOMAIN_SEPARATOR,
+      authorAddress: author.address,
+      timestamp: wallet.timestamp
+    });
+    let signer: string;
+    try {
+      signer = ethers.verifyMessage(message, wallet.signature.signature);
+    } catch (error) {
+      throw new Error(`Invalid wallet signature for author ${author.address}: ${(error as Error).message}`);
+    }
+    if (signer.toLowerCase() !== wallet.address.toLowerCase()) {
+      throw new Error(`Invalid wallet signature for author ${author.address}: signed by ${signer}, not by the wallet ${wallet.address}`);
+    }
+    return ethers.getAddress(wallet.address);
+  }
+
   private getFeeRecipient(comment: any): string {
     return comment.tipping?.eth?.feeRecipientAddress || this.defaultFeeRecipient;
   }
@@ -611,25 +2217,55 @@ class PlebbitTippingV1Instance {
   }
 }
 
-// Default contract addresses for different networks
-const DEFAULT_CONTRACT_ADDRESSES: Record<string, string> = {
-  "http://127.0.0.1:8545": "0x49753cB4ff375e04D2BC2A64971F60cD1a091381", // localhost - deterministic deployment
-  "https://sepolia.infura.io": "0x49753cB4ff375e04D2BC2A64971F60cD1a091381", // sepolia
-  "https://polygon-amoy.g.alchemy.com": "0x49753cB4ff375e04D2BC2A64971F60cD1a091381", // amoy
-  "https://base-sepolia.g.alchemy.com": "0x49753cB4ff375e04D2BC2A64971F60cD1a091381", // base sepolia
-};
+// Known deployments by chain id, exported from the hardhat-deploy output by contracts/scripts/export-deployments.js
+const DEPLOYMENTS: Record<string, Deployment> = DeploymentsJson;
 
 // Factory function matching the requirements
-export async function PlebbitTippingV1({ rpcUrls, cache }: { 
+export async function PlebbitTippingV1({ rpcUrls, publicRpcUrls, cache, contractAddress, chainId, bountiesAddress, subscriptionsAddress, goalsAddress, rpcOptions, batchOptions, watchParameters, nativeCurrency }: { 
   rpcUrls: string[], 
-  cache: { maxAge: number }
+  publicRpcUrls?: string[], // Keyless RPC URLs given to browser wallets that don't know the chain, never rpcUrls
+  nativeCurrency?: NativeCurrency, // Given to browser wallets with publicRpcUrls, overrides the known one of the chain
+  cache: { maxAge: number },
+  batchOptions?: BatchOptions, // Batching of the tips total reads of comments
+  watchParameters?: boolean, // Refresh cached parameters as soon as the contract changes them, until destroy()
+  contractAddress?: string, // PlebbitTippingV1 deployment, overrides the known deployment of the chain
+  chainId?: bigint | number, // Chain id of rpcUrls, skips detecting it
+  rpcOptions?: RpcOptions, // Failover and quorum settings for rpcUrls
+  bountiesAddress?: string, // PlebbitTippingV1Bounties deployment, needed for the bounty methods
+  subscriptionsAddress?: string, // PlebbitTippingV1Subscriptions deployment, needed for the subscription methods
+  goalsAddress?: string // PlebbitTippingV1Goals deployment, needed for the crowdfunding goal methods
 }) {
-  // Use first RPC URL to determine contract address
-  const contractAddress = DEFAULT_CONTRACT_ADDRESSES[rpcUrls[0]] || DEFAULT_CONTRACT_ADDRESSES["http://127.0.0.1:8545"];
-  
-  return new PlebbitTippingV1Instance(rpcUrls, cache, contractAddress);
+  // Handle undefined/empty rpcUrls with fallback to default provider
+  const provider = !rpcUrls || rpcUrls.length === 0 || !rpcUrls[0]
+    ? ethers.getDefaultProvider(chainId)
+    : new FailoverProvider(rpcUrls, rpcOptions, chainId);
+
+  // Look up the chain's deployment, the explicit addresses taking precedence
+  const network = await provider.getNetwork();
+  const deployment: Partial<Deployment> = DEPLOYMENTS[network.chainId.toString()] ?? {};
+  const resolvedContractAddress = contractAddress ?? deployment.contractAddress;
+  if (!resolvedContractAddress) {
+    throw new Error(`No known PlebbitTippingV1 deployment on chain ${network.chainId}, pass contractAddress to PlebbitTippingV1()`);
+  }
+  // Without this check, a wrong address or chain only shows up as undecodable results on the first read
+  if (await provider.getCode(resolvedContractAddress) === '0x') {
+    throw new Error(`No contract deployed at ${resolvedContractAddress} on chain ${network.chainId}, check rpcUrls and contractAddress`);
+  }
+
+  return new PlebbitTippingV1Instance(
+    provider,
+    publicRpcUrls ?? [],
+    cache,
+    resolvedContractAddress,
+    bountiesAddress ?? deployment.bountiesAddress,
+    subscriptionsAddress ?? deployment.subscriptionsAddress,
+    goalsAddress ?? deployment.goalsAddress,
+    batchOptions,
+    watchParameters,
+    nativeCurrency ?? deployment.nativeCurrency
+  );
 }
 
 // Export the classes for external use
-export { Comment, SenderComment };
+export { Comment, SenderComment, Goal };
 
@@ -1,9 +1,206 @@
+import type { Signer } from "ethers";
+
 export interface TipOptions {
   feeRecipients: string[];
   recipientCommentCid: string;
   senderCommentCid?: string;
-  sender?: string;
+  recipient?: string; // The comment author's address
+  comment?: AuthorComment; // Plebbit comment, the recipient is resolved from its author's verified eth wallet
+  sender?: string; // Deprecated, use recipient
   tipAmount?: bigint; // Custom tip amount in wei, if not provided uses 2x minimum
+  token?: string; // ERC-20 token address, if not provided tips in ETH
+}
+
+// Wallet published by a plebbit author, with a signature proving it belongs to the author's plebbit address
+export interface AuthorWallet {
+  address: string;
+  timestamp: number; // Unix timestamp in seconds of the signature
+  signature: {
+    signature: string;
+    type: string; // 'eip191', signed with the wallet's key
+  };
+}
+
+// The fields of a plebbit comment needed to resolve who to tip
+export interface AuthorComment {
+  cid?: string;
+  author: {
+    address: string; // Plebbit address of the author
+    wallets?: Record<string, AuthorWallet>;
+  };
+}
+
+export interface BatchTipEntry {
+  recipient: string;
+  feeRecipients: string[];
+  recipientCommentCid: string;
+  senderCommentCid?: string;
+  tipAmount?: bigint; // Custom tip amount in wei, if not provided uses the minimum
+}
+
+export interface Tip {
+  sender: string;
+  recipient: string;
+  amount: bigint; // In wei, or token units for token tips
+  feeRecipient: string;
+  senderCommentCid: string; // bytes32 hash of the sender comment CID, zero hash if none
+  timestamp: bigint; // Unix timestamp in seconds of the block the tip was sent in
+  sequence: bigint; // Position among all stored tips, orders tips sent in the same block, 0 for tips stored before it existed
+}
+
+export interface SenderTip extends Tip {
+  recipientCommentCid: string; // bytes32 hash of the recipient comment CID
+  token: string; // ERC-20 token address, zero address for ETH tips
+}
+
+export interface TipsPageOptions {
+  offset?: number; // Number of tips to skip, defaults to 0
+  limit?: number; // Maximum number of tips to return, defaults to 10
+  order?: 'newest' | 'oldest'; // Defaults to 'newest'
+}
+
+export interface TipIntent {
+  sender: string;
+  token: string;
+  recipient: string;
+  amount: bigint;
+  feeRecipient: string;
+  senderCommentCid: string; // bytes32 hash of the sender comment CID, zero hash if none
+  recipientCommentCid: string; // bytes32 hash of the recipient comment CID
+  nonce: bigint;
+  deadline: bigint; // Unix timestamp in seconds after which the intent can't be relayed
+}
+
+export interface SignedTipIntent {
+  intent: TipIntent;
+  signature: string;
+}
+
+export interface EscrowedTip {
+  index: number; // Index of the tip in the comment's escrow, used to refund it
+  sender: string;
+  amount: bigint;
+  feeRecipient: string;
+  senderCommentCid: string; // bytes32 hash of the sender comment CID, zero hash if none
+  timestamp: bigint; // Unix timestamp in seconds when the tip was escrowed
+  refundableAt: bigint; // Unix timestamp in seconds after which the sender can refund the tip
+}
+
+export interface Bounty {
+  id: bigint;
+  commentCid: string; // bytes32 hash of the question comment CID
+  funder: string; // Address that funded the bounty, the only one that can award or reclaim it
+  amount: bigint;
+  feeRecipient: string;
+  expiresAt: bigint; // Unix timestamp in seconds after which the funder can reclaim the bounty
+  status: 'open' | 'awarded' | 'reclaimed';
+  recipient?: string; // Author of the awarded reply
+  replyCid?: string; // bytes32 hash of the awarded reply CID
+}
+
+export interface GoalState {
+  target: bigint;
+  raised: bigint; // Contributed so far, refunds included
+  feeRecipient: string;
+  deadline: bigint; // Unix timestamp in seconds until which contributions are accepted
+  released: boolean; // The author started releasing the contributions
+  contributorsCount: number;
+  releasedContributorsCount: number;
+}
+
+export interface Subscription {
+  id: bigint;
+  sender: string; // Address paying the subscription, the only one that can fund or cancel it
+  recipient: string;
+  amount: bigint; // Tipped every period
+  feeRecipient: string;
+  period: bigint; // Seconds between two payments
+  balance: bigint; // Pre-funded ETH not paid yet
+  nextPaymentAt: bigint; // Unix timestamp in seconds from which the next payment can be triggered
+  status: 'active' | 'lapsed' | 'canceled'; // Lapsed when the balance can't cover the next payment
+  recipientCommentCid?: string; // bytes32 hash of the comment CID the payments are recorded on
+}
+
+export interface ClaimAuthorization {
+  recipientCommentCid: string;
+  recipient: string;
+  deadline: bigint; // Unix timestamp in seconds after which the authorization can't be used
+  signature: string;
+}
+
+export interface TipPreview {
+  tipAmount: bigint;
+  feeRecipient: string; // Fee recipient the tip would pay
+  feeBasisPoints: bigint; // Fee applied for that fee recipient (1 = 0.01%)
+  fee: bigint; // Amount the fee recipient (community) receives
+  recipientAmount: bigint; // Amount the tip recipient (author) receives
+  minimumTipAmount: bigint; // Smallest tip the contract accepts, in wei or token units
+}
+
+export interface ParameterChange {
+  event: string; // Contract event name, e.g. MinimumTipAmountChanged or RoleGranted
+  args: Record<string, any>; // Event arguments by name
+  blockNumber: number;
+  transactionHash: string;
+}
+
+export interface PendingParameterChange {
+  id: bigint; // Id of the change in the contract
+  parameter: 'minimumTipAmount' | 'feeBasisPoints' | 'parameterChangeDelay';
+  value: bigint; // New value, in wei, basis points or seconds
+  executableAt: bigint; // Unix timestamp in seconds from which the change can take effect
+}
+
+// Injected browser wallet, e.g. window.ethereum
+export interface Eip1193Provider {
+  request(args: { method: string; params?: unknown[] | Record<string, unknown> }): Promise<unknown>;
+}
+
+// Who signs a transaction: an ethers Signer, an EIP-1193 provider or a private key
+export type TipSigner = Signer | Eip1193Provider | string;
+
+// Signer option shared by every method that creates a transaction or signs a message
+export interface SignerOptions {
+  signer?: TipSigner;
+  privateKey?: string; // Deprecated, use signer
+}
+
+// Native currency of a chain, as wallets add it with wallet_addEthereumChain
+export interface NativeCurrency {
+  name: string;
+  symbol: string;
+  decimals: number;
+}
+
+// Addresses of the contracts deployed on a chain
+export interface Deployment {
+  contractAddress: string; // PlebbitTippingV1 proxy
+  bountiesAddress?: string;
+  subscriptionsAddress?: string;
+  goalsAddress?: string;
+  nativeCurrency?: NativeCurrency; // Defaults to ETH
+}
+
+export interface BatchOptions {
+  maxBatchSize?: number; // Comments read per contract call, bigger batches are split, defaults to 100
+  delay?: number; // Milliseconds reads wait for other reads to be batched with, defaults to 100
+}
+
+export interface RpcOptions {
+  quorum?: number; // Endpoints that must return the same result for contract reads, defaults to 1
+  timeout?: number; // Milliseconds after which a request to an endpoint fails over to the next one, defaults to 10000
+  retries?: number; // Times every endpoint is tried again after all of them failed, defaults to 2
+  retryDelay?: number; // Milliseconds before the first retry, doubled for each next one, defaults to 250
+}
+
+export interface RpcEndpointStats {
+  url: string;
+  requests: number;
+  errors: number; // Failed requests: network errors, timeouts, HTTP errors and rate limiting
+  consecutiveErrors: number;
+  averageLatency?: number; // Of the successful requests, in milliseconds
+  lastError?: string;
+  healthy: boolean; // False while the endpoint is skipped after an error, it gets tried again later
 }
 
 export interface PlebbitTippingV1Options {
@@ -11,6 +208,10 @@ export interface PlebbitTippingV1Options {
   cache?: {
     maxAge: number;
   };
+  contractAddress?: string; // Overrides the known deployment of the chain
+  chainId?: bigint | number; // Chain id of rpcUrls, skips detecting it
+  rpcOptions?: RpcOptions;
+  batchOptions?: BatchOptions;
   privateKey?: string;
 }
 
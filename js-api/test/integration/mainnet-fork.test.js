@@ -2,7 +2,7 @@ import { PlebbitTippingV1 } from '../../dist/plebbitTippingV1.js';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { ethers } from 'ethers';
+import { getLocalDeployment } from '../utils/deployment.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -14,38 +14,6 @@ dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 const rpcUrl = 'http://127.0.0.1:8545';
 const cache = { maxAge: 60000 };
 
-async function checkAndDeployContract() {
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
-  const contractAddress = '0x49753cB4ff375e04D2BC2A64971F60cD1a091381';
-  
-  // Check if contract exists at the expected address
-  const code = await provider.getCode(contractAddress);
-  
-  if (code === '0x') {
-    console.log('📦 Contract not deployed, deploying now...');
-    
-    // Get the first account (Hardhat's default account 0)
-    const accounts = await provider.listAccounts();
-    const deployer = accounts[0];
-    
-    // Import the contract ABI and bytecode
-    const PlebbitTippingV1Json = await import('../../src/PlebbitTippingV1.json', { assert: { type: 'json' } });
-    const contractFactory = new ethers.ContractFactory(
-      PlebbitTippingV1Json.default.abi,
-      PlebbitTippingV1Json.default.bytecode,
-      await provider.getSigner(deployer)
-    );
-    
-    // Deploy the contract
-    const contract = await contractFactory.deploy();
-    await contract.waitForDeployment();
-    
-    console.log(`✅ Contract deployed at: ${await contract.getAddress()}`);
-  } else {
-    console.log('✅ Contract already deployed at expected address');
-  }
-}
-
 async function runMainnetForkTests() {
   try {
     console.log('🚀 Starting PlebbitTippingV1 Mainnet Fork Tests...');
@@ -72,13 +40,14 @@ async function runMainnetForkTests() {
       console.log('✅ Confirmed: Running on mainnet fork');
     }
     
-    // Check and deploy contract if needed
-    await checkAndDeployContract();
-    
-    const plebbitTipping = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache });
+    // Deployed on the fork by `npm run deploy:localhost`
+    const { contractAddress } = getLocalDeployment();
+    console.log(`✅ Contract deployed at: ${contractAddress}`);
+
+    const plebbitTipping = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, contractAddress });
     console.log('✅ PlebbitTippingV1 instance created successfully');
 
-    // Test contract connectivity with deterministic address
+    // Test contract connectivity
     console.log('\n🔍 Testing contract connectivity...');
     const feePercent = await plebbitTipping.getFeePercent();
     console.log(`✅ Contract connected successfully. Fee percent: ${feePercent.toString()}%`);
@@ -106,15 +75,10 @@ async function runMainnetForkTests() {
     });
     console.log('✅ Sender comment created successfully');
 
-    // Test deterministic deployment
-    console.log('\n🎯 Testing deterministic deployment...');
-    console.log('Contract address used: 0x49753cB4ff375e04D2BC2A64971F60cD1a091381');
-    console.log('✅ Same address as testnets - deterministic deployment working!');
-
     console.log('\n🎉 All mainnet fork tests completed successfully!');
     console.log('\n📋 Summary:');
     console.log(`   • Mainnet fork block: ${blockNumber.toLocaleString()}`);
-    console.log(`   • Contract address: 0x49753cB4ff375e04D2BC2A64971F60cD1a091381`);
+    console.log(`   • Contract address: ${contractAddress}`);
     console.log(`   • Fee percent: ${feePercent.toString()}%`);
     console.log(`   • Min tip: ${minTipAmount.toString() / 1e18} ETH`);
     console.log(`   • Admin address: ${process.env.ADMIN_ADDRESS}`);
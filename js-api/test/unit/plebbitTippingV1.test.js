@@ -15,6 +15,7 @@ import { jest, describe, it, expect, beforeAll, beforeEach, afterEach, afterAll
 import { PlebbitTippingV1 } from '../../dist/plebbitTippingV1.js';
 import { CID } from 'multiformats/cid';
 import { ethers } from 'ethers';
+import { getLocalDeployment } from '../utils/deployment.js';
 
 /**
  * @description Main test suite for PlebbitTippingV1 functionality
@@ -42,6 +43,9 @@ describe('PlebbitTippingV1', () => {
   /** @type {Object} Cache configuration for testing (1 second maxAge) */
   const cache = { maxAge: 1000 }; // 1 second for testing
 
+  /** @type {string} PlebbitTippingV1 proxy deployed on the local node */
+  const { contractAddress } = getLocalDeployment();
+
   /**
    * @description Initialize PlebbitTippingV1 instance before all tests
    * 
@@ -52,7 +56,7 @@ describe('PlebbitTippingV1', () => {
    * @function beforeAll
    */
   beforeAll(async () => {
-    plebbitTipping = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache });
+    plebbitTipping = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, contractAddress });
   });
 
   /**
@@ -107,10 +111,8 @@ describe('PlebbitTippingV1', () => {
    * @function afterAll
    */
   afterAll(() => {
-    // Clean up any remaining timers
-    if (plebbitTipping.cacheExpirationTimers) {
-      plebbitTipping.cacheExpirationTimers.forEach(timer => clearTimeout(timer));
-    }
+    // Stops the parameter watcher and clears any remaining timers
+    plebbitTipping.destroy();
   });
 
   /**
@@ -779,4 +781,167 @@ describe('PlebbitTippingV1', () => {
       expect(senderComment.senderCommentCid).toBe(senderCid);
     }, 10000);
   });
+
+  /**
+   * @description Test suite for ERC-20 token tip totals
+   * 
+   * Validates that comments created with a token read the per-token
+   * totals from the contract and are cached separately from ETH comments.
+   * 
+   * @test {createComment} Token comment creation
+   * @test {createCacheKey} Token cache key uniqueness
+   */
+  describe('Token Tips', () => {
+    /** @type {string} Sample ERC-20 token address */
+    const token = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+    /**
+     * @description Test token comment reads per-token totals
+     * 
+     * Verifies that createComment with a token calls getTokenTipsTotalAmount
+     * with the token address instead of the ETH getTipsTotalAmount.
+     * 
+     * @async
+     * @function it
+     * @expects {number} mockGetTokenTipsTotalAmount should be called exactly once
+     * @expects {number} mockGetTipsTotalAmount should not be called
+     * @expects {string} comment.tipsTotalAmount should be the token total
+     * @timeout {number} 5000ms - Extended timeout for async operations
+     */
+    it('should read token tips total amount for token comments', async () => {
+      const feeRecipients = ['0x123'];
+      const recipientCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+
+      const mockGetTipsTotalAmount = jest.fn().mockResolvedValue('1000000000000000000');
+      const mockGetTokenTipsTotalAmount = jest.fn().mockResolvedValue('5000000');
+      plebbitTipping.contract.getTipsTotalAmount = mockGetTipsTotalAmount;
+      plebbitTipping.contract.getTokenTipsTotalAmount = mockGetTokenTipsTotalAmount;
+
+      const comment = await plebbitTipping.createComment({ feeRecipients, recipientCommentCid: recipientCid, token });
+
+      expect(comment.tipsTotalAmount.toString()).toBe('5000000');
+      expect(mockGetTokenTipsTotalAmount).toHaveBeenCalledTimes(1);
+      expect(mockGetTokenTipsTotalAmount.mock.calls[0][0]).toBe(token);
+      expect(mockGetTipsTotalAmount).not.toHaveBeenCalled();
+    }, 5000);
+
+    /**
+     * @description Test token cache key uniqueness
+     * 
+     * Verifies that token comments don't share a cache key with ETH
+     * comments and that ETH cache keys keep their original format.
+     * 
+     * @function it
+     * @expects {string} ETH and token cache keys should differ
+     * @expects {string} ETH cache key should not change when token is undefined
+     */
+    it('should create separate cache keys for token comments', () => {
+      const feeRecipients = ['0x123'];
+      const recipientCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+
+      const ethKey = plebbitTipping.createCacheKey(feeRecipients, recipientCid);
+      const tokenKey = plebbitTipping.createCacheKey(feeRecipients, recipientCid, token);
+
+      expect(tokenKey).not.toBe(ethKey);
+      expect(ethKey).toBe(`comment:0x123:${recipientCid}`);
+    });
+  });
+
+  describe('Paused State', () => {
+    /**
+     * @description Test createTip fails fast while paused
+     * 
+     * Verifies that createTip checks the contract's paused state and rejects
+     * with a clear error before any transaction object is returned, so the
+     * user is never asked to sign a tip that would revert.
+     * 
+     * @async
+     * @function it
+     * @expects {boolean} isPaused should return the contract's paused state
+     * @expects {Error} createTip should reject with a paused error
+     * @expects {number} mockMinimumTipAmount should not be called
+     * @timeout {number} 5000ms - Extended timeout for async operations
+     */
+    it('should reject createTip before signing when tipping is paused', async () => {
+      const mockPaused = jest.fn().mockResolvedValue(true);
+      const mockMinimumTipAmount = jest.fn().mockResolvedValue(1000000000000000n);
+      plebbitTipping.contract.paused = mockPaused;
+      plebbitTipping.contract.minimumTipAmount = mockMinimumTipAmount;
+
+      expect(await plebbitTipping.isPaused()).toBe(true);
+      await expect(plebbitTipping.createTip({
+        feeRecipients: ['0x123'],
+        recipientCommentCid: 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
+        recipient: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+        privateKey: ethers.Wallet.createRandom().privateKey
+      })).rejects.toThrow('Tipping is paused');
+      expect(mockMinimumTipAmount).not.toHaveBeenCalled();
+
+      mockPaused.mockResolvedValue(false);
+      expect(await plebbitTipping.isPaused()).toBe(false);
+    }, 5000);
+  });
+
+  describe('Recipient', () => {
+    /**
+     * @description Test createTip requires a recipient or a comment
+     *
+     * Verifies that createTip rejects when neither recipient nor comment is
+     * given, instead of tipping the sender's own wallet, before the contract
+     * is read.
+     *
+     * @async
+     * @function it
+     * @expects {Error} createTip should reject with a missing recipient error
+     * @expects {number} mockPaused should not be called
+     * @timeout {number} 5000ms - Extended timeout for async operations
+     */
+    it('should reject createTip without a recipient or comment', async () => {
+      const mockPaused = jest.fn().mockResolvedValue(false);
+      plebbitTipping.contract.paused = mockPaused;
+
+      await expect(plebbitTipping.createTip({
+        feeRecipients: ['0x123'],
+        recipientCommentCid: 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
+        privateKey: ethers.Wallet.createRandom().privateKey
+      })).rejects.toThrow('No recipient given');
+      expect(mockPaused).not.toHaveBeenCalled();
+    }, 5000);
+  });
+
+  describe('Lifetime Totals', () => {
+    /**
+     * @description Test recipient totals share one contract call per debounce window
+     * 
+     * Verifies that concurrent getRecipientTotals calls are merged into a
+     * single getRecipientTotalAmounts call with each address once, and that
+     * every caller gets the totals of its own addresses in order.
+     * 
+     * @async
+     * @function it
+     * @expects {number} mockGetRecipientTotalAmounts should be called exactly once
+     * @expects {string[]} the bulk call should contain each address once
+     * @expects {bigint[]} each caller should get its own totals
+     * @timeout {number} 5000ms - Extended timeout for async operations
+     */
+    it('should batch concurrent recipient total reads into one call', async () => {
+      const author1 = ethers.Wallet.createRandom().address;
+      const author2 = ethers.Wallet.createRandom().address;
+      const mockGetRecipientTotalAmounts = jest.fn().mockImplementation(async (token, addresses) =>
+        addresses.map(address => (address === author1 ? 100n : 200n))
+      );
+      plebbitTipping.contract.getRecipientTotalAmounts = mockGetRecipientTotalAmounts;
+
+      const [first, second] = await Promise.all([
+        plebbitTipping.getRecipientTotals([author1]),
+        plebbitTipping.getRecipientTotals([author2, author1.toLowerCase()])
+      ]);
+
+      expect(first).toEqual([100n]);
+      expect(second).toEqual([200n, 100n]);
+      expect(mockGetRecipientTotalAmounts).toHaveBeenCalledTimes(1);
+      expect(mockGetRecipientTotalAmounts.mock.calls[0][0]).toBe(ethers.ZeroAddress);
+      expect(mockGetRecipientTotalAmounts.mock.calls[0][1]).toEqual([author1, author2]);
+    }, 5000);
+  });
 });
@@ -1,6 +1,12 @@
 import { PlebbitTippingV1 } from '../../dist/plebbitTippingV1.js';
+import { CID } from 'multiformats/cid';
+import { sha256 } from 'multiformats/hashes/sha2';
 import { createTestWallet, getFirstHardhatAccount } from '../utils/testWallet.js';
+import { getLocalDeployment } from '../utils/deployment.js';
+import { ethers } from 'ethers';
 import dotenv from 'dotenv';
+import fs from 'fs';
+import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -11,6 +17,13 @@ dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 
 const rpcUrl = 'http://127.0.0.1:8545';
 const cache = { maxAge: 60000 };
+const { contractAddress } = getLocalDeployment();
+
+// Distinct comment CIDs, unique to this run so that tests don't see the tips of earlier runs on the same node
+const runId = `${Date.now()} ${Math.random()}`;
+const createCids = (count, seed) => Promise.all(Array.from({ length: count }, async (_, index) =>
+  CID.createV0(await sha256.digest(new TextEncoder().encode(`${runId} ${seed} ${index}`))).toString()
+));
 
 describe('PlebbitTippingV1', () => {
   let plebbitTipping;
@@ -19,10 +32,35 @@ describe('PlebbitTippingV1', () => {
     console.log('Starting PlebbitTippingV1 tests...');
     console.log('Admin address from .env:', process.env.ADMIN_ADDRESS);
     
-    plebbitTipping = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache });
+    plebbitTipping = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, contractAddress });
     console.log('PlebbitTippingV1 instance created successfully');
   });
 
+  const servers = [];
+
+  // Local stand-in for an RPC endpoint, answering each request with handle(body), counted in server.hits
+  const startStandIn = async (handle) => {
+    const server = http.createServer(async (request, response) => {
+      server.hits++;
+      let body = '';
+      for await (const chunk of request) body += chunk;
+      const { status = 200, json } = await handle(JSON.parse(body));
+      response.writeHead(status, { 'content-type': 'application/json' });
+      response.end(JSON.stringify(json ?? { jsonrpc: '2.0', id: null, error: { code: -32603, message: `HTTP ${status}` } }));
+    });
+    server.hits = 0;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    servers.push(server);
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+  };
+  const forward = async (body) => ({
+    json: await (await fetch(rpcUrl, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })).json()
+  });
+
+  afterAll(async () => {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  });
+
   describe('Contract connectivity', () => {
     test('should connect to contract and get fee percent', async () => {
       const feePercent = await plebbitTipping.getFeePercent();
@@ -35,6 +73,23 @@ describe('PlebbitTippingV1', () => {
       console.log('Minimum tip amount:', minTipAmount.toString());
       expect(minTipAmount).toBeDefined();
     });
+
+    test('should use the contract address passed in, or reject without a known deployment', async () => {
+      const { chainId } = await new ethers.JsonRpcProvider(rpcUrl).getNetwork();
+      const plebbitTippingWithAddress = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, contractAddress, chainId });
+      expect(await plebbitTippingWithAddress.getMinimumTipAmount()).toBe(await plebbitTipping.getMinimumTipAmount());
+
+      // Addresses without code and chains without a known deployment fail before any read
+      const emptyAddress = ethers.Wallet.createRandom().address;
+      await expect(PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, contractAddress: emptyAddress }))
+        .rejects.toThrow(`No contract deployed at ${emptyAddress} on chain ${chainId}`);
+      // Local deployments aren't in the registry of known deployments, their address depends on the node
+      await expect(PlebbitTippingV1({ rpcUrls: [rpcUrl], cache }))
+        .rejects.toThrow(`No known PlebbitTippingV1 deployment on chain ${chainId}, pass contractAddress`);
+      // Known chains resolve to their registry entry, which the local node has no code at
+      await expect(PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, chainId: 11155111 }))
+        .rejects.toThrow('No contract deployed at 0x49753cB4ff375e04D2BC2A64971F60cD1a091381 on chain 11155111');
+    });
   });
 
   describe('Comment creation', () => {
@@ -129,6 +184,94 @@ describe('PlebbitTippingV1', () => {
     });
   });
 
+  describe('RPC failover', () => {
+    const recipientCommentCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+    const feeRecipients = [process.env.ADMIN_ADDRESS || '0xf39fd6E51AAB6bD838C26c4FD3B5E0D5E9E8F4aC'];
+
+    test('should fail over from endpoints that are down or rate limited', async () => {
+      const down = await startStandIn(async () => ({ status: 503 }));
+      const rateLimited = await startStandIn(async (body) => ({
+        json: { jsonrpc: '2.0', id: body.id, error: { code: -32005, message: 'daily request count exceeded' } }
+      }));
+      const healthy = await startStandIn(forward);
+
+      const plebbitTippingWithFailover = await PlebbitTippingV1({ rpcUrls: [down.url, rateLimited.url, healthy.url], cache, contractAddress });
+      expect(await plebbitTippingWithFailover.getMinimumTipAmount()).toBe(await plebbitTipping.getMinimumTipAmount());
+
+      const [downStats, rateLimitedStats, healthyStats] = plebbitTippingWithFailover.getRpcStats();
+      expect(downStats).toMatchObject({ url: down.url, errors: downStats.requests, healthy: false });
+      expect(downStats.lastError).toContain('503');
+      expect(rateLimitedStats).toMatchObject({ errors: rateLimitedStats.requests, healthy: false });
+      expect(rateLimitedStats.lastError).toContain('rate limited');
+      expect(healthyStats).toMatchObject({ errors: 0, consecutiveErrors: 0, healthy: true });
+      expect(healthyStats.requests).toBeGreaterThan(0);
+      expect(healthyStats.averageLatency).toBeGreaterThanOrEqual(0);
+
+      // Failing endpoints are skipped while they back off
+      const downHits = down.server.hits;
+      const comment = await plebbitTippingWithFailover.createComment({ feeRecipients, recipientCommentCid });
+      expect(comment.tipsTotalAmount).toBeDefined();
+      expect(down.server.hits).toBe(downHits);
+    }, 30000);
+
+    test('should require a quorum of endpoints to agree on contract reads', async () => {
+      // Returns a different result for every contract read
+      const lying = await startStandIn(async (body) => body.method === 'eth_call'
+        ? { json: { jsonrpc: '2.0', id: body.id, result: '0x' + 'ff'.repeat(32) } }
+        : forward(body));
+      const honest = await startStandIn(forward);
+
+      const plebbitTippingWithQuorum = await PlebbitTippingV1({ rpcUrls: [lying.url, honest.url, rpcUrl], cache, contractAddress, rpcOptions: { quorum: 2 } });
+      expect(await plebbitTippingWithQuorum.getMinimumTipAmount()).toBe(await plebbitTipping.getMinimumTipAmount());
+      expect(plebbitTippingWithQuorum.getRpcStats().map(stats => stats.errors)).toEqual([0, 0, 0]);
+
+      const plebbitTippingWithoutQuorum = await PlebbitTippingV1({ rpcUrls: [lying.url, honest.url], cache, contractAddress, rpcOptions: { quorum: 2, retries: 0 } });
+      await expect(plebbitTippingWithoutQuorum.getMinimumTipAmount()).rejects.toThrow('Fewer than 2 RPC endpoints returned the same result for eth_call');
+
+      await expect(PlebbitTippingV1({ rpcUrls: [honest.url], cache, contractAddress, rpcOptions: { quorum: 2 } })).rejects.toThrow('Invalid RPC quorum 2');
+    }, 30000);
+  });
+
+  describe('Batched tips total reads', () => {
+    const feeRecipients = [process.env.ADMIN_ADDRESS || '0xf39fd6E51AAB6bD838C26c4FD3B5E0D5E9E8F4aC'];
+
+    test('should read the tips totals of every pending comment in one call per maxBatchSize comments', async () => {
+      let ethCalls = 0;
+      const counting = await startStandIn(async (body) => {
+        if (body.method === 'eth_call') ethCalls++;
+        return forward(body);
+      });
+      const plebbitTippingBatched = await PlebbitTippingV1({ rpcUrls: [counting.url], cache, contractAddress, batchOptions: { maxBatchSize: 20 } });
+
+      ethCalls = 0;
+      const cids = await createCids(50, 'feed');
+      const comments = await Promise.all(cids.map(recipientCommentCid => plebbitTippingBatched.createComment({ feeRecipients, recipientCommentCid })));
+      expect(ethCalls).toBe(3);
+      comments.forEach(comment => expect(comment.tipsTotalAmount).toBe(0n));
+
+      // Comments with other fee recipients and the refresh of an existing comment join the same window
+      ethCalls = 0;
+      const [otherCid] = await createCids(1, 'other fee recipients');
+      const [otherComment] = await Promise.all([
+        plebbitTippingBatched.createComment({ feeRecipients: [ethers.Wallet.createRandom().address], recipientCommentCid: otherCid }),
+        comments[0].updateTipsTotalAmount(),
+        comments[0].updateTipsTotalAmount()
+      ]);
+      expect(ethCalls).toBe(1);
+      expect(otherComment.tipsTotalAmount).toBe(0n);
+
+      // An invalid CID only rejects its own read
+      const [invalid, valid] = await Promise.allSettled([
+        plebbitTippingBatched.createComment({ feeRecipients, recipientCommentCid: 'not a cid' }),
+        comments[1].updateTipsTotalAmount()
+      ]);
+      expect(invalid.status).toBe('rejected');
+      expect(valid.status).toBe('fulfilled');
+
+      await expect(PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, contractAddress, batchOptions: { maxBatchSize: 0 } })).rejects.toThrow('Invalid maxBatchSize 0');
+    }, 30000);
+  });
+
   describe('Transaction tests with funded wallet', () => {
     let testWalletInfo;
     let plebbitTippingWithSigner;
@@ -146,7 +289,8 @@ describe('PlebbitTippingV1', () => {
       // Create PlebbitTippingV1 instance (no private key needed in constructor)
       plebbitTippingWithSigner = await PlebbitTippingV1({ 
         rpcUrls: [rpcUrl], 
-        cache
+        cache,
+        contractAddress
       });
       console.log('PlebbitTippingV1 instance created');
     });
@@ -194,7 +338,8 @@ describe('PlebbitTippingV1', () => {
       
       const plebbitTippingHardhat = await PlebbitTippingV1({
         rpcUrls: [rpcUrl],
-        cache
+        cache,
+        contractAddress
       });
 
       const recipientCommentCid = 'QmNnooDu7bfjPFoTZYxMNLWUQJyrVwtbZg5gBMjTezGAJN';
@@ -223,6 +368,751 @@ describe('PlebbitTippingV1', () => {
       expect(result.error).toBeUndefined();
     }, 30000);
 
+    test('should send a batch tip in one transaction', async () => {
+      const feeRecipients = [testWalletInfo.funderAddress];
+      const minTipAmount = await plebbitTippingWithSigner.getMinimumTipAmount();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const batchTransaction = await plebbitTippingWithSigner.createBatchTip({
+        tips: [
+          { recipient: testWalletInfo.address, feeRecipients, recipientCommentCid: 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG' },
+          { recipient: testWalletInfo.address, feeRecipients, recipientCommentCid: 'QmNnooDu7bfjPFoTZYxMNLWUQJyrVwtbZg5gBMjTezGAJN', tipAmount: minTipAmount * 2n },
+        ],
+        privateKey: testWalletInfo.privateKey
+      });
+      expect(batchTransaction.transactionHash).toBeUndefined();
+
+      const result = await batchTransaction.send();
+      console.log(`✅ Batch tip successful! Hash: ${result.transactionHash}`);
+      expect(result.error).toBeUndefined();
+      expect(result.receipt).toBeDefined();
+
+      // One Tip event per entry
+      expect(result.receipt.logs.length).toBe(2);
+    }, 30000);
+
+    test('should order the tips of several fee recipients together', async () => {
+      // A fresh second fee recipient, so its tips are only the ones sent here
+      const otherFeeRecipient = ethers.Wallet.createRandom().address;
+      const feeRecipients = [testWalletInfo.funderAddress, otherFeeRecipient];
+      const recipientCommentCid = 'QmNnooDu7bfjPFoTZYxMNLWUQJyrVwtbZg5gBMjTezGAJN';
+      const minTipAmount = await plebbitTippingWithSigner.getMinimumTipAmount();
+      const comment = await plebbitTippingWithSigner.createComment({ feeRecipients, recipientCommentCid });
+      const countBefore = await comment.getTipsCount();
+
+      // Interleave the fee recipients, the tip is sent with the first one
+      for (const [tipFeeRecipient, tipAmount] of [
+        [testWalletInfo.funderAddress, minTipAmount * 5n],
+        [otherFeeRecipient, minTipAmount * 6n],
+        [testWalletInfo.funderAddress, minTipAmount * 7n]
+      ]) {
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const tipTransaction = await plebbitTippingWithSigner.createTip({
+          feeRecipients: [tipFeeRecipient],
+          recipientCommentCid,
+          recipient: testWalletInfo.address,
+          tipAmount,
+          privateKey: testWalletInfo.privateKey
+        });
+        expect((await tipTransaction.send()).error).toBeUndefined();
+      }
+
+      expect(await comment.getTipsCount()).toBe(countBefore + 3);
+      const latestTips = await comment.getTips({ limit: 3 });
+      expect(latestTips.map(tip => tip.amount)).toEqual([minTipAmount * 7n, minTipAmount * 6n, minTipAmount * 5n]);
+      expect(latestTips.map(tip => tip.feeRecipient)).toEqual([testWalletInfo.funderAddress, otherFeeRecipient, testWalletInfo.funderAddress]);
+      expect(latestTips[0].sequence).toBeGreaterThan(latestTips[1].sequence);
+      expect(latestTips[1].sequence).toBeGreaterThan(latestTips[2].sequence);
+
+      const oldestTips = await comment.getTips({ offset: countBefore, limit: 3, order: 'oldest' });
+      expect(oldestTips.map(tip => tip.amount)).toEqual([minTipAmount * 5n, minTipAmount * 6n, minTipAmount * 7n]);
+      const middleTip = await comment.getTips({ offset: 1, limit: 1 });
+      expect(middleTip.map(tip => tip.amount)).toEqual([minTipAmount * 6n]);
+    }, 30000);
+
+    test('should list the tips of a comment newest first', async () => {
+      const feeRecipients = [testWalletInfo.funderAddress];
+      const recipientCommentCid = 'QmNnooDu7bfjPFoTZYxMNLWUQJyrVwtbZg5gBMjTezGAJN';
+      const minTipAmount = await plebbitTippingWithSigner.getMinimumTipAmount();
+      const comment = await plebbitTippingWithSigner.createComment({ feeRecipients, recipientCommentCid });
+      const countBefore = await comment.getTipsCount();
+
+      for (const tipAmount of [minTipAmount * 3n, minTipAmount * 4n]) {
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const tipTransaction = await plebbitTippingWithSigner.createTip({
+          feeRecipients,
+          recipientCommentCid,
+          recipient: testWalletInfo.address,
+          tipAmount,
+          privateKey: testWalletInfo.privateKey
+        });
+        expect((await tipTransaction.send()).error).toBeUndefined();
+      }
+
+      expect(await comment.getTipsCount()).toBe(countBefore + 2);
+      const latestTips = await comment.getTips({ limit: 2 });
+      expect(latestTips.map(tip => tip.amount)).toEqual([minTipAmount * 4n, minTipAmount * 3n]);
+      expect(latestTips[0].sender).toBe(testWalletInfo.address);
+      expect(latestTips[0].recipient).toBe(testWalletInfo.address);
+      expect(latestTips[0].feeRecipient).toBe(testWalletInfo.funderAddress);
+      expect(latestTips[0].timestamp).toBeGreaterThanOrEqual(latestTips[1].timestamp);
+      expect(latestTips[0].timestamp).toBeGreaterThan(0n);
+
+      const oldestTips = await comment.getTips({ offset: countBefore, order: 'oldest' });
+      expect(oldestTips.map(tip => tip.amount)).toEqual([minTipAmount * 3n, minTipAmount * 4n]);
+    }, 30000);
+
+    test('should list the tips a wallet has sent', async () => {
+      // The previous tests sent several tips from the test wallet, the last one 4x the minimum
+      const minTipAmount = await plebbitTippingWithSigner.getMinimumTipAmount();
+      const count = await plebbitTippingWithSigner.getSenderTipsCount(testWalletInfo.address);
+      expect(count).toBeGreaterThanOrEqual(4);
+
+      const [latestTip] = await plebbitTippingWithSigner.getSenderTips(testWalletInfo.address, { limit: 1 });
+      expect(latestTip.amount).toBe(minTipAmount * 4n);
+      expect(latestTip.sender).toBe(testWalletInfo.address);
+      expect(latestTip.token).toBe(ethers.ZeroAddress);
+      expect(latestTip.recipientCommentCid).toMatch(/^0x[0-9a-f]{64}$/);
+
+      const allTips = await plebbitTippingWithSigner.getSenderTips(testWalletInfo.address, { limit: count, order: 'oldest' });
+      expect(allTips).toHaveLength(count);
+      expect(allTips[count - 1]).toEqual(latestTip);
+    }, 30000);
+
+    test('should read lifetime totals of recipients and fee recipients', async () => {
+      // The test wallet received tips from itself and the funder collected their fees
+      const [recipientTotals, feeRecipientTotals] = await Promise.all([
+        plebbitTippingWithSigner.getRecipientTotals([testWalletInfo.address, ethers.ZeroAddress]),
+        plebbitTippingWithSigner.getFeeRecipientTotals([testWalletInfo.funderAddress])
+      ]);
+      expect(recipientTotals[0]).toBeGreaterThan(0n);
+      expect(recipientTotals[1]).toBe(0n);
+      expect(feeRecipientTotals[0]).toBeGreaterThan(0n);
+    }, 30000);
+
+    test('should withdraw pending balance credited by tips', async () => {
+      // The earlier tip credited the test wallet (recipient) and the funder (fee recipient)
+      const pendingBalance = await plebbitTippingWithSigner.getPendingBalance(testWalletInfo.address);
+      console.log('Pending balance before withdraw:', pendingBalance.toString());
+      expect(pendingBalance).toBeGreaterThan(0n);
+
+      // Let the provider's short-lived request cache expire so the wallet nonce is fetched fresh
+      // after the previous test's transaction was automined
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const withdrawTransaction = await plebbitTippingWithSigner.createWithdraw({
+        privateKey: testWalletInfo.privateKey
+      });
+      expect(withdrawTransaction.transactionHash).toBeUndefined();
+
+      const result = await withdrawTransaction.send();
+      console.log(`✅ Withdraw successful! Hash: ${result.transactionHash}`);
+      expect(result.transactionHash).toBeDefined();
+      expect(result.receipt).toBeDefined();
+      expect(result.error).toBeUndefined();
+
+      expect(await plebbitTippingWithSigner.getPendingBalance(testWalletInfo.address)).toBe(0n);
+    }, 30000);
+
+    test('should relay a signed token tip intent for the sender', async () => {
+      // Deploy a test token from the contracts workspace artifacts and give the test wallet some
+      const tokenArtifact = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../../contracts/artifacts/contracts/test/TestERC20.sol/TestERC20.json'), 'utf8'));
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const funder = new ethers.NonceManager(new ethers.Wallet(getFirstHardhatAccount().privateKey, provider));
+      const token = await new ethers.ContractFactory(tokenArtifact.abi, tokenArtifact.bytecode, funder).deploy('Test Token', 'TEST');
+      await token.waitForDeployment();
+      await (await token.mint(testWalletInfo.address, ethers.parseEther('10'))).wait();
+
+      // The sender approves once, after that its tips can be relayed without it paying gas
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const sender = new ethers.Wallet(testWalletInfo.privateKey, provider);
+      await (await token.connect(sender).approve(plebbitTippingWithSigner.contractAddress, ethers.parseEther('10'))).wait();
+
+      const recipientCommentCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+      const { intent, signature } = await plebbitTippingWithSigner.signTipIntent({
+        feeRecipients: [testWalletInfo.funderAddress],
+        recipientCommentCid,
+        recipient: testWalletInfo.funderAddress,
+        token: token.target,
+        tipAmount: ethers.parseEther('1'),
+        privateKey: testWalletInfo.privateKey
+      });
+      expect(intent.sender).toBe(testWalletInfo.address);
+
+      // A tampered intent is rejected before anything is sent
+      await expect(plebbitTippingWithSigner.relayTipIntent({
+        intent: { ...intent, amount: ethers.parseEther('2') },
+        signature,
+        privateKey: getFirstHardhatAccount().privateKey
+      })).rejects.toThrow('not by its sender');
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const relayTransaction = await plebbitTippingWithSigner.relayTipIntent({
+        intent,
+        signature,
+        privateKey: getFirstHardhatAccount().privateKey
+      });
+      const result = await relayTransaction.send();
+      console.log(`✅ Relayed tip intent! Hash: ${result.transactionHash}`);
+      expect(result.error).toBeUndefined();
+      expect(result.receipt.from).toBe(getFirstHardhatAccount().address);
+      expect(await token.balanceOf(testWalletInfo.address)).toBe(ethers.parseEther('9'));
+
+      // Token tips are listed with their token, from the TokenTip event
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const activity = await plebbitTippingWithSigner.getTipsActivity(testWalletInfo.address, { fromBlock: result.receipt.blockNumber });
+      const relayedTip = activity.find(entry => entry.transactionHash === result.transactionHash);
+      expect(relayedTip).toMatchObject({ type: 'sent', token: token.target, amount: ethers.parseEther('1'), recipient: testWalletInfo.funderAddress });
+    }, 30000);
+
+    test('should escrow a tip for a comment author without a wallet', async () => {
+      const [recipientCommentCid] = await createCids(1, 'escrow');
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const escrowTransaction = await plebbitTippingWithSigner.createEscrowTip({
+        feeRecipients: [testWalletInfo.funderAddress],
+        recipientCommentCid,
+        privateKey: testWalletInfo.privateKey
+      });
+      const result = await escrowTransaction.send();
+      console.log(`✅ Escrow tip successful! Hash: ${result.transactionHash}`);
+      expect(result.error).toBeUndefined();
+
+      const unclaimedTips = await plebbitTippingWithSigner.getUnclaimedTips(recipientCommentCid);
+      expect(unclaimedTips.length).toBe(1);
+      expect(unclaimedTips[0].index).toBe(0);
+      expect(unclaimedTips[0].sender).toBe(testWalletInfo.address);
+      expect(unclaimedTips[0].amount).toBe(await plebbitTippingWithSigner.getMinimumTipAmount());
+      expect(unclaimedTips[0].refundableAt).toBeGreaterThan(unclaimedTips[0].timestamp);
+
+      // Claims are only accepted from accounts with CLAIM_SIGNER_ROLE, the test wallet has none
+      const authorization = await plebbitTippingWithSigner.signClaimAuthorization({
+        recipientCommentCid,
+        recipient: testWalletInfo.address,
+        privateKey: testWalletInfo.privateKey
+      });
+      const claimTransaction = await plebbitTippingWithSigner.createClaim({
+        authorization,
+        privateKey: testWalletInfo.privateKey
+      });
+      const claimResult = await claimTransaction.send();
+      expect(claimResult.error).toBeDefined();
+      expect(await plebbitTippingWithSigner.getUnclaimedTips(recipientCommentCid)).toHaveLength(1);
+    }, 30000);
+
+    test('should let a fee recipient set its own community fee', async () => {
+      const globalFeeBasisPoints = await plebbitTippingWithSigner.getFeeBasisPoints();
+      expect(await plebbitTippingWithSigner.getFeeBasisPoints(testWalletInfo.address)).toBe(globalFeeBasisPoints);
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const setFeeTransaction = await plebbitTippingWithSigner.createSetCommunityFee({
+        feeBasisPoints: 125,
+        privateKey: testWalletInfo.privateKey
+      });
+      const result = await setFeeTransaction.send();
+      console.log(`✅ Community fee set! Hash: ${result.transactionHash}`);
+      expect(result.error).toBeUndefined();
+      expect(await plebbitTippingWithSigner.getFeeBasisPoints(testWalletInfo.address)).toBe(125n);
+      expect(await plebbitTippingWithSigner.getFeePercent(testWalletInfo.address)).toBe(1.25);
+      expect(await plebbitTippingWithSigner.getFeeBasisPoints()).toBe(globalFeeBasisPoints);
+
+      // The preview uses the community's fee and adds up to the tip amount
+      const preview = await plebbitTippingWithSigner.previewTip({
+        feeRecipients: [testWalletInfo.address],
+        tipAmount: ethers.parseEther('1')
+      });
+      expect(preview.feeRecipient).toBe(testWalletInfo.address);
+      expect(preview.feeBasisPoints).toBe(125n);
+      expect(preview.fee).toBe(ethers.parseEther('0.0125'));
+      expect(preview.recipientAmount).toBe(ethers.parseEther('0.9875'));
+      expect(preview.minimumTipAmount).toBe(await plebbitTippingWithSigner.getMinimumTipAmount());
+
+      // 0 clears it, the global fee applies again
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const clearFeeTransaction = await plebbitTippingWithSigner.createSetCommunityFee({
+        feeBasisPoints: 0,
+        privateKey: testWalletInfo.privateKey
+      });
+      expect((await clearFeeTransaction.send()).error).toBeUndefined();
+      expect(await plebbitTippingWithSigner.getFeeBasisPoints(testWalletInfo.address)).toBe(globalFeeBasisPoints);
+    }, 30000);
+
+    test('should refresh cached parameters when the contract changes them', async () => {
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const abi = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1.json'), 'utf8')).abi;
+      const sender = new ethers.Wallet(testWalletInfo.privateKey, provider);
+      const senderContract = new ethers.Contract(plebbitTippingWithSigner.contractAddress, abi, sender);
+      const adminContract = new ethers.Contract(plebbitTippingWithSigner.contractAddress, abi, new ethers.Wallet(getFirstHardhatAccount().privateKey, provider));
+
+      const changes = [];
+      // The watcher can also report the changes of the block it started at, so match on the arguments too
+      const waitForChange = (event, args) => new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error(`No ${event} event`)), 20000);
+        const check = setInterval(() => {
+          const change = changes.find((change) => change.event === event
+            && Object.entries(args).every(([name, value]) => change.args[name] === value));
+          if (change) {
+            clearTimeout(timeout);
+            clearInterval(check);
+            resolve(change);
+          }
+        }, 100);
+      });
+      const stopWatching = plebbitTippingWithSigner.watchParameters((change) => changes.push(change));
+      // Caches parameters for longer than the test, so only the watcher of the watchParameters option can refresh them
+      const plebbitTippingLongCache = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache: { maxAge: 10 * 60 * 1000 }, contractAddress, watchParameters: true });
+
+      try {
+        const globalFeeBasisPoints = await plebbitTippingWithSigner.getFeeBasisPoints(testWalletInfo.address);
+        expect(await plebbitTippingLongCache.getFeeBasisPoints(testWalletInfo.address)).toBe(globalFeeBasisPoints);
+
+        // Changed outside of the js-api, the cached fee is only refreshed by the event
+        await new Promise(resolve => setTimeout(resolve, 300));
+        await (await senderContract.setCommunityFeeBasisPoints(250)).wait();
+        const feeChange = await waitForChange('CommunityFeeBasisPointsChanged', { communityFeeBasisPoints: 250n });
+        expect(feeChange.args.feeRecipient).toBe(testWalletInfo.address);
+        expect(await plebbitTippingWithSigner.getFeeBasisPoints(testWalletInfo.address)).toBe(250n);
+        const deadline = Date.now() + 20000;
+        while (await plebbitTippingLongCache.getFeeBasisPoints(testWalletInfo.address) !== 250n && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        expect(await plebbitTippingLongCache.getFeeBasisPoints(testWalletInfo.address)).toBe(250n);
+
+        // Role changes are reported too
+        const moderatorRole = await adminContract.MODERATOR_ROLE();
+        await (await adminContract.grantRole(moderatorRole, testWalletInfo.address)).wait();
+        const roleChange = await waitForChange('RoleGranted', { role: moderatorRole, account: testWalletInfo.address });
+        expect(roleChange.args.sender).toBe(getFirstHardhatAccount().address);
+        await new Promise(resolve => setTimeout(resolve, 300));
+        await (await adminContract.revokeRole(moderatorRole, testWalletInfo.address)).wait();
+        await waitForChange('RoleRevoked', { role: moderatorRole, account: testWalletInfo.address });
+
+        await new Promise(resolve => setTimeout(resolve, 300));
+        await (await senderContract.setCommunityFeeBasisPoints(0)).wait();
+        await waitForChange('CommunityFeeBasisPointsChanged', { communityFeeBasisPoints: 0n });
+        expect(await plebbitTippingWithSigner.getFeeBasisPoints(testWalletInfo.address)).toBe(globalFeeBasisPoints);
+      } finally {
+        stopWatching();
+        plebbitTippingLongCache.destroy();
+        provider.destroy();
+      }
+    }, 60000);
+
+    test('should list scheduled parameter changes until they are canceled', async () => {
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const abi = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1.json'), 'utf8')).abi;
+      const admin = new ethers.NonceManager(new ethers.Wallet(getFirstHardhatAccount().privateKey, provider));
+      const adminContract = new ethers.Contract(plebbitTippingWithSigner.contractAddress, abi, admin);
+      const moderatorRole = await adminContract.MODERATOR_ROLE();
+
+      try {
+        await (await adminContract.grantRole(moderatorRole, await admin.getAddress())).wait();
+        const id = await adminContract.parameterChangeCount();
+        const scheduleReceipt = await (await adminContract.scheduleParameterChange(1, 2000)).wait(); // Parameter.FeeBasisPoints
+        const { timestamp } = await provider.getBlock(scheduleReceipt.blockNumber);
+
+        const pendingChanges = await plebbitTippingWithSigner.getPendingParameterChanges();
+        const feeIncrease = pendingChanges.find((change) => change.id === id);
+        expect(feeIncrease).toEqual({
+          id,
+          parameter: 'feeBasisPoints',
+          value: 2000n,
+          executableAt: BigInt(timestamp) + await adminContract.parameterChangeDelay()
+        });
+        // Not in effect before its delay
+        expect(await plebbitTippingWithSigner.getFeeBasisPoints()).not.toBe(2000n);
+
+        await (await adminContract.cancelParameterChange(id)).wait();
+        expect((await plebbitTippingWithSigner.getPendingParameterChanges()).find((change) => change.id === id)).toBeUndefined();
+      } finally {
+        await (await adminContract.revokeRole(moderatorRole, await admin.getAddress())).wait();
+        provider.destroy();
+      }
+    }, 30000);
+
+    test('should tip an explicit recipient or the verified wallet of a plebbit author', async () => {
+      const abi = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1.json'), 'utf8')).abi;
+      const tipEventRecipient = (receipt) => receipt.logs
+        .map(log => { try { return new ethers.Interface(abi).parseLog(log); } catch { return null; } })
+        .find(event => event?.name === 'Tip').args.recipient;
+      const recipientCommentCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+      const feeRecipients = [testWalletInfo.funderAddress];
+
+      const recipient = ethers.Wallet.createRandom().address;
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const tip = await plebbitTippingWithSigner.createTip({ feeRecipients, recipientCommentCid, recipient, privateKey: testWalletInfo.privateKey });
+      const result = await tip.send();
+      expect(result.error).toBeUndefined();
+      expect(tipEventRecipient(result.receipt)).toBe(recipient);
+
+      // A plebbit comment whose author published a wallet signed like plebbit-js does
+      const authorWallet = ethers.Wallet.createRandom();
+      const signWallet = async (authorAddress, timestamp) => ({
+        signature: await authorWallet.signMessage(JSON.stringify({ domainSeparator: 'plebbit-author-wallet', authorAddress, timestamp })),
+        type: 'eip191'
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const comment = {
+        cid: recipientCommentCid,
+        author: {
+          address: '12D3KooWG3XbzoVyAE6Y9vHZKF64Yuuu4TjdgQKedk14iYmTEPWu',
+          wallets: { eth: { address: authorWallet.address, timestamp, signature: await signWallet('12D3KooWG3XbzoVyAE6Y9vHZKF64Yuuu4TjdgQKedk14iYmTEPWu', timestamp) } }
+        }
+      };
+      expect(plebbitTippingWithSigner.resolveRecipient(comment)).toBe(authorWallet.address);
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const commentTip = await plebbitTippingWithSigner.createTip({ feeRecipients, recipientCommentCid, comment, privateKey: testWalletInfo.privateKey });
+      const commentTipResult = await commentTip.send();
+      expect(commentTipResult.error).toBeUndefined();
+      expect(tipEventRecipient(commentTipResult.receipt)).toBe(authorWallet.address);
+
+      // Impostors: a wallet that didn't sign, or a proof signed for another author
+      const impostor = { ...comment, author: { ...comment.author, wallets: { eth: { ...comment.author.wallets.eth, address: ethers.Wallet.createRandom().address } } } };
+      expect(() => plebbitTippingWithSigner.resolveRecipient(impostor)).toThrow('Invalid wallet signature');
+      const copied = { ...comment, author: { ...comment.author, address: 'impostor.eth' } };
+      await expect(plebbitTippingWithSigner.createTip({ feeRecipients, recipientCommentCid, comment: copied, privateKey: testWalletInfo.privateKey }))
+        .rejects.toThrow('Invalid wallet signature for author impostor.eth');
+      expect(() => plebbitTippingWithSigner.resolveRecipient({ author: { address: 'nowallet.eth' } })).toThrow('has no eth wallet');
+    }, 30000);
+
+    test('should report a tip as sent when the endpoint that broadcast it timed out', async () => {
+      // Broadcasts raw transactions, but answers after the failover timeout
+      const slow = await startStandIn(async (body) => {
+        const response = await forward(body);
+        if (body.method === 'eth_sendRawTransaction') await new Promise(resolve => setTimeout(resolve, 1500));
+        return response;
+      });
+      const plebbitTippingWithSlowEndpoint = await PlebbitTippingV1({ rpcUrls: [slow.url, rpcUrl], cache, contractAddress, rpcOptions: { timeout: 1000 } });
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const tip = await plebbitTippingWithSlowEndpoint.createTip({
+        feeRecipients: [testWalletInfo.funderAddress],
+        recipientCommentCid: 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
+        recipient: ethers.Wallet.createRandom().address,
+        privateKey: testWalletInfo.privateKey
+      });
+      const result = await tip.send();
+      expect(result.error).toBeUndefined();
+      expect(result.receipt.status).toBe(1);
+      expect(plebbitTippingWithSlowEndpoint.getRpcStats()[0].lastError).toBeDefined();
+    }, 30000);
+
+    test('should send transactions from an ethers Signer or an injected wallet on the right chain', async () => {
+      const abi = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1.json'), 'utf8')).abi;
+      const tipEventSender = (receipt) => receipt.logs
+        .map(log => { try { return new ethers.Interface(abi).parseLog(log); } catch { return null; } })
+        .find(event => event?.name === 'Tip').args.sender;
+      const recipientCommentCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+      const feeRecipients = [testWalletInfo.funderAddress];
+      const recipient = ethers.Wallet.createRandom().address;
+      const nodeProvider = new ethers.JsonRpcProvider(rpcUrl);
+      const { chainId } = await nodeProvider.getNetwork();
+
+      // An ethers Signer without a provider sends through the instance's provider
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const signer = new ethers.Wallet(testWalletInfo.privateKey);
+      const tip = await plebbitTippingWithSigner.createTip({ feeRecipients, recipientCommentCid, recipient, signer });
+      const result = await tip.send();
+      expect(result.error).toBeUndefined();
+      expect(tipEventSender(result.receipt)).toBe(signer.address);
+
+      const mainnetSigner = signer.connect(new ethers.JsonRpcProvider(rpcUrl, 1, { staticNetwork: true }));
+      await expect(plebbitTippingWithSigner.createTip({ feeRecipients, recipientCommentCid, recipient, signer: mainnetSigner }))
+        .rejects.toThrow(`Signer is on chain 1, but the tipping contract is on chain ${chainId}`);
+
+      // An injected wallet on mainnet, backed by an unlocked account of the hardhat node
+      const walletAccount = '0xa0Ee7A142d267C1f36714E4a8F75612F20a79720';
+      const createInjectedWallet = ({ refuseSwitch = false, unknownChain = false } = {}) => {
+        const wallet = {
+          chainId: '0x1',
+          switchRequests: [],
+          addedChains: [],
+          async request({ method, params }) {
+            if (method === 'eth_chainId') return wallet.chainId;
+            if (method === 'eth_accounts' || method === 'eth_requestAccounts') return [walletAccount];
+            if (method === 'wallet_switchEthereumChain') {
+              wallet.switchRequests.push(params[0].chainId);
+              if (refuseSwitch) throw Object.assign(new Error('User rejected the request.'), { code: 4001 });
+              if (unknownChain) throw Object.assign(new Error('Unrecognized chain ID.'), { code: 4902 });
+              wallet.chainId = params[0].chainId;
+              return null;
+            }
+            if (method === 'wallet_addEthereumChain') {
+              wallet.addedChains.push(params[0]);
+              wallet.chainId = params[0].chainId;
+              return null;
+            }
+            return nodeProvider.send(method, params ?? []);
+          }
+        };
+        return wallet;
+      };
+
+      const injectedWallet = createInjectedWallet();
+      const injectedTip = await plebbitTippingWithSigner.createTip({ feeRecipients, recipientCommentCid, recipient, signer: injectedWallet });
+      expect(injectedWallet.switchRequests).toEqual([ethers.toQuantity(chainId)]);
+      const injectedResult = await injectedTip.send();
+      expect(injectedResult.error).toBeUndefined();
+      expect(tipEventSender(injectedResult.receipt)).toBe(walletAccount);
+
+      const refusingWallet = createInjectedWallet({ refuseSwitch: true });
+      await expect(plebbitTippingWithSigner.createTip({ feeRecipients, recipientCommentCid, recipient, signer: refusingWallet }))
+        .rejects.toThrow(`Wallet is on chain 1, but the tipping contract is on chain ${chainId}`);
+
+      // A wallet that doesn't know the chain is only offered publicRpcUrls, never rpcUrls
+      const walletWithoutChain = createInjectedWallet({ unknownChain: true });
+      await expect(plebbitTippingWithSigner.createTip({ feeRecipients, recipientCommentCid, recipient, signer: walletWithoutChain }))
+        .rejects.toThrow(`Wallet is on chain 1, but the tipping contract is on chain ${chainId}`);
+      expect(walletWithoutChain.addedChains).toEqual([]);
+      const publicRpcUrls = ['https://rpc.example.org'];
+      const plebbitTippingWithPublicRpc = await PlebbitTippingV1({ rpcUrls: [rpcUrl], publicRpcUrls, cache, contractAddress });
+      await plebbitTippingWithPublicRpc.createTip({ feeRecipients, recipientCommentCid, recipient, signer: walletWithoutChain });
+      expect(walletWithoutChain.addedChains.map(chain => [chain.chainId, chain.rpcUrls])).toEqual([[ethers.toQuantity(chainId), publicRpcUrls]]);
+      expect(walletWithoutChain.addedChains[0].nativeCurrency).toEqual({ name: 'Ether', symbol: 'ETH', decimals: 18 });
+
+      // Chains whose native currency isn't ETH, like Amoy (POL), pass it or get it from the registry
+      const nativeCurrency = { name: 'POL', symbol: 'POL', decimals: 18 };
+      const walletWithoutPolChain = createInjectedWallet({ unknownChain: true });
+      const plebbitTippingWithCurrency = await PlebbitTippingV1({ rpcUrls: [rpcUrl], publicRpcUrls, nativeCurrency, cache, contractAddress });
+      await plebbitTippingWithCurrency.createTip({ feeRecipients, recipientCommentCid, recipient, signer: walletWithoutPolChain });
+      expect(walletWithoutPolChain.addedChains[0].nativeCurrency).toEqual(nativeCurrency);
+
+      await expect(plebbitTippingWithSigner.createTip({ feeRecipients, recipientCommentCid, recipient }))
+        .rejects.toThrow('No signer given');
+    }, 30000);
+
+    test('should send light tips that count in totals but not in the stored history', async () => {
+      const [recipientCommentCid] = await createCids(1, 'light tips');
+      const feeRecipients = [testWalletInfo.funderAddress];
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const tip = await plebbitTippingWithSigner.createTip({
+        feeRecipients,
+        recipientCommentCid,
+        tipAmount: ethers.parseEther('0.01'),
+        recipient: testWalletInfo.address,
+        privateKey: testWalletInfo.privateKey,
+        light: true
+      });
+      const result = await tip.send();
+      expect(result.error).toBeUndefined();
+
+      const comment = await plebbitTippingWithSigner.createComment({ feeRecipients, recipientCommentCid });
+      await comment.updateTipsTotalAmount();
+      expect(comment.tipsTotalAmount).toBe(ethers.parseEther('0.01'));
+      expect(await comment.getTipsCount()).toBe(0);
+
+      // Listed from the events instead
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const activity = await plebbitTippingWithSigner.getTipsActivity(testWalletInfo.address, { fromBlock: result.receipt.blockNumber });
+      expect(activity.find(entry => entry.transactionHash === result.transactionHash)?.token).toBe(ethers.ZeroAddress);
+
+      await expect(plebbitTippingWithSigner.createTip({
+        feeRecipients,
+        recipientCommentCid,
+        token: testWalletInfo.funderAddress,
+        privateKey: testWalletInfo.privateKey,
+        light: true
+      })).rejects.toThrow('Light tips are ETH only');
+    }, 30000);
+
+    test('should refuse to tip addresses blocked by the moderators', async () => {
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const abi = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1.json'), 'utf8')).abi;
+      const admin = new ethers.NonceManager(new ethers.Wallet(getFirstHardhatAccount().privateKey, provider));
+      const adminContract = new ethers.Contract(plebbitTippingWithSigner.contractAddress, abi, admin);
+      const moderatorRole = await adminContract.MODERATOR_ROLE();
+      const scammer = ethers.Wallet.createRandom().address;
+
+      try {
+        await (await adminContract.grantRole(moderatorRole, await admin.getAddress())).wait();
+        await (await adminContract.setBlocked([scammer], true)).wait();
+        expect(await plebbitTippingWithSigner.isBlocked([scammer, testWalletInfo.address])).toEqual([true, false]);
+
+        // Refused before a transaction is created, as recipient or as fee recipient
+        await expect(plebbitTippingWithSigner.createTip({
+          feeRecipients: [testWalletInfo.funderAddress],
+          recipientCommentCid: 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
+          sender: scammer,
+          privateKey: testWalletInfo.privateKey
+        })).rejects.toThrow(`Can't tip ${scammer}`);
+        await expect(plebbitTippingWithSigner.createEscrowTip({
+          feeRecipients: [scammer],
+          recipientCommentCid: 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG',
+          privateKey: testWalletInfo.privateKey
+        })).rejects.toThrow('blocked by the PlebbitTippingV1 moderators');
+      } finally {
+        await (await adminContract.setBlocked([scammer], false)).wait();
+        await (await adminContract.revokeRole(moderatorRole, await admin.getAddress())).wait();
+        provider.destroy();
+      }
+      expect(await plebbitTippingWithSigner.isBlocked([scammer])).toEqual([false]);
+    }, 30000);
+
+    test('should fund a bounty and award it to a reply', async () => {
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const admin = new ethers.NonceManager(new ethers.Wallet(getFirstHardhatAccount().privateKey, provider));
+      const tippingAbi = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1.json'), 'utf8')).abi;
+      const bountiesArtifact = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1Bounties.json'), 'utf8'));
+      const bountiesContract = await new ethers.ContractFactory(bountiesArtifact.abi, bountiesArtifact.bytecode, admin).deploy(plebbitTippingWithSigner.contractAddress);
+      await bountiesContract.waitForDeployment();
+      const tippingContract = new ethers.Contract(plebbitTippingWithSigner.contractAddress, tippingAbi, admin);
+      await (await tippingContract.grantRole(await tippingContract.TIP_MODULE_ROLE(), bountiesContract.target)).wait();
+      provider.destroy();
+
+      const plebbitTippingWithBounties = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, contractAddress, bountiesAddress: bountiesContract.target });
+      const [questionCid, replyCid] = await createCids(2, 'bounty');
+      const feeRecipients = [testWalletInfo.funderAddress];
+      const replyAuthor = ethers.Wallet.createRandom().address;
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const createTransaction = await plebbitTippingWithBounties.createBounty({
+        commentCid: questionCid,
+        feeRecipients,
+        amount: ethers.parseEther('0.1'),
+        privateKey: testWalletInfo.privateKey
+      });
+      expect((await createTransaction.send()).error).toBeUndefined();
+
+      const [bounty] = await plebbitTippingWithBounties.getBounties(questionCid);
+      expect(bounty.funder).toBe(testWalletInfo.address);
+      expect(bounty.amount).toBe(ethers.parseEther('0.1'));
+      expect(bounty.status).toBe('open');
+      expect(bounty.expiresAt).toBeGreaterThan(BigInt(Math.floor(Date.now() / 1000)));
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const awardTransaction = await plebbitTippingWithBounties.awardBounty({
+        bountyId: bounty.id,
+        replyCid,
+        recipient: replyAuthor,
+        privateKey: testWalletInfo.privateKey
+      });
+      expect((await awardTransaction.send()).error).toBeUndefined();
+
+      const awarded = await plebbitTippingWithBounties.getBounty(bounty.id);
+      expect(awarded.status).toBe('awarded');
+      expect(awarded.recipient).toBe(replyAuthor);
+
+      // The award is a tip on the reply
+      const reply = await plebbitTippingWithBounties.createComment({ feeRecipients, recipientCommentCid: replyCid });
+      expect(reply.tipsTotalAmount).toBe(ethers.parseEther('0.1'));
+    }, 30000);
+
+    test('should pay and cancel a subscription to an author', async () => {
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const admin = new ethers.NonceManager(new ethers.Wallet(getFirstHardhatAccount().privateKey, provider));
+      const tippingAbi = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1.json'), 'utf8')).abi;
+      const subscriptionsArtifact = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1Subscriptions.json'), 'utf8'));
+      const subscriptionsContract = await new ethers.ContractFactory(subscriptionsArtifact.abi, subscriptionsArtifact.bytecode, admin).deploy(plebbitTippingWithSigner.contractAddress);
+      await subscriptionsContract.waitForDeployment();
+      const tippingContract = new ethers.Contract(plebbitTippingWithSigner.contractAddress, tippingAbi, admin);
+      await (await tippingContract.grantRole(await tippingContract.TIP_MODULE_ROLE(), subscriptionsContract.target)).wait();
+
+      const plebbitTippingWithSubscriptions = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, contractAddress, subscriptionsAddress: subscriptionsContract.target });
+      const author = ethers.Wallet.createRandom().address;
+      const feeRecipients = [testWalletInfo.funderAddress];
+      const amount = ethers.parseEther('0.01');
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const createTransaction = await plebbitTippingWithSubscriptions.createSubscription({
+        recipient: author,
+        feeRecipients,
+        amount,
+        period: 60,
+        payments: 3,
+        privateKey: testWalletInfo.privateKey
+      });
+      expect((await createTransaction.send()).error).toBeUndefined();
+
+      const [subscription] = await plebbitTippingWithSubscriptions.getSubscriptions(author);
+      expect(subscription.sender).toBe(testWalletInfo.address);
+      expect(subscription.balance).toBe(amount * 2n);
+      expect(subscription.status).toBe('active');
+      expect((await plebbitTippingWithSubscriptions.getSubscriptions(testWalletInfo.address)).map(s => s.id)).toContain(subscription.id);
+
+      // The next payment is due after the period, then anyone can trigger it
+      await provider.send('evm_increaseTime', [60]);
+      await provider.send('evm_mine', []);
+      const payTransaction = await plebbitTippingWithSubscriptions.paySubscription({
+        subscriptionId: subscription.id,
+        privateKey: getFirstHardhatAccount().privateKey
+      });
+      expect((await payTransaction.send()).error).toBeUndefined();
+      const [authorTotal] = await plebbitTippingWithSubscriptions.getRecipientTotals([author]);
+      expect(authorTotal).toBeGreaterThan(amount);
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const cancelTransaction = await plebbitTippingWithSubscriptions.cancelSubscription({
+        subscriptionId: subscription.id,
+        privateKey: testWalletInfo.privateKey
+      });
+      expect((await cancelTransaction.send()).error).toBeUndefined();
+      const canceled = await plebbitTippingWithSubscriptions.getSubscription(subscription.id);
+      expect(canceled.status).toBe('canceled');
+      expect(canceled.balance).toBe(0n);
+      provider.destroy();
+    }, 30000);
+
+    test('should track a crowdfunding goal and release it as tips', async () => {
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const author = getFirstHardhatAccount();
+      const admin = new ethers.NonceManager(new ethers.Wallet(author.privateKey, provider));
+      const tippingAbi = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1.json'), 'utf8')).abi;
+      const goalsArtifact = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../src/PlebbitTippingV1Goals.json'), 'utf8'));
+      const goalsContract = await new ethers.ContractFactory(goalsArtifact.abi, goalsArtifact.bytecode, admin).deploy(plebbitTippingWithSigner.contractAddress);
+      await goalsContract.waitForDeployment();
+      const tippingContract = new ethers.Contract(plebbitTippingWithSigner.contractAddress, tippingAbi, admin);
+      await (await tippingContract.grantRole(await tippingContract.TIP_MODULE_ROLE(), goalsContract.target)).wait();
+      provider.destroy();
+
+      const plebbitTippingWithGoals = await PlebbitTippingV1({ rpcUrls: [rpcUrl], cache, contractAddress, goalsAddress: goalsContract.target });
+      const [proposalCid] = await createCids(1, 'goal');
+      const feeRecipients = [testWalletInfo.funderAddress];
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const createTransaction = await plebbitTippingWithGoals.createGoal({
+        recipientCommentCid: proposalCid,
+        target: ethers.parseEther('0.1'),
+        feeRecipients,
+        privateKey: author.privateKey
+      });
+      expect((await createTransaction.send()).error).toBeUndefined();
+
+      const goal = await plebbitTippingWithGoals.getGoal({ recipientCommentCid: proposalCid, recipient: author.address, feeRecipients });
+      expect(goal.target).toBe(ethers.parseEther('0.1'));
+      expect(goal.raised).toBe(0n);
+      expect(goal.status).toBe('open');
+      // Cached like comments
+      expect(await plebbitTippingWithGoals.getGoal({ recipientCommentCid: proposalCid, recipient: author.address, feeRecipients })).toBe(goal);
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const contributeTransaction = await plebbitTippingWithGoals.contributeToGoal({
+        recipientCommentCid: proposalCid,
+        recipient: author.address,
+        amount: ethers.parseEther('0.1'),
+        privateKey: testWalletInfo.privateKey
+      });
+      expect((await contributeTransaction.send()).error).toBeUndefined();
+
+      await goal.updateTipsTotalAmount();
+      expect(goal.raised).toBe(ethers.parseEther('0.1'));
+      expect(goal.status).toBe('reached');
+      expect(goal.tipsTotalAmount).toBe(0n);
+      expect(await goal.getContribution(testWalletInfo.address)).toBe(ethers.parseEther('0.1'));
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const releaseTransaction = await plebbitTippingWithGoals.releaseGoal({ recipientCommentCid: proposalCid, privateKey: author.privateKey });
+      expect((await releaseTransaction.send()).error).toBeUndefined();
+
+      // Released contributions are tips on the proposal
+      await goal.updateTipsTotalAmount();
+      expect(goal.status).toBe('released');
+      expect(goal.releasedContributorsCount).toBe(1);
+      expect(goal.tipsTotalAmount).toBe(ethers.parseEther('0.1'));
+      expect(await goal.getContribution(testWalletInfo.address)).toBe(0n);
+    }, 30000);
+
     test('should handle transaction errors correctly', async () => {
       // Test with invalid private key to trigger an error
       const recipientCommentCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
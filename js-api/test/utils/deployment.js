@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Addresses of the contracts deployed on the local Hardhat node
+ *
+ * The tests run against the deployment written by hardhat-deploy to
+ * contracts/deployments/localhost (`npm run deploy:localhost`). The proxy address
+ * depends on the implementation bytecode and the admin, so it is read from there
+ * instead of being hardcoded.
+ *
+ * @author Plebbit Tipping Team
+ * @version 1.0.0
+ * @since 2024
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEPLOYMENTS_DIR = path.resolve(__dirname, '../../../contracts/deployments/localhost');
+
+/**
+ * Reads the address of a contract deployed on the local Hardhat node
+ *
+ * @param {string} name - The hardhat-deploy deployment name
+ * @returns {string} The deployed address (the proxy for PlebbitTippingV1)
+ * @throws {Error} If the contract isn't deployed
+ */
+function readAddress(name) {
+  const file = path.join(DEPLOYMENTS_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`${name} is not deployed on localhost, run \`npm run deploy:localhost\` first`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8')).address;
+}
+
+/**
+ * Gets the local deployment, in the shape of the PlebbitTippingV1() options
+ *
+ * @returns {{contractAddress: string, bountiesAddress: string, subscriptionsAddress: string, goalsAddress: string}}
+ */
+export function getLocalDeployment() {
+  return {
+    contractAddress: readAddress('PlebbitTippingV1'),
+    bountiesAddress: readAddress('PlebbitTippingV1Bounties'),
+    subscriptionsAddress: readAddress('PlebbitTippingV1Subscriptions'),
+    goalsAddress: readAddress('PlebbitTippingV1Goals')
+  };
+}